@@ -0,0 +1,7 @@
+-- Migration: Store actual start and end times on time entries
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/006_entry_time_spans.sql
+
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_entries_started ON entries(started_at);
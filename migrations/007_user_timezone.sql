@@ -0,0 +1,4 @@
+-- Migration: Per-user timezone for daily and weekly summaries
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/007_user_timezone.sql
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
@@ -0,0 +1,25 @@
+-- Migration: Replace the single active timer per user with a timers table
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/008_timers.sql
+
+CREATE TABLE IF NOT EXISTS timers (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id),
+    project_id TEXT NOT NULL REFERENCES projects(id),
+    description TEXT,
+    name TEXT,
+    parallel BOOLEAN DEFAULT false,
+    parent_id TEXT,
+    started_at TIMESTAMP NOT NULL,
+    paused_at TIMESTAMP,
+    paused_duration INTEGER DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_timers_user ON timers(user_id);
+
+-- Carry over timers that are running right now
+INSERT INTO timers (id, user_id, project_id, description, started_at, paused_at, paused_duration)
+SELECT substr(md5(random()::text || user_id), 1, 13), user_id, project_id, description, started_at, paused_at, COALESCE(paused_duration, 0)
+FROM active_timer
+WHERE project_id IS NOT NULL AND started_at IS NOT NULL;
+
+DROP TABLE IF EXISTS active_timer;
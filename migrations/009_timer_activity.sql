@@ -0,0 +1,7 @@
+-- Migration: Track timer activity so idle and forgotten timers can be flagged and auto-paused
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/009_timer_activity.sql
+
+ALTER TABLE timers ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP;
+ALTER TABLE timers ADD COLUMN IF NOT EXISTS auto_paused_at TIMESTAMP;
+
+UPDATE timers SET last_activity_at = started_at WHERE last_activity_at IS NULL;
@@ -0,0 +1,11 @@
+-- Migration: Billing rounding rules on clients and projects
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/010_rounding_rules.sql
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS rounding_increment INTEGER;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS rounding_mode TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS minimum_minutes INTEGER;
+
+-- Project values override the client's, NULL inherits
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS rounding_increment INTEGER;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS rounding_mode TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS minimum_minutes INTEGER;
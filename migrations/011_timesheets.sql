@@ -0,0 +1,17 @@
+-- Migration: Weekly timesheets with submission, approval and locking
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/011_timesheets.sql
+
+CREATE TABLE IF NOT EXISTS timesheets (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id),
+    week_start TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'submitted',
+    note TEXT,
+    comment TEXT,
+    submitted_at TIMESTAMP,
+    reviewed_by TEXT REFERENCES users(id),
+    reviewed_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_timesheets_user_week ON timesheets(user_id, week_start);
+CREATE INDEX IF NOT EXISTS idx_timesheets_status ON timesheets(status);
@@ -0,0 +1,15 @@
+-- Migration: Audit trail for time entries, used for history and undo
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/012_entry_history.sql
+
+CREATE TABLE IF NOT EXISTS entry_history (
+    id TEXT PRIMARY KEY,
+    entry_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    actor_id TEXT REFERENCES users(id),
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_history_entry ON entry_history(entry_id);
+CREATE INDEX IF NOT EXISTS idx_entry_history_actor ON entry_history(actor_id);
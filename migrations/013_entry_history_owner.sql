@@ -0,0 +1,11 @@
+-- Migration: Record whose entry was changed, next to who changed it
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/013_entry_history_owner.sql
+
+ALTER TABLE entry_history ADD COLUMN IF NOT EXISTS owner_id TEXT REFERENCES users(id);
+
+UPDATE entry_history
+SET owner_id = COALESCE(after->>'userId', before->>'userId')
+WHERE owner_id IS NULL
+  AND COALESCE(after->>'userId', before->>'userId') IN (SELECT id FROM users);
+
+CREATE INDEX IF NOT EXISTS idx_entry_history_owner ON entry_history(owner_id);
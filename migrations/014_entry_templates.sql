@@ -0,0 +1,31 @@
+-- Migration: Entry templates with recurring drafts
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/014_entry_templates.sql
+
+CREATE TABLE IF NOT EXISTS entry_templates (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id),
+    name TEXT NOT NULL,
+    project_id TEXT NOT NULL REFERENCES projects(id),
+    description TEXT,
+    minutes INTEGER NOT NULL,
+    billable BOOLEAN DEFAULT true,
+    task_id TEXT REFERENCES tasks(id),
+    recurrence TEXT,
+    start_time TEXT,
+    auto_create BOOLEAN DEFAULT false,
+    generated_until TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entry_templates_user_name ON entry_templates(user_id, name);
+
+CREATE TABLE IF NOT EXISTS entry_drafts (
+    id TEXT PRIMARY KEY,
+    template_id TEXT NOT NULL REFERENCES entry_templates(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id),
+    day TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entry_drafts_template_day ON entry_drafts(template_id, day);
+CREATE INDEX IF NOT EXISTS idx_entry_drafts_user ON entry_drafts(user_id);
@@ -0,0 +1,17 @@
+-- Migration: Free-form tags on time entries and timers
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/015_tags.sql
+
+CREATE TABLE IF NOT EXISTS tags (
+    name TEXT PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS entry_tags (
+    entry_id TEXT NOT NULL REFERENCES entries(id) ON DELETE CASCADE,
+    tag TEXT NOT NULL REFERENCES tags(name),
+    PRIMARY KEY (entry_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_tags_tag ON entry_tags(tag);
+
+ALTER TABLE timers ADD COLUMN IF NOT EXISTS tags JSONB;
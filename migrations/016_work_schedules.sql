@@ -0,0 +1,12 @@
+-- Migration: Per-user work schedules for hour targets and overtime balance
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/016_work_schedules.sql
+
+CREATE TABLE IF NOT EXISTS work_schedules (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id),
+    valid_from TEXT NOT NULL,
+    daily_minutes JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_work_schedules_user_from ON work_schedules(user_id, valid_from);
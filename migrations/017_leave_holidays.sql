@@ -0,0 +1,31 @@
+-- Migration: Leave requests and public holiday calendars
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/017_leave_holidays.sql
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS holiday_calendar TEXT;
+
+CREATE TABLE IF NOT EXISTS leave (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id),
+    type TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    minutes INTEGER,
+    note TEXT,
+    status TEXT NOT NULL DEFAULT 'requested',
+    reviewed_by TEXT REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_user ON leave(user_id);
+CREATE INDEX IF NOT EXISTS idx_leave_status ON leave(status);
+
+CREATE TABLE IF NOT EXISTS holidays (
+    id TEXT PRIMARY KEY,
+    calendar TEXT NOT NULL,
+    date TEXT NOT NULL,
+    name TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_holidays_calendar_date ON holidays(calendar, date);
@@ -0,0 +1,6 @@
+-- Migration: Hour and money budgets per project, optionally per period
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/018_project_budgets.sql
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget_minutes INTEGER;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget_amount REAL;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget_period TEXT;
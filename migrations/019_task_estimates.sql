@@ -0,0 +1,4 @@
+-- Migration: Estimates on tasks for estimate versus actual reports
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/019_task_estimates.sql
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS estimate_minutes INTEGER;
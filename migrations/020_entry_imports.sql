@@ -0,0 +1,6 @@
+-- Migration: Import keys on entries so re-imported Toggl, Clockify and Harvest exports skip known rows
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/020_entry_imports.sql
+
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS import_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entries_import_key ON entries(import_key);
@@ -0,0 +1,44 @@
+-- Migration: Invoices with yearly numbering and line items; entries link to the invoice that billed them
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/021_invoices.sql
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id TEXT PRIMARY KEY,
+    number TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    sequence INTEGER NOT NULL,
+    client_id TEXT REFERENCES clients(id),
+    period_from TEXT,
+    period_to TEXT,
+    grouping TEXT NOT NULL DEFAULT 'project',
+    status TEXT NOT NULL DEFAULT 'draft',
+    subtotal REAL NOT NULL DEFAULT 0,
+    notes TEXT,
+    issued_on TEXT NOT NULL,
+    created_by TEXT REFERENCES users(id),
+    sent_at TIMESTAMP,
+    paid_at TIMESTAMP,
+    voided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_year_sequence ON invoices(year, sequence);
+CREATE INDEX IF NOT EXISTS idx_invoices_client ON invoices(client_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+
+CREATE TABLE IF NOT EXISTS invoice_lines (
+    id TEXT PRIMARY KEY,
+    invoice_id TEXT NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    project_id TEXT REFERENCES projects(id),
+    task_id TEXT REFERENCES tasks(id),
+    description TEXT NOT NULL,
+    minutes INTEGER NOT NULL,
+    entry_count INTEGER NOT NULL DEFAULT 0,
+    rate REAL NOT NULL DEFAULT 0,
+    amount REAL NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice ON invoice_lines(invoice_id);
+
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS invoice_id TEXT REFERENCES invoices(id);
+CREATE INDEX IF NOT EXISTS idx_entries_invoice ON entries(invoice_id);
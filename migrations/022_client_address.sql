@@ -0,0 +1,4 @@
+-- Migration: Client postal address, printed on invoices and timesheet reports
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/022_client_address.sql
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS address TEXT;
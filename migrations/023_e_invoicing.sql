@@ -0,0 +1,9 @@
+-- Migration: Tax and registration details for e-invoices (UBL / Peppol BIS Billing 3.0)
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/023_e_invoicing.sql
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS country TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS vat_id TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS coc_number TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS peppol_id TEXT;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS buyer_reference TEXT;
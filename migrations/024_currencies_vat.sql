@@ -0,0 +1,48 @@
+-- Migration: Currencies and VAT categories on clients, projects and invoices; exchange rates for combined totals
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/024_currencies_vat.sql
+-- Existing invoices get the VAT and currency they were shown with. Pass your CALQ_VAT_RATE and CALQ_CURRENCY
+-- if you set them (defaults: 0 and EUR), e.g. add -e PGOPTIONS="-c calq.vat_rate=21 -c calq.currency=EUR" after exec
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS vat_category TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS vat_rate REAL;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS vat_category TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS vat_rate REAL;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS vat_amount REAL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS total REAL;
+
+ALTER TABLE invoice_lines ADD COLUMN IF NOT EXISTS vat_category TEXT;
+ALTER TABLE invoice_lines ADD COLUMN IF NOT EXISTS vat_rate REAL;
+
+-- Store the VAT of existing invoices, so a later change to the defaults leaves them alone
+UPDATE invoice_lines
+SET vat_rate = COALESCE(NULLIF(current_setting('calq.vat_rate', true), '')::REAL, 0),
+    vat_category = CASE WHEN COALESCE(NULLIF(current_setting('calq.vat_rate', true), '')::REAL, 0) > 0 THEN 'S' ELSE 'Z' END
+WHERE vat_category IS NULL;
+
+UPDATE invoices
+SET currency = UPPER(COALESCE(NULLIF(current_setting('calq.currency', true), ''), 'EUR'))
+WHERE currency IS NULL;
+
+UPDATE invoices
+SET vat_amount = ROUND((subtotal * COALESCE(NULLIF(current_setting('calq.vat_rate', true), '')::REAL, 0) / 100)::NUMERIC, 2)
+WHERE vat_amount IS NULL;
+
+UPDATE invoices
+SET total = ROUND((subtotal + vat_amount)::NUMERIC, 2)
+WHERE total IS NULL;
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id TEXT PRIMARY KEY,
+    currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    valid_from TEXT NOT NULL,
+    created_by TEXT REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_rates_currency_date ON exchange_rates(currency, valid_from);
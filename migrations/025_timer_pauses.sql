@@ -0,0 +1,4 @@
+-- Migration: Keep a timer's ended pauses so the entry it logs does not overlap work done meanwhile
+-- Run with: docker compose exec -T postgres psql -U calq -d calq < migrations/025_timer_pauses.sql
+
+ALTER TABLE timers ADD COLUMN IF NOT EXISTS pauses JSONB;
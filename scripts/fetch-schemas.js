@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Downloads the validation artefacts e-invoices are checked against into schemas/: the OASIS UBL 2.1 XSDs,
+// and the EN 16931 and Peppol BIS Billing 3.0 schematron rules compiled for SaxonJS. Run it with
+// `npm run schemas` when a new version of the rules comes out and commit the result; the server itself
+// validates offline and never downloads anything.
+
+import { mkdtemp, mkdir, readdir, rm, copyFile, writeFile } from 'fs/promises';
+import { execFileSync } from 'child_process';
+import { createRequire } from 'module';
+import { tmpdir } from 'os';
+import { join, basename } from 'path';
+import { fileURLToPath } from 'url';
+
+const SCHEMAS_DIR = fileURLToPath(new URL('../schemas/', import.meta.url));
+
+const UBL_URL = 'https://docs.oasis-open.org/ubl/os-UBL-2.1/UBL-2.1.zip';
+const CEN_URL = 'https://github.com/ConnectingEurope/eInvoicing-EN16931/releases/download/validation-1.3.13/en16931-ubl-1.3.13.zip';
+const PEPPOL_URL = 'https://github.com/OpenPEPPOL/peppol-bis-invoice-3/archive/refs/heads/master.zip';
+// SchXslt turns the Peppol schematron into XSLT; the CEN rules come as XSLT already
+const SCHXSLT_URL = 'https://github.com/schxslt/schxslt/releases/download/v1.10.1/schxslt-1.10.1-xslt-only.zip';
+
+const xslt3 = createRequire(import.meta.url).resolve('xslt3/xslt3.js');
+
+async function download(url, dir) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(120000) });
+    if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    const zip = join(dir, basename(new URL(url).pathname));
+    await writeFile(zip, Buffer.from(await response.arrayBuffer()));
+    const target = join(dir, basename(zip, '.zip'));
+    execFileSync('unzip', ['-q', '-o', zip, '-d', target]);
+    return target;
+}
+
+// Path of the first file with a name under a directory, wherever the archive put it
+async function find(dir, name) {
+    const files = await readdir(dir, { recursive: true });
+    const match = files.find(file => file === name || file.endsWith(`/${name}`));
+    if (!match) throw new Error(`${name} not found in ${dir}`);
+    return join(dir, match);
+}
+
+function saxon(...args) {
+    execFileSync(process.execPath, [xslt3, ...args], { stdio: 'inherit' });
+}
+
+async function main() {
+    const work = await mkdtemp(join(tmpdir(), 'calq-schemas-'));
+    try {
+        // UBL: the Invoice schema and the common schemas it imports, in their own directory layout;
+        // the runtime schemas (xsdrt) are the same without the documentation
+        const ubl = await download(UBL_URL, work);
+        const maindoc = await find(ubl, 'xsdrt/maindoc/UBL-Invoice-2.1.xsd').catch(() => find(ubl, 'xsd/maindoc/UBL-Invoice-2.1.xsd'));
+        const common = join(maindoc, '../../common');
+        await rm(join(SCHEMAS_DIR, 'ubl-2.1'), { recursive: true, force: true });
+        await mkdir(join(SCHEMAS_DIR, 'ubl-2.1/maindoc'), { recursive: true });
+        await mkdir(join(SCHEMAS_DIR, 'ubl-2.1/common'), { recursive: true });
+        await copyFile(maindoc, join(SCHEMAS_DIR, 'ubl-2.1/maindoc/UBL-Invoice-2.1.xsd'));
+        for (const file of (await readdir(common)).filter(file => file.endsWith('.xsd'))) {
+            await copyFile(join(common, file), join(SCHEMAS_DIR, 'ubl-2.1/common', file));
+        }
+
+        // Schematron: EN 16931 first, then the Peppol rules on top, both as SaxonJS stylesheets
+        await mkdir(join(SCHEMAS_DIR, 'peppol'), { recursive: true });
+        const cen = await find(await download(CEN_URL, work), 'EN16931-UBL-validation.xslt');
+        saxon(`-xsl:${cen}`, `-export:${join(SCHEMAS_DIR, 'peppol/CEN-EN16931-UBL.sef.json')}`, '-nogo', '-relocate:on');
+
+        const peppol = await find(await download(PEPPOL_URL, work), 'rules/sch/PEPPOL-EN16931-UBL.sch');
+        const pipeline = await find(await download(SCHXSLT_URL, work), '2.0/pipeline-for-svrl.xsl');
+        const compiled = join(work, 'PEPPOL-EN16931-UBL.xslt');
+        saxon(`-xsl:${pipeline}`, `-s:${peppol}`, `-o:${compiled}`);
+        saxon(`-xsl:${compiled}`, `-export:${join(SCHEMAS_DIR, 'peppol/PEPPOL-EN16931-UBL.sef.json')}`, '-nogo', '-relocate:on');
+
+        await writeFile(join(SCHEMAS_DIR, 'SOURCES'), [UBL_URL, CEN_URL, PEPPOL_URL, SCHXSLT_URL].join('\n') + '\n');
+        console.log(`Validation artefacts written to ${SCHEMAS_DIR}`);
+    } finally {
+        await rm(work, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
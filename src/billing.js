@@ -0,0 +1,169 @@
+// Billing rules shared by reports and invoices
+// Tracked minutes stay untouched; rounding only affects billable minutes and values
+
+export const ROUNDING_MODES = ['up', 'down', 'nearest'];
+
+/**
+ * Effective rounding policy for an entry. Project settings override the client's.
+ * @param {Object|null} project - { roundingIncrement, roundingMode, minimumMinutes }
+ * @param {Object|null} client - same fields as project
+ * @returns {{increment: number, mode: string, minimum: number}}
+ */
+export function resolveRounding(project = null, client = null) {
+    const pick = (field) => project?.[field] ?? client?.[field] ?? null;
+    const mode = pick('roundingMode');
+    return {
+        increment: pick('roundingIncrement') || 0,
+        mode: ROUNDING_MODES.includes(mode) ? mode : 'up',
+        minimum: pick('minimumMinutes') || 0,
+    };
+}
+
+/**
+ * Billable minutes for one entry under a rounding policy
+ * @param {number} minutes - Tracked minutes
+ * @param {{increment: number, mode: string, minimum: number}} policy
+ * @returns {number}
+ */
+export function applyRounding(minutes, policy) {
+    if (!minutes || minutes <= 0) return 0;
+    if (!policy) return minutes;
+
+    let billable = minutes;
+    if (policy.increment > 0) {
+        const steps = minutes / policy.increment;
+        const rounded = policy.mode === 'down' ? Math.floor(steps)
+            : policy.mode === 'nearest' ? Math.round(steps)
+            : Math.ceil(steps);
+        billable = rounded * policy.increment;
+    }
+
+    return Math.max(billable, policy.minimum || 0);
+}
+
+/**
+ * Human-readable policy, e.g. "15m increments rounded up, minimum 30m"
+ * @param {{increment: number, mode: string, minimum: number}} policy
+ * @returns {string|null} Description or null when nothing is rounded
+ */
+export function describeRounding(policy) {
+    const parts = [];
+    if (policy?.increment > 0) parts.push(`${policy.increment}m increments rounded ${policy.mode === 'nearest' ? 'to nearest' : policy.mode}`);
+    if (policy?.minimum > 0) parts.push(`minimum ${policy.minimum}m`);
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+export const BUDGET_PERIODS = ['total', 'week', 'month', 'quarter', 'year'];
+
+// Share of a budget (in percent) at which log responses warn
+export const BUDGET_THRESHOLDS = [75, 90, 100];
+
+/**
+ * Highest budget threshold passed when usage went from one percentage to another
+ * @param {number} before - Percent used before the change
+ * @param {number} after - Percent used after the change
+ * @returns {number|null} Threshold or null when none was crossed
+ */
+export function crossedThreshold(before, after) {
+    const crossed = BUDGET_THRESHOLDS.filter(t => before < t && after >= t);
+    return crossed.length > 0 ? crossed[crossed.length - 1] : null;
+}
+
+// Currency of rates and values without one of their own, and the base currency exchange rates convert to
+export const DEFAULT_CURRENCY = /^[A-Za-z]{3}$/.test(process.env.CALQ_CURRENCY || '') ? process.env.CALQ_CURRENCY.toUpperCase() : 'EUR';
+
+// VAT categories of EN 16931 (UNCL5305) that invoices can use; only S charges VAT
+export const VAT_CATEGORIES = {
+    S: 'standard rate',
+    Z: 'zero rated',
+    E: 'exempt from VAT',
+    AE: 'reverse charge',
+    G: 'export outside the EU',
+};
+
+// VAT percentage from CALQ_VAT_RATE, 0 when not set
+export function defaultVatRate() {
+    return Number(process.env.CALQ_VAT_RATE) > 0 ? Number(process.env.CALQ_VAT_RATE) : 0;
+}
+
+/**
+ * Effective currency and VAT for an entry. Project settings override the client's,
+ * which override CALQ_CURRENCY and CALQ_VAT_RATE. Without a category a rate above 0
+ * means standard rated; every other category charges 0%.
+ * @param {Object|null} project - { currency, vatCategory, vatRate }
+ * @param {Object|null} client - same fields as project
+ * @returns {{currency: string, vatCategory: string, vatRate: number}}
+ */
+export function resolveTax(project = null, client = null) {
+    const pick = (field) => project?.[field] ?? client?.[field] ?? null;
+    const rate = pick('vatRate') ?? defaultVatRate();
+    const category = VAT_CATEGORIES[pick('vatCategory')] ? pick('vatCategory') : rate > 0 ? 'S' : 'Z';
+    return {
+        currency: pick('currency') || DEFAULT_CURRENCY,
+        vatCategory: category,
+        vatRate: category === 'S' ? rate : 0,
+    };
+}
+
+/**
+ * Label of a VAT line, e.g. "VAT 21%" or "VAT 0% (reverse charge)"
+ * @param {{vatCategory: string, vatRate: number}} tax
+ * @returns {string}
+ */
+export function describeTax(tax) {
+    return tax.vatCategory === 'S' ? `VAT ${tax.vatRate}%` : `VAT 0% (${VAT_CATEGORIES[tax.vatCategory] || tax.vatCategory})`;
+}
+
+export const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Net, VAT and gross per currency. VAT is calculated once per category and rate on
+ * the summed net amounts, the way an invoice states it.
+ * @param {Array<{currency: string, vatCategory: string, vatRate: number, net: number}>} items
+ * @returns {Array<{currency: string, net: number, vat: number, gross: number, taxes: Object[]}>}
+ *   One total per currency, largest first; taxes holds { vatCategory, vatRate, net, vat } per category and rate
+ */
+export function taxTotals(items) {
+    const currencies = new Map();
+    for (const item of items) {
+        if (!currencies.has(item.currency)) currencies.set(item.currency, new Map());
+        const taxes = currencies.get(item.currency);
+        const key = `${item.vatCategory}:${item.vatRate}`;
+        if (!taxes.has(key)) taxes.set(key, { vatCategory: item.vatCategory, vatRate: item.vatRate, net: 0, vat: 0 });
+        taxes.get(key).net += item.net;
+    }
+
+    return [...currencies].map(([currency, taxes]) => {
+        const groups = [...taxes.values()].map(tax => {
+            const net = roundAmount(tax.net);
+            return { ...tax, net, vat: roundAmount((net * tax.vatRate) / 100) };
+        });
+        const net = roundAmount(groups.reduce((sum, t) => sum + t.net, 0));
+        const vat = roundAmount(groups.reduce((sum, t) => sum + t.vat, 0));
+        return { currency, net, vat, gross: roundAmount(net + vat), taxes: groups };
+    }).sort((a, b) => b.gross - a.gross);
+}
+
+/**
+ * Amount with its currency symbol or code, e.g. "€1,250.00", "$80.00" or "CHF 95.00"
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {string}
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+    } catch {
+        return `${currency} ${(amount || 0).toFixed(2)}`;
+    }
+}
+
+/**
+ * Amounts in several currencies as one text, e.g. "€1,200.00 + $300.00"
+ * @param {Object} amounts - Amount per currency code
+ * @returns {string}
+ */
+export function formatAmounts(amounts) {
+    const parts = Object.entries(amounts).filter(([, amount]) => amount);
+    return parts.length > 0 ? parts.map(([currency, amount]) => formatMoney(amount, currency)).join(' + ') : formatMoney(0);
+}
@@ -0,0 +1,330 @@
+// Date and time helpers shared by storage and the MCP tools
+// All calendar dates are YYYY-MM-DD strings in the user's timezone
+
+export const DEFAULT_TIMEZONE = process.env.CALQ_TIMEZONE || 'UTC';
+
+/**
+ * Check whether a string is an IANA timezone name the runtime understands
+ * @param {string} timezone - e.g. "Europe/Amsterdam"
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+    if (!timezone || !/^[A-Za-z0-9_+\-/]+$/.test(timezone)) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Return the timezone if valid, otherwise the server default
+ * @param {string|null} timezone
+ * @returns {string}
+ */
+export function resolveTimezone(timezone) {
+    return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+function zonedParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: resolveTimezone(timezone),
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short',
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(p => p.type === type).value;
+    return {
+        year: Number(get('year')),
+        month: Number(get('month')),
+        day: Number(get('day')),
+        hour: Number(get('hour')),
+        minute: Number(get('minute')),
+        second: Number(get('second')),
+        weekday: get('weekday'),
+    };
+}
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+function timezoneOffset(date, timezone) {
+    const p = zonedParts(date, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an absolute Date
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} hours
+ * @param {number} minutes
+ * @param {number} seconds
+ * @param {string} timezone
+ * @returns {Date}
+ */
+export function zonedTime(day, hours = 0, minutes = 0, seconds = 0, timezone = DEFAULT_TIMEZONE) {
+    const [year, month, dayOfMonth] = day.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, dayOfMonth, hours, minutes, seconds);
+
+    // Re-check the offset at the result to land correctly around DST switches
+    const offset = timezoneOffset(new Date(guess), timezone);
+    const corrected = timezoneOffset(new Date(guess - offset), timezone);
+    return new Date(guess - corrected);
+}
+
+/**
+ * Resolve a clock time ("09:15") or an ISO timestamp to a Date
+ * @param {string} value - "HH:MM", "HH:MM:SS" or a full ISO date-time
+ * @param {string|null} date - Day the clock time belongs to (YYYY-MM-DD), defaults to today
+ * @param {string} timezone - Timezone the clock time is expressed in
+ * @returns {Date|null} Parsed date or null if the value is not understood
+ */
+export function parseClockTime(value, date = null, timezone = DEFAULT_TIMEZONE) {
+    if (!value) return null;
+    const trimmed = value.trim();
+
+    const clock = trimmed.match(/^(\d{1,2})[:.](\d{2})(?::(\d{2}))?$/);
+    if (clock) {
+        const [, hours, minutes, seconds = '0'] = clock;
+        if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) return null;
+        const day = date || localDateString(new Date(), timezone);
+        return zonedTime(day, Number(hours), Number(minutes), Number(seconds), timezone);
+    }
+
+    const parsed = new Date(trimmed);
+    return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Minutes of time intervals that lie before a moment; an interval that crosses it counts up to it
+ * @param {{from: string|Date, to: string|Date}[]} intervals - e.g. a timer's pauses
+ * @param {Date|string} until
+ * @returns {number}
+ */
+export function minutesBefore(intervals, until) {
+    const end = new Date(until).getTime();
+    const ms = intervals.reduce((sum, { from, to }) => sum + Math.max(0, Math.min(new Date(to).getTime(), end) - new Date(from).getTime()), 0);
+    return Math.round(ms / 60000);
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in the given timezone
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+export function localDateString(date, timezone = DEFAULT_TIMEZONE) {
+    const p = zonedParts(new Date(date), timezone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} day
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(day, days) {
+    const [year, month, dayOfMonth] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, dayOfMonth + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Short weekday name ("Mon") of a YYYY-MM-DD date
+ * @param {string} day
+ * @returns {string}
+ */
+export function weekdayName(day) {
+    return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+}
+
+/**
+ * Format a Date as a 24h clock time (HH:MM) in the given timezone
+ * @param {Date|string} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+export function formatClockTime(date, timezone = DEFAULT_TIMEZONE) {
+    const p = zonedParts(new Date(date), timezone);
+    return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Format a start/end pair as "09:15–11:00", or '' when the span is unknown
+ * @param {Date|string|null} startedAt
+ * @param {Date|string|null} endedAt
+ * @param {string} timezone
+ * @returns {string}
+ */
+export function formatTimeRange(startedAt, endedAt, timezone = DEFAULT_TIMEZONE) {
+    if (!startedAt || !endedAt) return '';
+    return `${formatClockTime(startedAt, timezone)}–${formatClockTime(endedAt, timezone)}`;
+}
+
+/**
+ * Monday of the ISO week containing the given date
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string}
+ */
+export function startOfWeek(day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return addDays(day, -((weekday + 6) % 7));
+}
+
+function lastDayOfMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function monthRange(year, month) {
+    const mm = String(month).padStart(2, '0');
+    return { from: `${year}-${mm}-01`, to: `${year}-${mm}-${String(lastDayOfMonth(year, month)).padStart(2, '0')}` };
+}
+
+function quarterRange(year, quarter) {
+    const first = (quarter - 1) * 3 + 1;
+    return { from: monthRange(year, first).from, to: monthRange(year, first + 2).to };
+}
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a YYYY-MM-DD string is a real calendar date
+ * @param {string} day
+ * @returns {boolean}
+ */
+export function isValidDay(day) {
+    if (!DAY_PATTERN.test(day || '')) return false;
+    const [year, month, dayOfMonth] = day.split('-').map(Number);
+    return month >= 1 && month <= 12 && dayOfMonth >= 1 && dayOfMonth <= lastDayOfMonth(year, month);
+}
+
+/**
+ * Resolve a named period to an inclusive date range in the given timezone.
+ * Understands today, yesterday, this/last week, month, quarter and year,
+ * "Q3" / "Q3 2026", "2026-09", "2026", a single day and "2026-09-01..2026-09-15".
+ * @param {string} period
+ * @param {string} timezone
+ * @returns {{from: string, to: string}|null} Range or null if the period is not understood
+ */
+export function resolvePeriod(period, timezone = DEFAULT_TIMEZONE) {
+    if (!period) return null;
+    const value = period.trim().toLowerCase().replace(/\s+/g, '-');
+    const today = localDateString(new Date(), timezone);
+    const [year, month] = today.split('-').map(Number);
+    const quarter = Math.floor((month - 1) / 3) + 1;
+
+    const range = value.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+    if (range) {
+        const [, from, to] = range;
+        return isValidDay(from) && isValidDay(to) && from <= to ? { from, to } : null;
+    }
+    if (isValidDay(value)) return { from: value, to: value };
+
+    switch (value) {
+        case 'today':
+            return { from: today, to: today };
+        case 'yesterday':
+            return { from: addDays(today, -1), to: addDays(today, -1) };
+        case 'this-week':
+        case 'week':
+            return { from: startOfWeek(today), to: addDays(startOfWeek(today), 6) };
+        case 'last-week': {
+            const monday = addDays(startOfWeek(today), -7);
+            return { from: monday, to: addDays(monday, 6) };
+        }
+        case 'this-month':
+        case 'month':
+            return monthRange(year, month);
+        case 'last-month':
+            return month === 1 ? monthRange(year - 1, 12) : monthRange(year, month - 1);
+        case 'this-quarter':
+        case 'quarter':
+            return quarterRange(year, quarter);
+        case 'last-quarter':
+            return quarter === 1 ? quarterRange(year - 1, 4) : quarterRange(year, quarter - 1);
+        case 'this-year':
+        case 'year':
+            return { from: `${year}-01-01`, to: `${year}-12-31` };
+        case 'last-year':
+            return { from: `${year - 1}-01-01`, to: `${year - 1}-12-31` };
+    }
+
+    // Q3, Q3-2026, 2026-Q3
+    const q = value.match(/^q([1-4])(?:-(\d{4}))?$/) || value.match(/^(\d{4})-q([1-4])$/);
+    if (q) {
+        const [qNum, qYear] = value.startsWith('q') ? [q[1], q[2] || year] : [q[2], q[1]];
+        return quarterRange(Number(qYear), Number(qNum));
+    }
+
+    const ym = value.match(/^(\d{4})-(\d{2})$/);
+    if (ym && Number(ym[2]) >= 1 && Number(ym[2]) <= 12) {
+        return monthRange(Number(ym[1]), Number(ym[2]));
+    }
+
+    if (/^\d{4}$/.test(value)) {
+        return { from: `${value}-01-01`, to: `${value}-12-31` };
+    }
+
+    return null;
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Normalise a recurrence rule. Understands "daily", "weekdays",
+ * "weekly:mon,thu" (or just "mon,thu") and "monthly:15", with an optional "every".
+ * @param {string} rule
+ * @returns {string|null} Canonical rule or null if the rule is not understood
+ */
+export function parseRecurrence(rule) {
+    if (!rule) return null;
+    const value = rule.trim().toLowerCase().replace(/^every\s+/, '').replace(/\s+/g, '');
+
+    if (value === 'daily' || value === 'day') return 'daily';
+    if (value === 'weekdays' || value === 'weekday') return 'weekdays';
+
+    const monthly = value.match(/^monthly:(\d{1,2})$/);
+    if (monthly) {
+        const day = Number(monthly[1]);
+        return day >= 1 && day <= 31 ? `monthly:${day}` : null;
+    }
+
+    const days = value.replace(/^weekly:/, '').split(',').map(d => d.slice(0, 3));
+    if (days.length === 0 || !days.every(d => WEEKDAYS.includes(d))) return null;
+    // Monday first, like the timesheet week
+    const ordered = [1, 2, 3, 4, 5, 6, 0].map(i => WEEKDAYS[i]).filter(d => days.includes(d));
+    return `weekly:${ordered.join(',')}`;
+}
+
+/**
+ * Whether a canonical recurrence rule falls on a day. A monthly rule past the
+ * end of a short month falls on its last day.
+ * @param {string} rule - As returned by parseRecurrence
+ * @param {string} day - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function occursOn(rule, day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    const [kind, arg] = rule.split(':');
+
+    switch (kind) {
+        case 'daily':
+            return true;
+        case 'weekdays':
+            return weekday >= 1 && weekday <= 5;
+        case 'weekly':
+            return arg.split(',').includes(WEEKDAYS[weekday]);
+        case 'monthly': {
+            const [year, month, dayOfMonth] = day.split('-').map(Number);
+            return dayOfMonth === Math.min(Number(arg), lastDayOfMonth(year, month));
+        }
+        default:
+            return false;
+    }
+}
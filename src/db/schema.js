@@ -1,4 +1,4 @@
-import { pgTable, text, integer, boolean, timestamp, real, index } from 'drizzle-orm/pg-core';
+import { pgTable, text, integer, boolean, timestamp, real, jsonb, index, uniqueIndex, primaryKey } from 'drizzle-orm/pg-core';
 
 // Users table - team members with GitHub OAuth
 export const users = pgTable('users', {
@@ -8,6 +8,8 @@ export const users = pgTable('users', {
     role: text('role').default('member'),
     githubId: text('github_id'),
     youtrackToken: text('youtrack_token'),
+    timezone: text('timezone'),  // IANA name, e.g. "Europe/Amsterdam"; null uses CALQ_TIMEZONE
+    holidayCalendar: text('holiday_calendar'),  // Public holiday calendar, null uses "team"
     createdAt: timestamp('created_at').defaultNow(),
     lastLogin: timestamp('last_login'),
 });
@@ -17,7 +19,18 @@ export const clients = pgTable('clients', {
     id: text('id').primaryKey(),
     name: text('name').notNull(),
     email: text('email'),
+    address: text('address'),  // Postal address for invoices, one line per line
+    country: text('country'),  // ISO 3166 country code, e.g. 'NL'
+    vatId: text('vat_id'),  // VAT identification number, e.g. 'NL123456789B01'
+    cocNumber: text('coc_number'),  // Chamber of Commerce (KvK, KBO) registration number
+    peppolId: text('peppol_id'),  // Peppol address as 'scheme:id', e.g. '0106:12345678' (derived from the numbers above when empty)
+    currency: text('currency'),  // ISO 4217 code rates are billed in, null uses CALQ_CURRENCY
+    vatCategory: text('vat_category'),  // 'S', 'Z', 'E', 'AE' (reverse charge) or 'G' (export), null uses CALQ_VAT_RATE
+    vatRate: real('vat_rate'),  // VAT percentage for standard rated ('S') work
     notes: text('notes'),
+    roundingIncrement: integer('rounding_increment'),  // Bill in blocks of N minutes (null/0 = exact)
+    roundingMode: text('rounding_mode'),  // 'up', 'down' or 'nearest'
+    minimumMinutes: integer('minimum_minutes'),  // Minimum billable minutes per entry
     createdAt: timestamp('created_at').defaultNow(),
 });
 
@@ -28,6 +41,15 @@ export const projects = pgTable('projects', {
     clientId: text('client_id').references(() => clients.id),
     hourlyRate: real('hourly_rate').default(0),
     notes: text('notes'),
+    roundingIncrement: integer('rounding_increment'),  // Rounding overrides, null inherits from the client
+    roundingMode: text('rounding_mode'),
+    minimumMinutes: integer('minimum_minutes'),
+    budgetMinutes: integer('budget_minutes'),  // Hour budget, tracked minutes count against it
+    budgetAmount: real('budget_amount'),  // Money budget, billable value counts against it
+    budgetPeriod: text('budget_period'),  // total (default), week, month, quarter or year
+    currency: text('currency'),  // Currency and VAT overrides, null inherits from the client
+    vatCategory: text('vat_category'),
+    vatRate: real('vat_rate'),
     totalMinutes: integer('total_minutes').default(0),
     createdAt: timestamp('created_at').defaultNow(),
 }, (table) => [
@@ -43,6 +65,7 @@ export const tasks = pgTable('tasks', {
     projectId: text('project_id').references(() => projects.id),
     youtrackId: text('youtrack_id'),  // e.g., "PROJ-123"
     status: text('status').default('open'),  // 'open', 'done'
+    estimateMinutes: integer('estimate_minutes'),  // Expected effort, pulled from YouTrack's estimation when synced
     syncedAt: timestamp('synced_at'),
     createdAt: timestamp('created_at').defaultNow(),
     completedAt: timestamp('completed_at'),
@@ -64,12 +87,81 @@ export const entries = pgTable('entries', {
     billed: boolean('billed').default(false),
     userId: text('user_id').references(() => users.id),
     taskId: text('task_id').references(() => tasks.id),
+    startedAt: timestamp('started_at'),  // Actual start of the work, null if only a duration was logged
+    endedAt: timestamp('ended_at'),
+    invoiceId: text('invoice_id').references(() => invoices.id),  // Invoice that billed the entry
+    importKey: text('import_key'),  // Source row of an imported entry, e.g. "alice:toggl:123", to skip it on re-import
     createdAt: timestamp('created_at').defaultNow(),
 }, (table) => [
     index('idx_entries_project').on(table.projectId),
     index('idx_entries_user').on(table.userId),
     index('idx_entries_task').on(table.taskId),
     index('idx_entries_created').on(table.createdAt),
+    index('idx_entries_started').on(table.startedAt),
+    index('idx_entries_invoice').on(table.invoiceId),
+    uniqueIndex('idx_entries_import_key').on(table.importKey),
+]);
+
+// Tags table - free-form labels such as "meeting" or "bug", shared by the team
+export const tags = pgTable('tags', {
+    name: text('name').primaryKey(),  // Normalized: lowercase, dashes for spaces
+    createdAt: timestamp('created_at').defaultNow(),
+});
+
+// Entry tags - links entries to tags
+export const entryTags = pgTable('entry_tags', {
+    entryId: text('entry_id').notNull().references(() => entries.id, { onDelete: 'cascade' }),
+    tag: text('tag').notNull().references(() => tags.name),
+}, (table) => [
+    primaryKey({ columns: [table.entryId, table.tag] }),
+    index('idx_entry_tags_tag').on(table.tag),
+]);
+
+// Entry history table - audit trail of every change to an entry
+export const entryHistory = pgTable('entry_history', {
+    id: text('id').primaryKey(),
+    entryId: text('entry_id').notNull(),  // No foreign key: deleted entries keep their history
+    action: text('action').notNull(),  // 'create', 'edit', 'delete', 'undo'
+    actorId: text('actor_id').references(() => users.id),
+    ownerId: text('owner_id').references(() => users.id),  // User the entry belongs to
+    before: jsonb('before'),  // Entry before the change, null when it did not exist
+    after: jsonb('after'),  // Entry after the change, null when it was deleted
+    createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+    index('idx_entry_history_entry').on(table.entryId),
+    index('idx_entry_history_actor').on(table.actorId),
+    index('idx_entry_history_owner').on(table.ownerId),
+]);
+
+// Entry templates - saved entries to log by name, optionally on a recurring schedule
+export const entryTemplates = pgTable('entry_templates', {
+    id: text('id').primaryKey(),
+    userId: text('user_id').notNull().references(() => users.id),
+    name: text('name').notNull(),  // e.g. "standup", unique per user
+    projectId: text('project_id').notNull().references(() => projects.id),
+    description: text('description'),
+    minutes: integer('minutes').notNull(),
+    billable: boolean('billable').default(true),
+    taskId: text('task_id').references(() => tasks.id),
+    recurrence: text('recurrence'),  // 'daily', 'weekdays', 'weekly:mon,thu', 'monthly:15'; null if not recurring
+    startTime: text('start_time'),  // HH:MM in the user's timezone, null to log a duration only
+    autoCreate: boolean('auto_create').default(false),  // Log recurring entries directly instead of as drafts
+    generatedUntil: text('generated_until'),  // Last day (YYYY-MM-DD) recurring entries were generated for
+    createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+    uniqueIndex('idx_entry_templates_user_name').on(table.userId, table.name),
+]);
+
+// Entry drafts - recurring entries waiting for the user to confirm or dismiss
+export const entryDrafts = pgTable('entry_drafts', {
+    id: text('id').primaryKey(),
+    templateId: text('template_id').notNull().references(() => entryTemplates.id, { onDelete: 'cascade' }),
+    userId: text('user_id').notNull().references(() => users.id),
+    day: text('day').notNull(),  // YYYY-MM-DD in the user's timezone
+    createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+    uniqueIndex('idx_entry_drafts_template_day').on(table.templateId, table.day),
+    index('idx_entry_drafts_user').on(table.userId),
 ]);
 
 // Memories table - metadata only, vectors in ChromaDB
@@ -87,15 +179,140 @@ export const memories = pgTable('memories', {
     index('idx_memories_category').on(table.category),
 ]);
 
-// Active timer table - one per user
-export const activeTimer = pgTable('active_timer', {
-    userId: text('user_id').primaryKey().references(() => users.id),
-    projectId: text('project_id').references(() => projects.id),
+// Timers table - running and paused timers, several per user
+export const timers = pgTable('timers', {
+    id: text('id').primaryKey(),
+    userId: text('user_id').notNull().references(() => users.id),
+    projectId: text('project_id').notNull().references(() => projects.id),
     description: text('description'),
-    startedAt: timestamp('started_at'),
+    name: text('name'),  // Optional label to address parallel timers
+    parallel: boolean('parallel').default(false),  // Runs alongside the stack instead of pausing it
+    parentId: text('parent_id'),  // Timer paused when this one started, resumed when it stops
+    startedAt: timestamp('started_at').notNull(),
     pausedAt: timestamp('paused_at'),
     pausedDuration: integer('paused_duration').default(0), // Total paused time in minutes
-});
+    pauses: jsonb('pauses'),  // Ended pauses as [{ from, to }] ISO timestamps, so the stopped entry can skip them
+    lastActivityAt: timestamp('last_activity_at'),  // Last tool call by the user while the timer ran
+    autoPausedAt: timestamp('auto_paused_at'),  // Set when the idle sweep paused the timer
+    tags: jsonb('tags'),  // Tags for the entry logged when the timer stops
+}, (table) => [
+    index('idx_timers_user').on(table.userId),
+]);
+
+// Work schedules - contracted minutes per weekday from a date on; the latest one started applies
+export const workSchedules = pgTable('work_schedules', {
+    id: text('id').primaryKey(),
+    userId: text('user_id').notNull().references(() => users.id),
+    validFrom: text('valid_from').notNull(),  // YYYY-MM-DD in the user's timezone
+    dailyMinutes: jsonb('daily_minutes').notNull(),  // Seven numbers, Monday first, e.g. [480, 480, 480, 480, 480, 0, 0]
+    createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+    uniqueIndex('idx_work_schedules_user_from').on(table.userId, table.validFrom),
+]);
+
+// Leave - per-user absences; approved leave lowers the user's target on those days
+export const leave = pgTable('leave', {
+    id: text('id').primaryKey(),
+    userId: text('user_id').notNull().references(() => users.id),
+    type: text('type').notNull(),  // 'vacation', 'sick', 'holiday', 'other'
+    startDate: text('start_date').notNull(),  // YYYY-MM-DD, inclusive
+    endDate: text('end_date').notNull(),  // YYYY-MM-DD, inclusive
+    minutes: integer('minutes'),  // Absent minutes per day for partial days, null for full days
+    note: text('note'),
+    status: text('status').notNull().default('requested'),  // 'requested', 'approved', 'rejected'
+    reviewedBy: text('reviewed_by').references(() => users.id),
+    reviewedAt: timestamp('reviewed_at'),
+    createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+    index('idx_leave_user').on(table.userId),
+    index('idx_leave_status').on(table.status),
+]);
+
+// Public holidays per calendar, e.g. imported from an ICS feed
+export const holidays = pgTable('holidays', {
+    id: text('id').primaryKey(),
+    calendar: text('calendar').notNull(),  // e.g. "team" or "nl"
+    date: text('date').notNull(),  // YYYY-MM-DD
+    name: text('name'),
+    createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+    uniqueIndex('idx_holidays_calendar_date').on(table.calendar, table.date),
+]);
+
+// Timesheets table - weekly submission and approval; approved weeks are locked
+export const timesheets = pgTable('timesheets', {
+    id: text('id').primaryKey(),
+    userId: text('user_id').notNull().references(() => users.id),
+    weekStart: text('week_start').notNull(),  // Monday, YYYY-MM-DD in the user's timezone
+    status: text('status').notNull().default('submitted'),  // 'submitted', 'approved', 'rejected', 'open'
+    note: text('note'),  // Submitter's note
+    comment: text('comment'),  // Reviewer's comment
+    submittedAt: timestamp('submitted_at'),
+    reviewedBy: text('reviewed_by').references(() => users.id),
+    reviewedAt: timestamp('reviewed_at'),
+}, (table) => [
+    uniqueIndex('idx_timesheets_user_week').on(table.userId, table.weekStart),
+    index('idx_timesheets_status').on(table.status),
+]);
+
+// Invoices - numbered per year, lines generated from unbilled entries
+export const invoices = pgTable('invoices', {
+    id: text('id').primaryKey(),
+    number: text('number').notNull(),  // e.g. "2026-0007"
+    year: integer('year').notNull(),
+    sequence: integer('sequence').notNull(),  // Counts up per year, voided invoices keep their number
+    clientId: text('client_id').references(() => clients.id),
+    periodFrom: text('period_from'),  // YYYY-MM-DD, inclusive
+    periodTo: text('period_to'),
+    grouping: text('grouping').notNull().default('project'),  // Lines per 'project' or 'task'
+    status: text('status').notNull().default('draft'),  // 'draft', 'sent', 'paid', 'void'
+    currency: text('currency'),  // ISO 4217 code
+    subtotal: real('subtotal').notNull().default(0),  // Net amount
+    vatAmount: real('vat_amount'),
+    total: real('total'),  // Gross amount to pay
+    notes: text('notes'),
+    buyerReference: text('buyer_reference'),  // Client's purchase order or reference, required by many e-invoice recipients
+    issuedOn: text('issued_on').notNull(),  // YYYY-MM-DD
+    createdBy: text('created_by').references(() => users.id),
+    sentAt: timestamp('sent_at'),
+    paidAt: timestamp('paid_at'),
+    voidedAt: timestamp('voided_at'),
+    createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+    uniqueIndex('idx_invoices_year_sequence').on(table.year, table.sequence),
+    index('idx_invoices_client').on(table.clientId),
+    index('idx_invoices_status').on(table.status),
+]);
+
+// Invoice lines - billable time per project or task
+export const invoiceLines = pgTable('invoice_lines', {
+    id: text('id').primaryKey(),
+    invoiceId: text('invoice_id').notNull().references(() => invoices.id, { onDelete: 'cascade' }),
+    position: integer('position').notNull(),
+    projectId: text('project_id').references(() => projects.id),
+    taskId: text('task_id').references(() => tasks.id),
+    description: text('description').notNull(),
+    minutes: integer('minutes').notNull(),  // Billable minutes, after rounding
+    entryCount: integer('entry_count').notNull().default(0),
+    rate: real('rate').notNull().default(0),
+    amount: real('amount').notNull().default(0),
+    vatCategory: text('vat_category'),  // VAT of the project when invoiced
+    vatRate: real('vat_rate'),
+}, (table) => [
+    index('idx_invoice_lines_invoice').on(table.invoiceId),
+]);
+
+// Exchange rates for combined overviews across currencies, maintained by admins
+export const exchangeRates = pgTable('exchange_rates', {
+    id: text('id').primaryKey(),
+    currency: text('currency').notNull(),  // ISO 4217 code, e.g. 'USD'
+    rate: real('rate').notNull(),  // Value of one unit in the base currency (CALQ_CURRENCY)
+    validFrom: text('valid_from').notNull(),  // YYYY-MM-DD; the latest rate on or before a day applies
+    createdBy: text('created_by').references(() => users.id),
+    createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+    uniqueIndex('idx_exchange_rates_currency_date').on(table.currency, table.validFrom),
+]);
 
 // OAuth registered clients
 export const oauthClients = pgTable('oauth_clients', {
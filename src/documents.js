@@ -0,0 +1,404 @@
+// Invoice and client timesheet documents, as HTML or PDF from customisable templates
+// Everything is rendered here; company details come from the CALQ_COMPANY_* environment variables
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { getInvoice, findClient, aggregateEntries } from './storage.js';
+import { addDays, localDateString } from './dates.js';
+import { createPdf, fitText, wrapText, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+import { resolveTax, describeTax, taxTotals, formatMoney } from './billing.js';
+
+export const DOCUMENT_TYPES = ['invoice', 'timesheet'];
+export const DOCUMENT_FORMATS = ['pdf', 'html'];
+
+const BUILT_IN_TEMPLATES = fileURLToPath(new URL('../templates/', import.meta.url));
+
+const hours = (minutes) => (minutes / 60).toFixed(2);
+
+// Statements invoices without VAT need, by VAT category
+const VAT_NOTES = {
+    E: 'Exempt from VAT.',
+    AE: 'VAT reverse charged: the customer accounts for the VAT.',
+    G: 'Export of services outside the EU, VAT 0%.',
+};
+
+// Address text as lines; newlines or "|" separate them (env vars are single-line)
+export function addressLines(text) {
+    return String(text || '').split(/\r?\n|\|/).map(line => line.trim()).filter(Boolean);
+}
+
+// The invoicing company, from the CALQ_COMPANY_* environment variables
+export function companyDetails() {
+    return {
+        name: process.env.CALQ_COMPANY_NAME || 'Calq',
+        addressLines: addressLines(process.env.CALQ_COMPANY_ADDRESS),
+        country: (process.env.CALQ_COMPANY_COUNTRY || 'NL').toUpperCase(),
+        email: process.env.CALQ_COMPANY_EMAIL || null,
+        iban: process.env.CALQ_COMPANY_IBAN?.replace(/\s/g, '') || null,
+        vatId: process.env.CALQ_COMPANY_VAT_ID || null,
+        cocNumber: process.env.CALQ_COMPANY_COC || null,
+        peppolId: process.env.CALQ_COMPANY_PEPPOL_ID || null,
+    };
+}
+
+function clientDetails(client) {
+    return {
+        name: client?.name || 'Unknown client',
+        addressLines: addressLines(client?.address),
+        email: client?.email || null,
+        vatId: client?.vatId || null,
+        cocNumber: client?.cocNumber || null,
+    };
+}
+
+// Due date of an invoice issued on a day, after CALQ_PAYMENT_DAYS (default 30)
+export function paymentDueDate(issuedOn) {
+    return addDays(issuedOn, Number(process.env.CALQ_PAYMENT_DAYS) > 0 ? Number(process.env.CALQ_PAYMENT_DAYS) : 30);
+}
+
+// Subtotal, VAT per category and rate, and total rows of a taxTotals total; labelled names
+// the currency, for documents with totals in several currencies
+function totalRows(total, labelled = false) {
+    const money = (amount) => formatMoney(amount, total.currency);
+    const suffix = labelled ? ` ${total.currency}` : '';
+    return [
+        { label: `Subtotal${suffix}`, value: money(total.net) },
+        ...total.taxes.map(tax => ({
+            label: total.taxes.length > 1 ? `${describeTax(tax)} on ${money(tax.net)}` : describeTax(tax),
+            value: money(tax.vat),
+        })),
+        { label: `Total${suffix}`, value: money(total.gross), grand: true },
+    ];
+}
+
+/**
+ * Document for an invoice created with createInvoice
+ * @param {string} ref - Invoice id or number
+ * @returns {Promise<Object>} Document for renderDocument, or { error }
+ */
+export async function invoiceDocument(ref) {
+    const invoice = await getInvoice(ref);
+    if (!invoice) return { error: `Invoice not found: ${ref}`, notFound: true };
+
+    const dueOn = paymentDueDate(invoice.issuedOn);
+    const company = companyDetails();
+    const money = (amount) => formatMoney(amount, invoice.currency);
+    const vatNotes = [...new Set(invoice.taxes.map(tax => VAT_NOTES[tax.vatCategory]).filter(Boolean))];
+    const open = invoice.status === 'draft' || invoice.status === 'sent';
+
+    return {
+        type: 'invoice',
+        title: 'Invoice',
+        reference: invoice.number,
+        filename: `invoice-${invoice.number}`,
+        stamp: { paid: 'PAID', void: 'VOID' }[invoice.status] || null,
+        company,
+        client: clientDetails(invoice.client),
+        details: [
+            { label: 'Invoice number', value: invoice.number },
+            { label: 'Invoice date', value: invoice.issuedOn },
+            { label: 'Due date', value: dueOn },
+            { label: 'Period', value: `${invoice.periodFrom} – ${invoice.periodTo}` },
+            ...(invoice.buyerReference ? [{ label: 'Your reference', value: invoice.buyerReference }] : []),
+        ],
+        rows: invoice.lines.map(line => ({
+            description: line.description,
+            hours: hours(line.minutes),
+            rate: money(line.rate),
+            amount: money(line.amount),
+        })),
+        totals: totalRows({ currency: invoice.currency, net: invoice.subtotal, vat: invoice.vatAmount, gross: invoice.total, taxes: invoice.taxes }),
+        notes: [invoice.notes, ...vatNotes].filter(Boolean).join('\n') || null,
+        payment: open
+            ? `Please pay ${money(invoice.total)} by ${dueOn}${company.iban ? ` to ${company.iban}` : ''}, stating invoice number ${invoice.number}.`
+            : null,
+    };
+}
+
+/**
+ * Timesheet report of a client's time, one row per entry
+ * @param {string} clientName - Client id or name
+ * @param {Object} filters - aggregateEntries filters: userId (null for the team), from, to, timezone, project, tag, billable, billed
+ * @returns {Promise<Object>} Document for renderDocument, or { error }
+ */
+export async function timesheetDocument(clientName, filters = {}) {
+    const client = await findClient(clientName);
+    if (!client) return { error: `Client not found: ${clientName}`, notFound: true };
+
+    const report = await aggregateEntries({ ...filters, client: client.id, groupBy: 'day' });
+    // The client filter also matches similar names
+    const list = report.groups
+        .flatMap(g => g.entries)
+        .filter(e => e.clientId === client.id)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    if (list.length === 0) return { error: `No time logged for ${client.name} in this period` };
+
+    const timezone = report.timezone;
+    const from = filters.from || localDateString(list[0].createdAt, timezone);
+    const to = filters.to || localDateString(list[list.length - 1].createdAt, timezone);
+    const minutes = list.reduce((sum, e) => sum + (e.billable ? e.billableMinutes : e.minutes), 0);
+    const value = (e) => (e.billableMinutes / 60) * (e.hourlyRate || 0);
+    const totals = taxTotals(list.filter(e => e.billable).map(e => ({ ...e, net: value(e) })));
+    const empty = { currency: resolveTax(null, client).currency, net: 0, vat: 0, gross: 0, taxes: [] };
+
+    return {
+        type: 'timesheet',
+        title: 'Timesheet',
+        reference: `${client.name} ${from} – ${to}`,
+        filename: `timesheet-${client.id}-${from}_${to}`.replace(/[^\w.-]+/g, '-'),
+        stamp: null,
+        company: companyDetails(),
+        client: clientDetails(client),
+        details: [
+            { label: 'Period', value: `${from} – ${to}` },
+            { label: 'Date', value: localDateString(new Date(), timezone) },
+            { label: 'Hours', value: hours(minutes) },
+            { label: 'Entries', value: String(list.length) },
+        ],
+        rows: list.map(e => ({
+            date: localDateString(e.createdAt, timezone),
+            user: e.username || e.userId || '',
+            project: e.projectName,
+            description: e.description || '',
+            hours: hours(e.billable ? e.billableMinutes : e.minutes),
+            amount: e.billable ? formatMoney(value(e), e.currency) : 'n/a',
+        })),
+        totals: totals.length > 0 ? totals.flatMap(total => totalRows(total, totals.length > 1)) : totalRows(empty),
+        notes: null,
+        payment: null,
+    };
+}
+
+// ==================== HTML ====================
+
+const TEMPLATE_TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#each|#if|\/each|\/if)?\s*([\w.]*)\s*\}\}/g;
+
+// Template tree: text, values and {{#each}}/{{#if}} sections with their children
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+
+    for (const match of template.matchAll(TEMPLATE_TAG)) {
+        const top = stack[stack.length - 1];
+        top.children.push({ text: template.slice(last, match.index) });
+        last = match.index + match[0].length;
+
+        const [, raw, section, name] = match;
+        if (raw !== undefined) {
+            top.children.push({ value: raw, raw: true });
+        } else if (section === '#each' || section === '#if') {
+            const node = { section: section.slice(1), name, children: [] };
+            top.children.push(node);
+            stack.push(node);
+        } else if (section) {
+            if (top.section !== section.slice(1)) throw new Error(`Template has an unexpected {{${section}}}`);
+            stack.pop();
+        } else {
+            top.children.push({ value: name });
+        }
+    }
+    if (stack.length > 1) throw new Error(`Template has an unclosed {{#${stack[stack.length - 1].section}}}`);
+    root.children.push({ text: template.slice(last) });
+    return root;
+}
+
+// Dotted name in the innermost scope that has it; "." is the current item
+function lookup(scopes, name) {
+    if (name === '.') return scopes[0];
+    for (const scope of scopes) {
+        const value = name.split('.').reduce((obj, key) => obj?.[key], scope);
+        if (value !== undefined) return value;
+    }
+    return undefined;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderNodes(nodes, scopes, escape) {
+    return nodes.map(node => {
+        if (node.text !== undefined) return node.text;
+        if (node.section === undefined) {
+            const value = lookup(scopes, node.value);
+            return node.raw ? String(value ?? '') : escape(value);
+        }
+        const value = lookup(scopes, node.name);
+        if (node.section === 'each') {
+            return (Array.isArray(value) ? value : []).map(item => renderNodes(node.children, [item, ...scopes], escape)).join('');
+        }
+        const shown = Array.isArray(value) ? value.length > 0 : !!value;
+        return shown ? renderNodes(node.children, scopes, escape) : '';
+    }).join('');
+}
+
+/**
+ * Fill a template: {{name}} is inserted escaped, {{{name}}} as is, {{#each list}}…{{/each}}
+ * repeats for every item ({{.}} is the item itself) and {{#if name}}…{{/if}} shows when set
+ * @param {string} template
+ * @param {Object} data
+ * @param {Function} escape - How {{name}} values are escaped, HTML by default
+ * @returns {string}
+ */
+export function renderTemplate(template, data, escape = escapeHtml) {
+    return renderNodes(parseTemplate(template).children, [data], escape);
+}
+
+// A template from CALQ_TEMPLATES_DIR when it has one, otherwise the built-in one
+async function loadTemplate(type) {
+    const custom = process.env.CALQ_TEMPLATES_DIR ? join(process.env.CALQ_TEMPLATES_DIR, `${type}.html`) : null;
+    return readFile(custom && existsSync(custom) ? custom : join(BUILT_IN_TEMPLATES, `${type}.html`), 'utf8');
+}
+
+// ==================== PDF ====================
+
+// A PDF layout from CALQ_TEMPLATES_DIR when it has one, on top of the built-in one: settings a custom
+// layout leaves out keep their built-in value
+async function loadPdfLayout(type) {
+    const layout = JSON.parse(await readFile(join(BUILT_IN_TEMPLATES, `${type}.pdf.json`), 'utf8'));
+    const custom = process.env.CALQ_TEMPLATES_DIR ? join(process.env.CALQ_TEMPLATES_DIR, `${type}.pdf.json`) : null;
+    if (!custom || !existsSync(custom)) return layout;
+    let overrides;
+    try {
+        overrides = JSON.parse(await readFile(custom, 'utf8'));
+    } catch (error) {
+        throw new Error(`${custom} is not valid JSON: ${error.message}`);
+    }
+    if (overrides.columns && !(Array.isArray(overrides.columns) && overrides.columns.length > 0 && overrides.columns.every(c => c.key && c.width > 0))) {
+        throw new Error(`${custom}: columns must be a list of { key, label, width } with widths above 0`);
+    }
+    return { ...layout, ...overrides, fontSizes: { ...layout.fontSizes, ...overrides.fontSizes } };
+}
+
+// Layout text filled in with the document: a template, or a list of them, gives one line per
+// line of output, without empty ones
+function layoutLines(templates, data) {
+    return [templates].flat()
+        .flatMap(template => renderTemplate(template, data, value => String(value ?? '')).split('\n'))
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+const MARGIN = 50;
+const BOTTOM = PAGE_HEIGHT - 70;
+
+// The document laid out on A4 pages after a layout from loadPdfLayout: letterhead, addresses,
+// line items, totals and notes
+function documentPdf(doc, layout) {
+    const title = layoutLines(layout.title, doc)[0] || doc.title;
+    const pdf = createPdf({ title: `${title} ${doc.reference}`, author: doc.company.name });
+    const right = PAGE_WIDTH - MARGIN;
+    const width = right - MARGIN;
+    const sizes = layout.fontSizes;
+    pdf.addPage();
+
+    // Letterhead: company name on the left, its details on the right
+    pdf.text(doc.company.name, MARGIN, 62, { size: sizes.company, bold: true });
+    const companyLines = layoutLines(layout.letterhead, doc);
+    companyLines.forEach((line, i) => pdf.text(line, right, 52 + i * 12, { size: 8, align: 'right', gray: 0.35 }));
+
+    let y = Math.max(110, 52 + companyLines.length * 12 + 30);
+    pdf.text(title, MARGIN, y, { size: sizes.title, bold: true });
+    if (doc.stamp) pdf.text(doc.stamp, right, y, { size: sizes.title, bold: true, align: 'right', gray: 0.6 });
+
+    // Client on the left, document details on the right
+    y += 30;
+    pdf.text(layout.clientLabel, MARGIN, y, { size: 7, bold: true, gray: 0.45 });
+    const clientLines = layoutLines(layout.client, doc);
+    clientLines.forEach((line, i) => pdf.text(fitText(line, width - 230, 10, i === 0), MARGIN, y + 14 + i * 13, { size: 10, bold: i === 0 }));
+    doc.details.forEach((detail, i) => {
+        pdf.text(detail.label, right - 210, y + 14 + i * 13, { size: 9, gray: 0.45 });
+        pdf.text(detail.value, right, y + 14 + i * 13, { size: 9, align: 'right' });
+    });
+    y += 14 + Math.max(clientLines.length, doc.details.length) * 13 + 25;
+
+    // Line items, with the header repeated on every page
+    let x = MARGIN;
+    const total = layout.columns.reduce((sum, column) => sum + column.width, 0);
+    const columns = layout.columns.map(column => {
+        const placed = { ...column, x, width: (column.width / total) * width };
+        x += placed.width;
+        return placed;
+    });
+    const cell = (column, value, top, options = {}) => {
+        const text = fitText(value ?? '', column.width - 8, sizes.text, options.bold);
+        pdf.text(text, column.align === 'right' ? column.x + column.width - 4 : column.x + 4, top, { size: sizes.text, align: column.align || 'left', ...options });
+    };
+    const header = () => {
+        pdf.box(MARGIN, y - 12, width, 18);
+        for (const column of columns) cell(column, column.label, y, { bold: true });
+        y += 20;
+    };
+    const newPage = () => {
+        pdf.addPage();
+        y = 60;
+    };
+
+    header();
+    for (const row of doc.rows) {
+        if (y > BOTTOM) {
+            newPage();
+            header();
+        }
+        for (const column of columns) cell(column, row[column.key], y);
+        pdf.line(MARGIN, y + 5, right, y + 5, { gray: 0.85 });
+        y += 17;
+    }
+
+    // Totals, right-aligned under the amounts
+    y += 8;
+    if (y + doc.totals.length * 16 > BOTTOM) newPage();
+    for (const total of doc.totals) {
+        if (total.grand) {
+            pdf.line(right - 210, y - 11, right, y - 11, { width: 0.8, gray: 0.2 });
+            y += 2;
+        }
+        pdf.text(total.label, right - 210, y, { size: total.grand ? 11 : 9, bold: !!total.grand });
+        pdf.text(total.value, right, y, { size: total.grand ? 11 : 9, bold: !!total.grand, align: 'right' });
+        y += 16;
+    }
+
+    // Notes and payment instructions
+    y += 14;
+    const notes = [layout.notes].flat().map(template => renderTemplate(template, doc, value => String(value ?? '')).trim());
+    for (const text of notes.filter(Boolean)) {
+        for (const line of wrapText(text, width, sizes.text)) {
+            if (y > BOTTOM) newPage();
+            pdf.text(line, MARGIN, y, { size: sizes.text, gray: 0.25 });
+            y += 13;
+        }
+        y += 6;
+    }
+
+    // Footer on every page, now that the page count is known
+    for (let i = 0; i < pdf.pageCount; i++) {
+        pdf.setPage(i);
+        const page = { ...doc, title, page: i + 1, pages: pdf.pageCount };
+        pdf.text(layoutLines(layout.footer, page).join(' '), MARGIN, PAGE_HEIGHT - 36, { size: 7, gray: 0.5 });
+        pdf.text(layoutLines(layout.pageNumber, page).join(' '), right, PAGE_HEIGHT - 36, { size: 7, gray: 0.5, align: 'right' });
+    }
+    return pdf.toBuffer();
+}
+
+/**
+ * Render a document from invoiceDocument or timesheetDocument
+ * @param {Object} doc
+ * @param {string} format - pdf or html
+ * @returns {Promise<{body: string|Buffer, contentType: string, filename: string}>}
+ */
+export async function renderDocument(doc, format = 'pdf') {
+    const filename = `${doc.filename}.${format}`;
+    if (format === 'html') {
+        const template = await loadTemplate(doc.type);
+        return { body: renderTemplate(template, doc), contentType: 'text/html; charset=utf-8', filename };
+    }
+    return { body: documentPdf(doc, await loadPdfLayout(doc.type)), contentType: 'application/pdf', filename };
+}
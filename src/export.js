@@ -0,0 +1,225 @@
+// Report exports for spreadsheets: entries, summaries and invoice lines as CSV, JSON or Excel XML
+// Shared by the time_export tool and the /export HTTP route
+
+import { aggregateEntries, groupEntries } from './storage.js';
+import { localDateString, formatClockTime } from './dates.js';
+import { roundAmount } from './billing.js';
+
+export const EXPORT_DATASETS = ['entries', 'summary', 'invoice'];
+export const EXPORT_FORMATS = ['csv', 'json', 'xls'];
+
+const hours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+const money = roundAmount;
+
+// Billable value of one entry; non-billable entries are worth nothing
+const entryValue = (entry) => entry.billable ? (entry.billableMinutes / 60) * (entry.hourlyRate || 0) : 0;
+
+const COLUMNS = {
+    entries: [
+        ['id', 'ID', 'text'],
+        ['date', 'Date', 'text'],
+        ['start', 'Start', 'text'],
+        ['end', 'End', 'text'],
+        ['user', 'User', 'text'],
+        ['client', 'Client', 'text'],
+        ['project', 'Project', 'text'],
+        ['task', 'Task', 'text'],
+        ['description', 'Description', 'text'],
+        ['tags', 'Tags', 'text'],
+        ['minutes', 'Minutes', 'number'],
+        ['hours', 'Hours', 'number'],
+        ['billableHours', 'Billable hours', 'number'],
+        ['billable', 'Billable', 'boolean'],
+        ['billed', 'Billed', 'boolean'],
+        ['currency', 'Currency', 'text'],
+        ['rate', 'Rate', 'number'],
+        ['value', 'Value', 'number'],
+    ],
+    summary: [
+        ['key', 'Key', 'text'],
+        ['label', 'Name', 'text'],
+        ['entries', 'Entries', 'number'],
+        ['minutes', 'Minutes', 'number'],
+        ['hours', 'Hours', 'number'],
+        ['billableHours', 'Billable hours', 'number'],
+        ['currency', 'Currency', 'text'],
+        ['value', 'Value', 'number'],
+    ],
+    invoice: [
+        ['client', 'Client', 'text'],
+        ['project', 'Project', 'text'],
+        ['entries', 'Entries', 'number'],
+        ['hours', 'Hours', 'number'],
+        ['billableHours', 'Billable hours', 'number'],
+        ['currency', 'Currency', 'text'],
+        ['rate', 'Rate', 'number'],
+        ['amount', 'Amount', 'number'],
+        ['vatCategory', 'VAT category', 'text'],
+        ['vatRate', 'VAT %', 'number'],
+        ['vat', 'VAT', 'number'],
+        ['gross', 'Amount incl. VAT', 'number'],
+    ],
+};
+
+/**
+ * Rows of an export dataset. Takes the aggregateEntries filters; the invoice dataset
+ * only covers billable, unbilled time.
+ * @param {string} dataset - entries (one row per entry), summary (one row per group and currency) or invoice (one row per client and project)
+ * @param {Object} filters - userId, from, to, timezone, project, client, tag, billable, billed, groupBy (summary)
+ * @returns {Promise<{dataset: string, columns: {key: string, label: string, type: string}[], rows: Object[], filters: Object}>}
+ */
+export async function buildExport(dataset, filters = {}) {
+    if (!EXPORT_DATASETS.includes(dataset)) throw new Error(`Unknown dataset: ${dataset}`);
+
+    const options = dataset === 'invoice' ? { ...filters, billable: true, billed: false } : filters;
+    // Grouped by day so every entry appears once, even with tag filters
+    const report = await aggregateEntries({ ...options, groupBy: dataset === 'summary' ? filters.groupBy || 'project' : 'day' });
+    const timezone = report.timezone;
+    const columns = COLUMNS[dataset].map(([key, label, type]) => ({ key, label, type }));
+
+    let rows;
+    if (dataset === 'summary') {
+        // Values in different currencies don't add up, so a group gets a row per currency
+        rows = report.groups.flatMap(g => {
+            const currencies = [...new Set(g.entries.map(e => e.currency))].sort();
+            return currencies.map(currency => {
+                const subset = g.entries.filter(e => e.currency === currency);
+                const minutes = subset.reduce((sum, e) => sum + e.minutes, 0);
+                return {
+                    key: g.key,
+                    label: g.label,
+                    entries: subset.length,
+                    minutes,
+                    hours: hours(minutes),
+                    billableHours: hours(subset.reduce((sum, e) => sum + e.billableMinutes, 0)),
+                    currency,
+                    value: money(subset.reduce((sum, e) => sum + entryValue(e), 0)),
+                };
+            });
+        });
+    } else {
+        const list = report.groups
+            .flatMap(g => g.entries)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        if (dataset === 'entries') {
+            rows = list.map(e => ({
+                id: e.id,
+                date: localDateString(e.createdAt, timezone),
+                start: e.startedAt ? formatClockTime(e.startedAt, timezone) : '',
+                end: e.endedAt ? formatClockTime(e.endedAt, timezone) : '',
+                user: e.username || e.userId || '',
+                client: e.clientName || '',
+                project: e.projectName,
+                task: e.taskId || '',
+                description: e.description || '',
+                tags: e.tags.join(', '),
+                minutes: e.minutes,
+                hours: hours(e.minutes),
+                billableHours: hours(e.billableMinutes),
+                billable: !!e.billable,
+                billed: !!e.billed,
+                currency: e.currency,
+                rate: e.hourlyRate || 0,
+                value: money(entryValue(e)),
+            }));
+        } else {
+            rows = [];
+            for (const client of groupEntries(list, 'client', timezone)) {
+                for (const project of groupEntries(client.entries, 'project', timezone)) {
+                    // A project bills in one currency at one VAT rate
+                    const { currency, vatCategory, vatRate, hourlyRate } = project.entries[0];
+                    const amount = money(project.value);
+                    const vat = money((amount * vatRate) / 100);
+                    rows.push({
+                        client: client.key === 'no-client' ? '' : client.label,
+                        project: project.label,
+                        entries: project.entryCount,
+                        hours: hours(project.minutes),
+                        billableHours: hours(project.billableMinutes),
+                        currency,
+                        rate: hourlyRate || 0,
+                        amount,
+                        vatCategory,
+                        vatRate,
+                        vat,
+                        gross: money(amount + vat),
+                    });
+                }
+            }
+        }
+    }
+
+    return {
+        dataset,
+        columns,
+        rows,
+        filters: { from: report.from, to: report.to, timezone, groupBy: dataset === 'summary' ? report.groupBy : null },
+    };
+}
+
+// Quote a CSV field when needed; text that spreadsheets would run as a formula gets a leading quote
+function csvField(value, type) {
+    if (value === null || value === undefined) return '';
+    let text = type === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+    if (type === 'text' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Excel 2003 XML workbook: one typed worksheet, opens in Excel, LibreOffice and Numbers
+function spreadsheetXml(table, title) {
+    const cell = (value, type) => type === 'number'
+        ? `<Cell><Data ss:Type="Number">${Number(value) || 0}</Data></Cell>`
+        : `<Cell><Data ss:Type="String">${escapeXml(type === 'boolean' ? (value ? 'yes' : 'no') : value ?? '')}</Data></Cell>`;
+
+    const header = `<Row>${table.columns.map(c => `<Cell ss:StyleID="header"><Data ss:Type="String">${escapeXml(c.label)}</Data></Cell>`).join('')}</Row>`;
+    const rows = table.rows.map(row => `<Row>${table.columns.map(c => cell(row[c.key], c.type)).join('')}</Row>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<?mso-application progid="Excel.Sheet"?>',
+        '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+        '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+        // Sheet names are limited to 31 characters
+        `<Worksheet ss:Name="${escapeXml(title.slice(0, 31))}"><Table>`,
+        header,
+        ...rows,
+        '</Table></Worksheet>',
+        '</Workbook>',
+    ].join('\n');
+}
+
+/**
+ * Serialize an export built by buildExport
+ * @param {Object} table - { dataset, columns, rows, filters }
+ * @param {string} format - csv, json or xls (Excel XML)
+ * @returns {{body: string, contentType: string, filename: string}}
+ */
+export function renderExport(table, format = 'csv') {
+    const range = [table.filters.from, table.filters.to].filter(Boolean).join('_');
+    const filename = `calq-${table.dataset}${range ? `-${range}` : ''}.${format}`;
+
+    if (format === 'json') {
+        const body = JSON.stringify({ dataset: table.dataset, filters: table.filters, rows: table.rows }, null, 2);
+        return { body, contentType: 'application/json; charset=utf-8', filename };
+    }
+    if (format === 'xls') {
+        return { body: spreadsheetXml(table, table.dataset), contentType: 'application/vnd.ms-excel; charset=utf-8', filename };
+    }
+
+    const lines = [
+        table.columns.map(c => csvField(c.label, 'text')).join(','),
+        ...table.rows.map(row => table.columns.map(c => csvField(row[c.key], c.type)).join(',')),
+    ];
+    // CRLF and a byte order mark so Excel reads the file as UTF-8
+    return { body: `\uFEFF${lines.join('\r\n')}\r\n`, contentType: 'text/csv; charset=utf-8', filename };
+}
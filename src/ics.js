@@ -0,0 +1,147 @@
+// Minimal iCalendar (RFC 5545) reader for public holiday feeds
+// Reads VEVENT dates and summaries; recurrence rules are not expanded, most holiday feeds list every year
+
+import { addDays, isValidDay } from './dates.js';
+
+// Limits against malformed or hostile feeds; a country's holidays for decades fit well within them
+const MAX_EVENTS = 5000;
+const MAX_EVENT_DAYS = 366;
+const MAX_HOLIDAYS = 10000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+
+// Join folded lines: a line starting with a space or tab continues the previous one
+function unfold(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescape(value) {
+    return value
+        .replace(/\\n/gi, ' ')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+// "NAME;PARAM=X:VALUE" -> { name, params, value }
+function parseLine(line) {
+    const colon = line.indexOf(':');
+    if (colon === -1) return null;
+    const [name, ...params] = line.slice(0, colon).split(';');
+    return {
+        name: name.toUpperCase(),
+        params: params.map(p => p.toUpperCase()),
+        value: line.slice(colon + 1),
+    };
+}
+
+// "20261225" or "20261225T000000Z" -> "2026-12-25"
+function icsDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+    const day = `${match[1]}-${match[2]}-${match[3]}`;
+    return isValidDay(day) ? day : null;
+}
+
+/**
+ * Parse the events of an iCalendar file
+ * @param {string} text - Contents of an .ics file
+ * @returns {{summary: string, start: string, end: string}[]} Dates as YYYY-MM-DD, end inclusive
+ */
+export function parseIcsEvents(text) {
+    const events = [];
+    let event = null;
+
+    for (const line of unfold(text)) {
+        const prop = parseLine(line.trim());
+        if (!prop) continue;
+
+        if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') {
+            event = {};
+        } else if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+            if (event?.start && event.status !== 'CANCELLED') {
+                if (events.length >= MAX_EVENTS) throw new Error(`Calendar has more than ${MAX_EVENTS} events`);
+                let end = event.end || event.start;
+                // All-day events end on the day after
+                if (event.end && event.allDay && end > event.start) end = addDays(end, -1);
+                events.push({ summary: event.summary || '', start: event.start, end: end < event.start ? event.start : end });
+            }
+            event = null;
+        } else if (event) {
+            if (prop.name === 'DTSTART') {
+                event.start = icsDate(prop.value);
+                event.allDay = prop.params.includes('VALUE=DATE') || /^\d{8}$/.test(prop.value);
+            } else if (prop.name === 'DTEND') {
+                event.end = icsDate(prop.value);
+            } else if (prop.name === 'SUMMARY') {
+                event.summary = unescape(prop.value);
+            } else if (prop.name === 'STATUS') {
+                event.status = prop.value.toUpperCase();
+            }
+        }
+    }
+
+    return events;
+}
+
+/**
+ * One holiday per day covered by the events in an iCalendar file.
+ * Events spanning more than a year are skipped.
+ * @param {string} text
+ * @returns {{date: string, name: string}[]}
+ */
+export function parseHolidays(text) {
+    const days = new Map();
+    for (const event of parseIcsEvents(text)) {
+        if (event.end > addDays(event.start, MAX_EVENT_DAYS - 1)) continue;
+        for (let day = event.start; day <= event.end; day = addDays(day, 1)) {
+            if (!days.has(day)) days.set(day, { date: day, name: event.summary });
+        }
+        if (days.size > MAX_HOLIDAYS) throw new Error(`Calendar covers more than ${MAX_HOLIDAYS} days`);
+    }
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Body of a response as text, or null when it is larger than the limit
+async function readText(response, limit) {
+    if (Number(response.headers.get('content-length')) > limit) return null;
+    const chunks = [];
+    let size = 0;
+    // Leaving the loop early cancels the rest of the download
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > limit) return null;
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Download an iCalendar feed, giving up after 15 seconds or 5 MB
+ * @param {string} url - http(s) or webcal URL
+ * @returns {Promise<string>}
+ */
+export async function fetchIcs(url) {
+    const httpUrl = url.replace(/^webcal:/i, 'https:');
+    if (!/^https?:\/\//i.test(httpUrl)) {
+        throw new Error('Calendar URL must start with http://, https:// or webcal://');
+    }
+
+    let text;
+    try {
+        const response = await fetch(httpUrl, { headers: { 'Accept': 'text/calendar' }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`Calendar download failed: ${response.status}`);
+        }
+        text = await readText(response, MAX_FEED_BYTES);
+    } catch (error) {
+        if (error.name === 'TimeoutError') throw new Error('Calendar download timed out');
+        throw error;
+    }
+    if (text === null) {
+        throw new Error(`Calendar is larger than ${MAX_FEED_BYTES / 1024 / 1024} MB`);
+    }
+    if (!text.includes('BEGIN:VCALENDAR')) {
+        throw new Error('Not an iCalendar file');
+    }
+    return text;
+}
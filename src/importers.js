@@ -0,0 +1,369 @@
+// Readers for the time exports of Toggl Track, Clockify and Harvest
+// Each export becomes a list of plain records; storage decides what gets imported
+
+import crypto from 'crypto';
+import { DEFAULT_TIMEZONE, zonedTime, isValidDay } from './dates.js';
+
+export const IMPORT_SOURCES = ['toggl', 'clockify', 'harvest'];
+
+/**
+ * Parse CSV text into objects keyed by lowercased column name. Handles quoted
+ * fields, doubled quotes, CRLF line ends, a byte order mark and semicolon-separated files.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split('\n', 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+    const keys = header.map(h => h.trim().toLowerCase());
+    return body.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? '').trim()])));
+}
+
+// First non-empty value among alternative column names
+function pick(row, ...names) {
+    for (const name of names) {
+        const value = row[name.toLowerCase()];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim().toLowerCase();
+    if (['yes', 'true', '1', 'y'].includes(text)) return true;
+    if (['no', 'false', '0', 'n'].includes(text)) return false;
+    return null;
+}
+
+// "2026-09-14", "09/14/2026" or "14.09.2026" -> "2026-09-14". Slashes read month first unless dayFirst
+function parseDay(value, dayFirst = false) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return isValidDay(iso.slice(1, 4).join('-')) ? iso.slice(1, 4).join('-') : null;
+
+    const parts = text.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})$/);
+    if (!parts) return null;
+    let [, a, separator, b, year] = parts;
+    // Dotted dates are day first; so is any date whose first number cannot be a month
+    const swap = dayFirst || separator === '.' || Number(a) > 12;
+    const [month, day] = swap ? [b, a] : [a, b];
+    const result = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return isValidDay(result) ? result : null;
+}
+
+// "09:15", "9:15:00", "8:00am", "5:30 PM" -> [hours, minutes, seconds]
+function parseClock(value) {
+    if (!value) return null;
+    const match = String(value).trim().toLowerCase().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+    let hours = Number(match[1]);
+    if (match[4] === 'pm' && hours < 12) hours += 12;
+    if (match[4] === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || Number(match[2]) > 59) return null;
+    return [hours, Number(match[2]), Number(match[3] || 0)];
+}
+
+// "1:30:00", "1:30", "1.5" (hours), "1,5" or "PT1H30M" -> minutes
+function parseDuration(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+
+    const clock = text.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+    if (clock) return Math.round(Number(clock[1]) * 60 + Number(clock[2]) + Number(clock[3] || 0) / 60);
+
+    const iso = text.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+    if (iso) return Math.round(Number(iso[1] || 0) * 60 + Number(iso[2] || 0) + Number(iso[3] || 0) / 60);
+
+    const hours = Number(text.replace(',', '.'));
+    return isNaN(hours) ? null : Math.round(hours * 60);
+}
+
+// Absolute time from a CSV date and clock time in the exporter's timezone
+function wallClock(day, clock, timezone) {
+    const parts = parseClock(clock);
+    return day && parts ? zonedTime(day, ...parts, timezone) : null;
+}
+
+function parseTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function splitTags(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(tag => typeof tag === 'string' ? tag : tag?.name).filter(Boolean);
+    return String(value).split(',');
+}
+
+// Rows of a JSON export: a bare array or the list under one of the given keys
+function jsonRows(data, ...keys) {
+    if (Array.isArray(data)) return data;
+    for (const key of keys) {
+        if (Array.isArray(data?.[key])) return data[key];
+    }
+    throw new Error(`Expected a list of time entries${keys.length ? ` or an object with ${keys.join('/')}` : ''}`);
+}
+
+// ==================== TOGGL TRACK ====================
+
+function togglCsv(row, { timezone, dayFirst }) {
+    const startDay = parseDay(pick(row, 'Start date'), dayFirst);
+    const endDay = parseDay(pick(row, 'End date'), dayFirst) || startDay;
+    return {
+        externalId: null,
+        day: startDay,
+        startedAt: wallClock(startDay, pick(row, 'Start time'), timezone),
+        endedAt: wallClock(endDay, pick(row, 'End time'), timezone),
+        minutes: parseDuration(pick(row, 'Duration')),
+        description: pick(row, 'Description'),
+        project: pick(row, 'Project'),
+        client: pick(row, 'Client'),
+        tags: splitTags(pick(row, 'Tags')),
+        billable: parseBoolean(pick(row, 'Billable')),
+        user: [pick(row, 'User'), pick(row, 'Email')],
+    };
+}
+
+// Time entries API (duration in seconds, negative while running) and detailed report (dur in ms)
+function togglJson(item) {
+    const seconds = item.dur !== undefined ? item.dur / 1000 : item.duration;
+    return {
+        externalId: item.id,
+        running: seconds < 0,
+        startedAt: parseTimestamp(item.start),
+        endedAt: parseTimestamp(item.stop || item.end),
+        minutes: seconds >= 0 ? Math.round(seconds / 60) : null,
+        description: item.description,
+        project: item.project_name || (typeof item.project === 'string' ? item.project : item.project?.name),
+        client: item.client_name || (typeof item.client === 'string' ? item.client : item.client?.name),
+        tags: splitTags(item.tags),
+        billable: parseBoolean(item.billable ?? item.is_billable),
+        user: [item.user_name || item.user, item.email],
+    };
+}
+
+// ==================== CLOCKIFY ====================
+
+function clockifyCsv(row, { timezone, dayFirst }) {
+    const startDay = parseDay(pick(row, 'Start Date'), dayFirst);
+    const endDay = parseDay(pick(row, 'End Date'), dayFirst) || startDay;
+    const decimal = pick(row, 'Duration (decimal)');
+    return {
+        externalId: null,
+        day: startDay,
+        startedAt: wallClock(startDay, pick(row, 'Start Time'), timezone),
+        endedAt: wallClock(endDay, pick(row, 'End Time'), timezone),
+        minutes: decimal !== null ? parseDuration(decimal) : parseDuration(pick(row, 'Duration (h)', 'Duration')),
+        description: pick(row, 'Description'),
+        project: pick(row, 'Project'),
+        client: pick(row, 'Client'),
+        tags: splitTags(pick(row, 'Tags')),
+        billable: parseBoolean(pick(row, 'Billable')),
+        user: [pick(row, 'User'), pick(row, 'Email')],
+    };
+}
+
+// Time entries API and detailed report JSON
+function clockifyJson(item) {
+    const interval = item.timeInterval || {};
+    const duration = typeof interval.duration === 'number' ? Math.round(interval.duration / 60) : parseDuration(interval.duration);
+    return {
+        externalId: item._id || item.id,
+        running: !interval.end,
+        startedAt: parseTimestamp(interval.start),
+        endedAt: parseTimestamp(interval.end),
+        minutes: duration,
+        description: item.description,
+        project: item.projectName || item.project?.name,
+        client: item.clientName || item.project?.clientName,
+        tags: splitTags(item.tags),
+        billable: parseBoolean(item.billable),
+        user: [item.userName, item.userEmail],
+    };
+}
+
+// ==================== HARVEST ====================
+
+// Harvest has no tags; its task (Design, Development, ...) is the closest thing
+function harvestCsv(row, { dayFirst }) {
+    return {
+        externalId: null,
+        day: parseDay(pick(row, 'Date'), dayFirst),
+        startedAt: null,
+        endedAt: null,
+        minutes: parseDuration(pick(row, 'Hours')),
+        description: pick(row, 'Notes'),
+        project: pick(row, 'Project'),
+        client: pick(row, 'Client'),
+        tags: splitTags(pick(row, 'Task')),
+        billable: parseBoolean(pick(row, 'Billable?', 'Billable')),
+        user: [[pick(row, 'First Name'), pick(row, 'Last Name')].filter(Boolean).join(' ')],
+    };
+}
+
+// Time entries API v2
+function harvestJson(item, { timezone }) {
+    const day = parseDay(item.spent_date);
+    return {
+        externalId: item.id,
+        running: item.is_running === true,
+        day,
+        startedAt: wallClock(day, item.started_time, timezone),
+        endedAt: wallClock(day, item.ended_time, timezone),
+        minutes: typeof item.hours === 'number' ? Math.round(item.hours * 60) : parseDuration(item.hours),
+        description: item.notes,
+        project: item.project?.name,
+        client: item.client?.name,
+        tags: splitTags(item.task?.name ? [item.task.name] : []),
+        billable: parseBoolean(item.billable),
+        user: [item.user?.name],
+    };
+}
+
+const READERS = {
+    toggl: { csv: togglCsv, json: togglJson, keys: ['data', 'time_entries'] },
+    clockify: { csv: clockifyCsv, json: clockifyJson, keys: ['timeentries', 'timeEntries'] },
+    harvest: { csv: harvestCsv, json: harvestJson, keys: ['time_entries'] },
+};
+
+// Stable key for a row, used to skip it when the same export is imported again.
+// Rows without an ID are keyed by their content; identical rows (two 30 minute meetings
+// on one day without notes) are told apart by counting them in file order.
+function importKey(source, record, seen) {
+    if (record.externalId !== null && record.externalId !== undefined) return `${source}:${record.externalId}`;
+    const fingerprint = [record.startedAt?.toISOString() || record.day, record.minutes, record.project, record.description || ''].join('|');
+    const key = `${source}:${crypto.createHash('sha1').update(fingerprint).digest('hex').slice(0, 16)}`;
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+    return occurrence === 1 ? key : `${key}:${occurrence}`;
+}
+
+/**
+ * Read a Toggl Track, Clockify or Harvest export (CSV or JSON, detected from the content)
+ * @param {string} source - toggl, clockify or harvest
+ * @param {string} text - File contents
+ * @param {Object} options - timezone of the export's clock times, dayFirst for DD/MM/YYYY dates,
+ *   defaultProject for rows without a project, user (name or email) to keep only that person's rows
+ * @returns {{format: string, records: Object[], errors: {row: number, error: string}[], skipped: number}}
+ *   Records carry row, key, project, client, description, minutes, billable, tags,
+ *   startedAt/endedAt (Dates or null) and day (YYYY-MM-DD) when there is no start time
+ */
+export function parseExport(source, text, options = {}) {
+    const reader = READERS[source];
+    if (!reader) throw new Error(`Unknown source: ${source}`);
+    const settings = { timezone: options.timezone || DEFAULT_TIMEZONE, dayFirst: options.dayFirst === true };
+
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    const format = trimmed.startsWith('[') || trimmed.startsWith('{') ? 'json' : 'csv';
+    let rows;
+    if (format === 'json') {
+        try {
+            rows = jsonRows(JSON.parse(trimmed), ...reader.keys);
+        } catch (error) {
+            throw new Error(`Could not read JSON export: ${error.message}`);
+        }
+    } else {
+        rows = parseCsv(trimmed);
+    }
+
+    const wantedUser = options.user?.trim().toLowerCase() || null;
+    const records = [];
+    const errors = [];
+    const seen = new Map();
+    let skipped = 0;
+
+    rows.forEach((row, i) => {
+        const number = i + 1;
+        let record;
+        try {
+            record = reader[format](row, settings);
+        } catch (error) {
+            errors.push({ row: number, error: error.message });
+            return;
+        }
+
+        if (wantedUser && !record.user.some(u => u && u.trim().toLowerCase() === wantedUser)) {
+            skipped++;
+            return;
+        }
+
+        const project = record.project?.trim() || options.defaultProject || null;
+        const day = record.startedAt ? null : record.day;
+        // Fall back to the span when the duration column is missing
+        const minutes = record.minutes ?? (record.startedAt && record.endedAt
+            ? Math.round((record.endedAt - record.startedAt) / 60000)
+            : null);
+
+        let error = null;
+        if (record.running) error = 'Timer still running';
+        else if (!project) error = 'No project';
+        else if (!record.startedAt && !day) error = 'No valid date';
+        else if (!(minutes > 0)) error = 'No duration';
+        else if (record.startedAt && record.endedAt && record.endedAt <= record.startedAt) error = 'End is before start';
+        if (error) {
+            errors.push({ row: number, error });
+            return;
+        }
+
+        const result = {
+            row: number,
+            project,
+            client: record.client?.trim() || null,
+            description: record.description?.trim() || '',
+            minutes,
+            billable: record.billable ?? true,
+            tags: record.tags.map(tag => tag.trim()).filter(Boolean),
+            startedAt: record.startedAt,
+            endedAt: record.startedAt ? record.endedAt : null,
+            day,
+        };
+        result.key = importKey(source, { ...result, externalId: record.externalId }, seen);
+        records.push(result);
+    });
+
+    return { format, records, errors, skipped };
+}
@@ -18,11 +18,48 @@ import {
     formatDuration,
     deleteEntry,
     editEntry,
+    getEntry,
     getLastEntry,
+    getOverlappingEntries,
+    getEntryHistory,
+    undoEntryChange,
+    splitEntry,
+    mergeEntries,
+    moveEntry,
+    bulkUpdateEntries,
+    getTemplate,
+    getTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    generateRecurringEntries,
+    getDrafts,
+    confirmDrafts,
+    dismissDrafts,
+    getTags,
+    setWorkSchedule,
+    getWorkSchedules,
+    getBalance,
+    getTeamUtilisation,
+    LEAVE_TYPES,
+    requestLeave,
+    reviewLeave,
+    cancelLeave,
+    getLeave,
+    importHolidays,
+    getProjectBudget,
+    importEntries,
+    getHolidays,
+    getHolidayCalendars,
+    setHolidayCalendar,
     getUnbilledSummary,
     startTimer,
     stopTimer,
+    switchTimer,
+    listTimers,
     getActiveTimer,
+    touchTimers,
+    sweepIdleTimers,
     cancelTimer,
     pauseTimer,
     resumeTimer,
@@ -33,13 +70,16 @@ import {
     createProject,
     getProjectsWithClients,
     updateProject,
+    getOrCreateProject,
     getUnbilledByClient,
+    aggregateEntries,
     getUser,
     getEntityCounts,
     // Task functions
     createTask,
-    getTasks,
+    getTaskVariance,
     getTask,
+    updateTask,
     completeTask,
     upsertTaskFromYouTrack,
     // YouTrack token functions
@@ -52,6 +92,22 @@ import {
     createSessionSummary,
     getSessionSummaries,
     getSessionSummary,
+    // Timesheet functions
+    submitTimesheet,
+    reviewTimesheet,
+    reopenTimesheet,
+    getTimesheets,
+    // Invoice functions
+    createInvoice,
+    getInvoice,
+    getInvoices,
+    canViewInvoice,
+    setInvoiceStatus,
+    findClient,
+    // Exchange rate functions
+    setExchangeRate,
+    getExchangeRates,
+    deleteExchangeRate,
     // Component registry functions
     publishComponent,
     getComponents,
@@ -59,6 +115,13 @@ import {
     deleteComponent
 } from './storage.js';
 import { getYouTrackClient, mapYouTrackStateToStatus } from './youtrack.js';
+import { resolveRounding, describeRounding, BUDGET_PERIODS, resolveTax, describeTax, formatMoney, formatAmounts, VAT_CATEGORIES, DEFAULT_CURRENCY } from './billing.js';
+import { parseClockTime, formatTimeRange, formatClockTime, addDays, localDateString, weekdayName, isValidTimezone, resolveTimezone, resolvePeriod, isValidDay, parseRecurrence, startOfWeek } from './dates.js';
+import { parseHolidays, fetchIcs } from './ics.js';
+import { parseExport, IMPORT_SOURCES } from './importers.js';
+import { buildExport, renderExport, EXPORT_DATASETS, EXPORT_FORMATS } from './export.js';
+import { invoiceDocument, timesheetDocument, renderDocument, DOCUMENT_TYPES, DOCUMENT_FORMATS } from './documents.js';
+import { renderUblInvoice } from './ubl.js';
 import {
     storeMemory,
     searchMemories,
@@ -91,6 +154,266 @@ function checkUser() {
     return { user };
 }
 
+// Resolve period/from/to tool arguments to an inclusive date range (null if none given)
+function resolveRange({ period, from, to }, timezone) {
+    if (period) {
+        const range = resolvePeriod(period, timezone);
+        if (!range) {
+            return { error: `Unknown period "${period}". Try "last-month", "Q3" or "2026-09-01..2026-09-15".` };
+        }
+        return range;
+    }
+    if (!from && !to) return null;
+    if ((from && !isValidDay(from)) || (to && !isValidDay(to))) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format.' };
+    }
+    const range = { from: from || null, to: to || localDateString(new Date(), timezone) };
+    if (range.from && range.from > range.to) {
+        return { error: 'from must not be after to.' };
+    }
+    return range;
+}
+
+// Export filters from time_export arguments or /export query parameters, like the report scope's
+function exportFilters({ period, from, to, project, client, tag, billable, billed, team, group_by }, user) {
+    const timezone = resolveTimezone(user.timezone);
+    const range = resolveRange({ period, from, to }, timezone);
+    if (range?.error) return range;
+    return {
+        userId: team ? null : user.id,
+        from: range?.from || null,
+        to: range?.to || null,
+        timezone,
+        project: project || null,
+        client: client || null,
+        tag: tag || null,
+        billable: billable ?? null,
+        billed: billed ?? null,
+        groupBy: group_by || 'project',
+    };
+}
+
+// Rendered invoice or client timesheet for the document tool and the /documents routes: the file and,
+// except for UBL, the document it was rendered from
+async function documentFile(type, format, args, user) {
+    if (type === 'invoice' && !args.id) return { error: 'id (the invoice number) is required' };
+    if (type === 'invoice') {
+        const invoice = await getInvoice(args.id);
+        if (!invoice) return { error: `Invoice not found: ${args.id}`, notFound: true };
+        if (!await canViewInvoice(invoice, user.id)) {
+            return { error: 'Only admins and the people billed on an invoice can see it', forbidden: true };
+        }
+    }
+    if (format === 'ubl') {
+        if (type !== 'invoice') return { error: 'Only invoices can be exported as UBL e-invoices' };
+        return renderUblInvoice(args.id);
+    }
+
+    let doc;
+    if (type === 'invoice') {
+        doc = await invoiceDocument(args.id);
+    } else {
+        if (!args.client) return { error: 'client is required' };
+        const filters = exportFilters(args, user);
+        if (filters.error) return filters;
+        doc = await timesheetDocument(args.client, filters);
+    }
+    if (doc.error) return doc;
+    return { ...await renderDocument(doc, format), doc };
+}
+
+// Postal address on one line
+function formatAddress(address) {
+    return address.split(/\r?\n/).map(line => line.trim()).filter(Boolean).join(', ');
+}
+
+// "#meeting #review", or '' without tags
+function formatTags(names) {
+    return names?.length ? names.map(name => `#${name}`).join(' ') : '';
+}
+
+// Describe conflicting entries/timers returned by findOverlaps
+function formatOverlaps(overlaps, timezone) {
+    return overlaps.map(o => {
+        const what = o.kind === 'timer' ? '⏱️ running timer' : `\`${o.id}\``;
+        return `  • ${what} **${o.projectId}** ${formatTimeRange(o.startedAt, o.endedAt, timezone)}${o.description ? ` - ${o.description}` : ''}`;
+    }).join('\n');
+}
+
+// Explain why an entry could not be saved or changed
+function entryErrorText(result, timezone) {
+    if (result.overlaps) {
+        return `❌ ${result.error}:\n${formatOverlaps(result.overlaps, timezone)}\n\nAdjust the range or pass allow_overlap=true.`;
+    }
+    if (result.locked) {
+        return `🔒 ${result.error} (week of ${result.locked}). An admin can reopen it with timesheet action=reopen.`;
+    }
+    if (result.ownerId !== undefined) {
+        return `🔒 ${result.error}${result.ownerId ? ` (${result.ownerId})` : ''}. Only its owner or an admin can change it.`;
+    }
+    if (result.invoice) {
+        return `🧾 ${result.error} (${result.invoice}). Void the invoice with invoice action=void to change it.`;
+    }
+    return `❌ ${result.error}.`;
+}
+
+// One-line summary of an entry history record: what was created or deleted, or which fields changed
+function describeEntryChange(before, after, timezone) {
+    const show = (field, value) => {
+        if (value === null || value === undefined) return '–';
+        if (field === 'minutes') return formatDuration(value);
+        if (field === 'startedAt' || field === 'endedAt') return formatClockTime(value, timezone);
+        if (field === 'createdAt') return localDateString(value, timezone);
+        return String(value);
+    };
+    if (!before) return `created ${after.projectId} ${formatDuration(after.minutes)}: ${after.description || '(no message)'}`;
+    if (!after) return `deleted ${before.projectId} ${formatDuration(before.minutes)}: ${before.description || '(no message)'}`;
+
+    const fields = ['projectId', 'minutes', 'description', 'billable', 'billed', 'startedAt', 'endedAt', 'createdAt', 'taskId', 'userId'];
+    const changes = fields
+        .filter(field => before[field] !== after[field])
+        .map(field => `${field} ${show(field, before[field])} → ${show(field, after[field])}`);
+    return changes.length > 0 ? changes.join(', ') : 'no changes';
+}
+
+// Resolve a stopwatch time: a clock time that would lie in the future means yesterday
+function resolveTimerTime(value, timezone) {
+    const parsed = parseClockTime(value, null, timezone);
+    if (!parsed) return null;
+    if (parsed > new Date() && /^\d{1,2}[:.]\d{2}/.test(value.trim())) {
+        return parseClockTime(value, addDays(localDateString(new Date(), timezone), -1), timezone);
+    }
+    return parsed;
+}
+
+// "🌴 vacation" / "🎉 King's Day" / "🤒 sick (4h)" for a day off
+function formatAbsence(absence) {
+    const icons = { vacation: '🌴', sick: '🤒', holiday: '🎉', other: '📅' };
+    const label = absence.type === 'holiday' ? absence.name : absence.type;
+    return `${icons[absence.type] || '📅'} ${label}${absence.minutes ? ` (${formatDuration(absence.minutes)})` : ''}`;
+}
+
+// Overtime as "+2h 15m", undertime as "-30m"
+function formatBalance(minutes) {
+    if (minutes === 0) return '±0m';
+    return `${minutes > 0 ? '+' : '-'}${formatDuration(Math.abs(minutes))}`;
+}
+
+// "Mon 8h, Tue 8h, ..." for a schedule's minutes per weekday, Monday first
+function formatSchedule(dailyMinutes) {
+    const names = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const total = dailyMinutes.reduce((sum, m) => sum + m, 0);
+    const days = dailyMinutes.map((m, i) => m > 0 ? `${names[i]} ${formatDuration(m)}` : null).filter(Boolean);
+    return `${days.join(', ') || 'no hours'} (${formatDuration(total)}/week)`;
+}
+
+const percent = (ratio) => ratio === null ? '–' : `${Math.round(ratio * 100)}%`;
+
+// Team utilisation section: logged and billable time against each member's target
+function formatUtilisation(utilisation, label) {
+    let text = `📊 **Utilisation - ${label}**\n`;
+    if (utilisation.members.length === 0) return `${text}_No schedules or time logged._\n`;
+    if (utilisation.targetMinutes > 0) {
+        text += `Team: ${formatDuration(utilisation.minutes)} of ${formatDuration(utilisation.targetMinutes)} (${percent(utilisation.utilisation)}, ${percent(utilisation.billableUtilisation)} billable)\n`;
+    }
+    text += '\n';
+    for (const m of utilisation.members) {
+        text += `**${m.username}**: ${formatDuration(m.minutes)}`;
+        text += m.targetMinutes > 0
+            ? ` of ${formatDuration(m.targetMinutes)} (${percent(m.utilisation)}, ${percent(m.billableUtilisation)} billable, ${formatBalance(m.balanceMinutes)})`
+            : ' (no target)';
+        if (m.absentDays > 0) text += ` - ${m.absentDays} day${m.absentDays === 1 ? '' : 's'} off`;
+        text += '\n';
+    }
+    return text;
+}
+
+const BUDGET_PERIOD_LABELS = { total: 'total', week: 'weekly', month: 'monthly', quarter: 'quarterly', year: 'yearly' };
+
+// "€1,000.00 + €210.00 VAT = €1,210.00" for a net/VAT/gross total in one currency
+function formatTaxTotal(total) {
+    const money = (amount) => formatMoney(amount, total.currency);
+    return total.vat > 0 ? `${money(total.net)} + ${money(total.vat)} VAT = ${money(total.gross)}` : `${money(total.net)}, no VAT`;
+}
+
+// "40h, €3,000.00 per month" for a project's budget settings, or null without a budget
+function describeBudget(project) {
+    const limits = [];
+    if (project.budgetMinutes) limits.push(formatDuration(project.budgetMinutes));
+    if (project.budgetAmount) limits.push(formatMoney(project.budgetAmount, project.currency || DEFAULT_CURRENCY));
+    if (limits.length === 0) return null;
+    const period = project.budgetPeriod || 'total';
+    return `${limits.join(', ')}${period === 'total' ? ' in total' : ` per ${period}`}`;
+}
+
+// Budget burn lines: share used and where the current pace ends up
+function formatBudget(budget) {
+    const label = BUDGET_PERIOD_LABELS[budget.period] || budget.period;
+    const lines = [];
+    const money = (amount) => formatMoney(amount, budget.currency);
+    for (const [burn, show] of [[budget.hours, formatDuration], [budget.amount, money]]) {
+        if (!burn) continue;
+        let line = `💼 ${show(burn.used)} of ${show(burn.budget)} ${label} budget (${Math.round(burn.percent)}%)`;
+        if (burn.projected !== null) {
+            line += `, projected ${show(burn.projected)} (${Math.round(burn.projectedPercent)}%)`;
+        }
+        if (burn.overrun > 0) line += ` - ${show(burn.overrun)} over`;
+        lines.push(line);
+    }
+    if (budget.exhaustsOn) lines.push(`📉 At the current pace the budget runs out around ${budget.exhaustsOn}`);
+    return lines.join('\n');
+}
+
+// Warning added to log responses when an entry pushes a project past a budget threshold
+function formatBudgetAlert(alert) {
+    if (!alert) return '';
+    const icon = alert.threshold >= 100 ? '🚨' : '⚠️';
+    return `\n\n${icon} **${alert.projectName}** passed ${alert.threshold}% of its budget\n${formatBudget(alert)}`;
+}
+
+// "5h of 4h estimated (+1h, 125%)", or "5h, no estimate"
+function formatVariance(actualMinutes, estimateMinutes, varianceMinutes, estimateRatio) {
+    if (!(estimateMinutes > 0)) return `${formatDuration(actualMinutes)}, no estimate`;
+    return `${formatDuration(actualMinutes)} of ${formatDuration(estimateMinutes)} estimated (${formatBalance(varianceMinutes)}, ${percent(estimateRatio)})`;
+}
+
+// Estimate versus actual rollup of a task variance report
+function formatVarianceReport(report) {
+    const { totals } = report;
+    if (totals.estimatedCount === 0) return '';
+
+    const line = (g) => {
+        if (g.estimatedCount === 0) return `${formatDuration(g.unestimatedMinutes)}, no estimates`;
+        let text = formatVariance(g.actualMinutes, g.estimateMinutes, g.varianceMinutes, g.estimateRatio);
+        if (g.unestimatedMinutes > 0) text += `, +${formatDuration(g.unestimatedMinutes)} unestimated`;
+        return text;
+    };
+
+    let text = `\n📐 **Estimates vs actuals** (${totals.estimatedCount} of ${totals.taskCount} tasks estimated)\n`;
+    text += `Total: ${line(totals)}\n`;
+    for (const [title, groups] of [['By project', report.byProject], ['By user', report.byUser]]) {
+        text += `\n**${title}**\n`;
+        for (const g of groups) text += `• ${g.label}: ${line(g)}\n`;
+    }
+    return text;
+}
+
+// "Needs review" section for timers and timer sessions that look forgotten
+function formatReview(review, timezone) {
+    if (!review || (review.timers.length === 0 && review.entries.length === 0)) return '';
+    let text = `\n🔍 **Needs review**\n`;
+    for (const t of review.timers) {
+        const reasons = [...t.warnings];
+        if (t.autoPaused) reasons.push('auto-paused after inactivity');
+        text += `  • ⏱️ ${t.name ? `${t.name} ` : ''}**${t.project}** timer: ${reasons.join(', ')} - stop with at=HH:MM to trim it\n`;
+    }
+    for (const e of review.entries) {
+        const range = formatTimeRange(e.startedAt, e.endedAt, timezone);
+        text += `  • \`${e.id}\` **${e.projectId}** ${range ? `${range} ` : ''}(${e.durationFormatted}) - ${e.description || '(no description)'}\n`;
+    }
+    return text;
+}
+
 // Create the MCP server
 const server = new McpServer({
     name: 'calq',
@@ -102,36 +425,107 @@ const server = new McpServer({
 server.tool(
     'log_time',
     {
-        project: z.string().describe('Name of the project'),
-        message: z.string().describe('What was accomplished'),
+        project: z.string().optional().describe('Name of the project (required unless a template is used)'),
+        message: z.string().optional().describe('What was accomplished (required unless a template is used)'),
         minutes: z.number().nonnegative().optional().describe('Time spent in minutes (defaults to 0)'),
         billable: z.boolean().optional().describe('Whether this is billable work (defaults to true)'),
         date: z.string().optional().describe('Date for the entry (YYYY-MM-DD format). Defaults to today.'),
-        task: z.string().optional().describe('Task ID to link this time entry to (syncs to YouTrack if linked)')
+        from: z.string().optional().describe('Start time, e.g. "09:15" or an ISO timestamp (use with to)'),
+        to: z.string().optional().describe('End time, e.g. "11:00" or an ISO timestamp (use with from)'),
+        task: z.string().optional().describe('Task ID to link this time entry to (syncs to YouTrack if linked)'),
+        allow_overlap: z.boolean().optional().describe('Save even if the time range overlaps other entries'),
+        template: z.string().optional().describe('Saved template to log, e.g. "standup"; other parameters override its values'),
+        tags: z.array(z.string()).optional().describe('Tags such as "meeting", "review", "support" or "bug"')
     },
-    async ({ project, message, minutes, billable, date, task }) => {
+    async ({ project, message, minutes, billable, date, from, to, task, allow_overlap, template, tags }) => {
         const auth = checkUser();
         if (auth.error) {
             return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
         }
 
-        const entry = await addEntry(project, minutes || 0, message, 'commit', billable !== false, date || null, auth.user.id);
+        // Fill in from a saved template
+        if (template) {
+            const saved = await getTemplate(template, auth.user.id);
+            if (!saved) {
+                return { content: [{ type: 'text', text: `❌ Template "${template}" not found. See template_manage action=list.` }] };
+            }
+            project = project || saved.projectId;
+            message = message || saved.description || '';
+            if (minutes === undefined && !from && !to) minutes = saved.minutes;
+            if (billable === undefined) billable = saved.billable;
+            task = task || saved.taskId || undefined;
+            if (saved.startTime && !from && !to) {
+                const startedAt = parseClockTime(saved.startTime, date || null, resolveTimezone(auth.user.timezone));
+                from = startedAt.toISOString();
+                to = new Date(startedAt.getTime() + minutes * 60000).toISOString();
+            }
+        }
+        if (!project || message === undefined) {
+            return { content: [{ type: 'text', text: '❌ project and message are required (or use a template).' }] };
+        }
+
+        // Time range: "from 09:15 to 11:00"
+        let span = {};
+        if (from || to) {
+            if (!from || !to) {
+                return { content: [{ type: 'text', text: '❌ Provide both from and to for a time range.' }] };
+            }
+            const timezone = resolveTimezone(auth.user.timezone);
+            const startedAt = parseClockTime(from, date || null, timezone);
+            const endedAt = parseClockTime(to, date || null, timezone);
+            if (!startedAt || !endedAt) {
+                return { content: [{ type: 'text', text: '❌ Could not read from/to. Use HH:MM or an ISO timestamp.' }] };
+            }
+            if (endedAt <= startedAt) {
+                return { content: [{ type: 'text', text: '❌ to must be later than from.' }] };
+            }
+            span = { startedAt, endedAt, allowOverlap: allow_overlap === true };
+            if (minutes === undefined) {
+                minutes = Math.round((endedAt - startedAt) / 60000);
+            }
+        }
+
+        let taskData = null;
+        if (task) {
+            taskData = await getTask(task);
+            if (!taskData) {
+                return { content: [{ type: 'text', text: `❌ Task "${task}" not found.` }] };
+            }
+        }
+
+        const entry = await addEntry(project, minutes || 0, message, 'commit', billable !== false, date || null, auth.user.id, {
+            ...span,
+            taskId: taskData?.id || null,
+            tags,
+        });
+        if (entry.error) {
+            return { content: [{ type: 'text', text: entryErrorText(entry, resolveTimezone(auth.user.timezone)) }] };
+        }
 
         let text = `📌 **${project}**\n\n${message}`;
         if (minutes) {
             text += `\n\n⏱️ ${formatDuration(minutes)}`;
         }
+        if (entry.startedAt) {
+            text += `\n🕘 ${formatTimeRange(entry.startedAt, entry.endedAt, resolveTimezone(auth.user.timezone))}`;
+        }
         if (date) {
             text += `\n📅 ${date}`;
         }
         if (billable === false) {
             text += `\n🏷️ Non-billable`;
         }
+        if (entry.tags.length > 0) {
+            text += `\n🔖 ${formatTags(entry.tags)}`;
+        }
+        if (entry.overlaps.length > 0) {
+            text += `\n\n⚠️ Overlaps existing time:\n${formatOverlaps(entry.overlaps, resolveTimezone(auth.user.timezone))}`;
+        }
+        text += formatBudgetAlert(entry.budgetAlert);
 
         // If task specified, sync time to YouTrack
-        if (task && minutes && minutes > 0) {
-            const taskData = await getTask(task);
-            if (taskData && taskData.youtrackId) {
+        if (taskData && minutes && minutes > 0) {
+            if (taskData.youtrackId) {
                 try {
                     const token = await getUserYouTrackToken(auth.user.id);
                     if (token) {
@@ -142,7 +536,7 @@ server.tool(
                 } catch (error) {
                     text += `\n⚠️ YouTrack sync failed: ${error.message}`;
                 }
-            } else if (taskData) {
+            } else {
                 text += `\n📋 Linked to task: ${taskData.title}`;
             }
         }
@@ -153,32 +547,47 @@ server.tool(
     }
 );
 
-// Tool: Manage time entries (edit/delete)
+// Tool: Manage time entries (edit/delete/split/merge/move/history/undo)
 server.tool(
     'entry_manage',
     {
-        action: z.enum(['edit', 'delete']).describe('Action to perform'),
-        entry_id: z.string().optional().describe('ID of the entry (defaults to last entry for delete)'),
-        message: z.string().optional().describe('New message (for edit)'),
+        action: z.enum(['edit', 'delete', 'split', 'merge', 'move', 'history', 'undo']).describe('Action to perform. history shows who changed an entry (or your recent changes); undo reverts the latest change, including a delete (not a split or merge)'),
+        entry_id: z.string().optional().describe('ID of the entry (defaults to your last entry for delete; required for undo, split and move)'),
+        entry_ids: z.array(z.string()).optional().describe('Entries to combine into one (for merge; same project and billing state)'),
+        parts: z.array(z.object({
+            minutes: z.number().int().positive().describe('Minutes for this part'),
+            message: z.string().optional().describe('Message for this part (defaults to the original)'),
+            project: z.string().optional().describe('Project for this part (defaults to the original)')
+        })).optional().describe('Parts to split the entry into, adding up to its minutes (for split)'),
+        project: z.string().optional().describe('Project to move the entry to (for move)'),
+        task: z.string().optional().describe('Task ID to link the entry to (for move)'),
+        message: z.string().optional().describe('New message (for edit; merged message for merge)'),
         minutes: z.number().nonnegative().optional().describe('New time in minutes (for edit)'),
         billable: z.boolean().optional().describe('Set billable status (for edit)'),
-        billed: z.boolean().optional().describe('Mark as billed/unbilled (for edit)')
+        billed: z.boolean().optional().describe('Mark as billed/unbilled (for edit)'),
+        from: z.string().optional().describe('New start time "HH:MM" (on the entry\'s day) or ISO timestamp (for edit)'),
+        to: z.string().optional().describe('New end time "HH:MM" (on the entry\'s day) or ISO timestamp (for edit)'),
+        allow_overlap: z.boolean().optional().describe('Save even if the new time range overlaps other entries (for edit)'),
+        tags: z.array(z.string()).optional().describe('Replace the entry\'s tags, [] to clear them (for edit)')
     },
-    async ({ action, entry_id, message, minutes, billable, billed }) => {
+    async ({ action, entry_id, entry_ids, parts, project, task, message, minutes, billable, billed, from, to, allow_overlap, tags }) => {
         const auth = checkUser();
         if (auth.error) {
             return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
         }
 
         if (action === 'delete') {
-            const deleted = await deleteEntry(entry_id || null);
+            const deleted = await deleteEntry(entry_id || null, auth.user.id);
             if (!deleted) {
                 return { content: [{ type: 'text', text: '❌ No entry found to delete.' }] };
             }
+            if (deleted.error) {
+                return { content: [{ type: 'text', text: entryErrorText(deleted, resolveTimezone(auth.user.timezone)) }] };
+            }
             return {
                 content: [{
                     type: 'text',
-                    text: `🗑️ Deleted entry from **${deleted.project}**\n\n${deleted.description || '(no message)'}\n⏱️ ${formatDuration(deleted.minutes)}`
+                    text: `🗑️ Deleted entry from **${deleted.project}**\n\n${deleted.description || '(no message)'}\n⏱️ ${formatDuration(deleted.minutes)}\n\nUndo with entry_manage action=undo entry_id=${deleted.id}`
                 }]
             };
         }
@@ -187,20 +596,39 @@ server.tool(
             if (!entry_id) {
                 return { content: [{ type: 'text', text: '❌ entry_id is required for edit action.' }] };
             }
-            if (!message && minutes === undefined && billable === undefined && billed === undefined) {
+            if (!message && minutes === undefined && billable === undefined && billed === undefined && !from && !to && !tags) {
                 return { content: [{ type: 'text', text: '❌ Provide at least one field to update.' }] };
             }
 
+            const timezone = resolveTimezone(auth.user.timezone);
             const updates = {};
             if (message) updates.description = message;
             if (minutes !== undefined) updates.minutes = minutes;
             if (billable !== undefined) updates.billable = billable;
             if (billed !== undefined) updates.billed = billed;
+            if (tags) updates.tags = tags;
+
+            if (from || to) {
+                const existing = await getEntry(entry_id);
+                if (!existing) {
+                    return { content: [{ type: 'text', text: `❌ Entry "${entry_id}" not found.` }] };
+                }
+                const day = localDateString(existing.startedAt || existing.createdAt, timezone);
+                if (from) updates.startedAt = parseClockTime(from, day, timezone);
+                if (to) updates.endedAt = parseClockTime(to, day, timezone);
+                if (updates.startedAt === null || updates.endedAt === null) {
+                    return { content: [{ type: 'text', text: '❌ Could not read from/to. Use HH:MM or an ISO timestamp.' }] };
+                }
+                updates.allowOverlap = allow_overlap === true;
+            }
 
-            const updated = await editEntry(entry_id, updates);
+            const updated = await editEntry(entry_id, updates, auth.user.id);
             if (!updated) {
                 return { content: [{ type: 'text', text: `❌ Entry "${entry_id}" not found.` }] };
             }
+            if (updated.error) {
+                return { content: [{ type: 'text', text: entryErrorText(updated, timezone) }] };
+            }
 
             let status = [];
             if (updated.billable) status.push('billable');
@@ -211,10 +639,419 @@ server.tool(
                 content: [{
                     type: 'text',
                     text: `✏️ Updated entry in **${updated.project}**${statusText}\n\n${updated.description}\n⏱️ ${formatDuration(updated.minutes)}`
+                        + (updated.startedAt ? `\n🕘 ${formatTimeRange(updated.startedAt, updated.endedAt, timezone)}` : '')
+                        + (updated.tags.length > 0 ? `\n🔖 ${formatTags(updated.tags)}` : '')
+                        + (updated.overlaps.length > 0 ? `\n\n⚠️ Overlaps existing time:\n${formatOverlaps(updated.overlaps, timezone)}` : '')
                 }]
             };
         }
 
+        // SPLIT - one entry into several parts
+        if (action === 'split') {
+            if (!entry_id || !parts) {
+                return { content: [{ type: 'text', text: '❌ entry_id and parts are required for split action.' }] };
+            }
+            const timezone = resolveTimezone(auth.user.timezone);
+            const result = await splitEntry(entry_id, parts.map(p => ({ minutes: p.minutes, description: p.message, project: p.project })), auth.user.id);
+            if (result.error) {
+                return { content: [{ type: 'text', text: entryErrorText(result, timezone) }] };
+            }
+            let text = `✂️ Split into ${result.entries.length} entries\n\n`;
+            for (const e of result.entries) {
+                const range = formatTimeRange(e.startedAt, e.endedAt, timezone);
+                text += `• \`${e.id}\` **${e.project}** ${formatDuration(e.minutes)}${range ? ` (${range})` : ''}: ${e.description || '(no message)'}\n`;
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // MERGE - several entries into the earliest one
+        if (action === 'merge') {
+            if (!entry_ids || entry_ids.length < 2) {
+                return { content: [{ type: 'text', text: '❌ entry_ids with at least two entries is required for merge action.' }] };
+            }
+            const timezone = resolveTimezone(auth.user.timezone);
+            const result = await mergeEntries(entry_ids, { description: message || null }, auth.user.id);
+            if (result.error) {
+                return { content: [{ type: 'text', text: entryErrorText(result, timezone) }] };
+            }
+            let text = `🔗 Merged ${result.mergedIds.length + 1} entries into \`${result.id}\` - **${result.project}**\n\n${result.description || '(no message)'}\n⏱️ ${formatDuration(result.minutes)}`;
+            if (result.startedAt) text += `\n🕘 ${formatTimeRange(result.startedAt, result.endedAt, timezone)}`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // MOVE - to another project and/or task
+        if (action === 'move') {
+            if (!entry_id || (!project && !task)) {
+                return { content: [{ type: 'text', text: '❌ entry_id and a project or task are required for move action.' }] };
+            }
+            const result = await moveEntry(entry_id, { project: project || null, taskId: task || null }, auth.user.id);
+            if (result.error) {
+                return { content: [{ type: 'text', text: entryErrorText(result, resolveTimezone(auth.user.timezone)) }] };
+            }
+            let text = result.previousProject !== result.project
+                ? `📦 Moved ${formatDuration(result.minutes)} from **${result.previousProject}** to **${result.project}**`
+                : `📦 Entry stays in **${result.project}**`;
+            if (result.taskId) text += `\n📋 Linked to task ${result.taskId}`;
+            if (result.taskUnlinked) text += `\n⚠️ Task link removed: the task belongs to another project`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // HISTORY - one entry, or your latest changes
+        if (action === 'history') {
+            const timezone = resolveTimezone(auth.user.timezone);
+            const history = await getEntryHistory(entry_id ? { entryId: entry_id } : { userId: auth.user.id });
+            if (history.length === 0) {
+                return { content: [{ type: 'text', text: entry_id ? `📜 No history for entry "${entry_id}".` : '📜 No changes to your entries yet.' }] };
+            }
+            if (entry_id && auth.user.role !== 'admin' && history.some(change => change.ownerId && change.ownerId !== auth.user.id)) {
+                return { content: [{ type: 'text', text: '🔒 Only the entry\'s owner or an admin can see its history' }] };
+            }
+            let text = entry_id ? `📜 **History of ${entry_id}**\n\n` : `📜 **Recent changes by or to you**\n\n`;
+            for (const change of history) {
+                const when = `${localDateString(change.createdAt, timezone)} ${formatClockTime(change.createdAt, timezone)}`;
+                const subject = change.after || change.before;
+                text += `• ${when} **${change.action}** by ${change.actorName || change.actorId || 'unknown'}`;
+                if (change.ownerId && change.ownerId !== change.actorId) text += ` on ${change.ownerId}'s entry`;
+                if (!entry_id) text += ` - \`${change.entryId}\` ${subject.projectId}`;
+                text += `\n  ${describeEntryChange(change.before, change.after, timezone)}\n`;
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // UNDO - revert the latest change to an entry
+        if (action === 'undo') {
+            if (!entry_id) {
+                return { content: [{ type: 'text', text: '❌ entry_id is required for undo action. Find it with action=history.' }] };
+            }
+            const result = await undoEntryChange(entry_id, auth.user.id);
+            if (!result) {
+                return { content: [{ type: 'text', text: `❌ No history for entry "${entry_id}".` }] };
+            }
+            if (result.error) {
+                return { content: [{ type: 'text', text: entryErrorText(result, resolveTimezone(auth.user.timezone)) }] };
+            }
+            if (result.removed) {
+                return { content: [{ type: 'text', text: `↩️ Undid ${result.undone}: removed entry from **${result.removed.project}** (${formatDuration(result.removed.minutes)})` }] };
+            }
+            return { content: [{ type: 'text', text: `↩️ Undid ${result.undone}: **${result.entry.project}** is back to ${formatDuration(result.entry.minutes)}\n\n${result.entry.description || '(no message)'}` }] };
+        }
+
+        return { content: [{ type: 'text', text: `❌ Unknown action: ${action}` }] };
+    }
+);
+
+// Tool: Change many entries at once
+server.tool(
+    'entry_bulk',
+    {
+        project: z.string().optional().describe('Only entries in this project'),
+        client: z.string().optional().describe('Only entries for this client'),
+        username: z.string().optional().describe('Only entries of this user (admins only, defaults to you)'),
+        team: z.boolean().optional().describe('Include every user\'s entries (admins only)'),
+        period: z.string().optional().describe('Named period: "last-month", "this-week", "Q3", "2026-09" or "2026-09-01..2026-09-15"'),
+        from: z.string().optional().describe('Start date YYYY-MM-DD (inclusive)'),
+        to: z.string().optional().describe('End date YYYY-MM-DD (inclusive, defaults to today)'),
+        billable: z.boolean().optional().describe('Only billable (true) or non-billable (false) entries'),
+        billed: z.boolean().optional().describe('Only billed (true) or unbilled (false) entries'),
+        set_billed: z.boolean().optional().describe('Change: mark the entries as billed/unbilled'),
+        set_billable: z.boolean().optional().describe('Change: make the entries billable/non-billable'),
+        move_to: z.string().optional().describe('Change: move the entries to this project'),
+        delete: z.boolean().optional().describe('Change: delete the entries'),
+        dry_run: z.boolean().optional().describe('Only preview what would change (default: true). Pass false to apply')
+    },
+    async ({ project, client, username, team, period, from, to, billable, billed, set_billed, set_billable, move_to, delete: remove, dry_run }) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        const timezone = resolveTimezone(auth.user.timezone);
+        const range = resolveRange({ period, from, to }, timezone);
+        if (range?.error) {
+            return { content: [{ type: 'text', text: `❌ ${range.error}` }] };
+        }
+        if (!project && !client && !range) {
+            return { content: [{ type: 'text', text: '❌ Narrow the selection with project, client, or period/from/to.' }] };
+        }
+        if ((username || team) && auth.user.role !== 'admin') {
+            return { content: [{ type: 'text', text: '🔒 Only admins can change other users\' entries' }] };
+        }
+
+        const change = {};
+        if (set_billed !== undefined) change.billed = set_billed;
+        if (set_billable !== undefined) change.billable = set_billable;
+        if (move_to) change.project = move_to;
+        if (remove) change.delete = true;
+
+        const dryRun = dry_run !== false;
+        const result = await bulkUpdateEntries({
+            userId: team ? null : (username ? username.toLowerCase() : auth.user.id),
+            from: range?.from || null,
+            to: range?.to || null,
+            timezone,
+            project: project || null,
+            client: client || null,
+            billable: billable ?? null,
+            billed: billed ?? null,
+        }, change, { dryRun, actorId: auth.user.id });
+
+        if (result.lockedWeeks?.length > 0) {
+            const weeks = result.lockedWeeks.map(week => `  • week of ${week.weekStart} (${week.userId})`).join('\n');
+            return { content: [{ type: 'text', text: `🔒 ${result.error}, nothing was changed:\n${weeks}\n\nNarrow the selection or have an admin reopen them with timesheet action=reopen.` }] };
+        }
+        if (result.invoiced > 0) {
+            return { content: [{ type: 'text', text: `🧾 ${result.error}, nothing was changed. Narrow the selection with billed=false or void the invoices first.` }] };
+        }
+        if (result.error) {
+            return { content: [{ type: 'text', text: entryErrorText(result, timezone) }] };
+        }
+        if (result.count === 0) {
+            const already = result.matched > 0 ? ` (${result.matched} matching entries already have this change)` : '';
+            return { content: [{ type: 'text', text: `📭 No entries to change${already}.` }] };
+        }
+
+        const what = {
+            billed: `mark as ${change.billed ? 'billed' : 'unbilled'}`,
+            billable: `make ${change.billable ? 'billable' : 'non-billable'}`,
+            project: `move to **${move_to}**`,
+            delete: 'delete',
+        }[result.change];
+
+        let text = dryRun
+            ? `🔍 **Preview**: ${what} ${result.count} entries (${result.totalFormatted})\n\n`
+            : `✅ Done: ${what} ${result.count} entries (${result.totalFormatted})\n\n`;
+        for (const proj of result.projects) {
+            text += `**${proj.id}**: ${formatDuration(proj.minutes)} (${proj.entryCount} entries)\n`;
+        }
+
+        if (dryRun) {
+            const shown = result.entries.slice(0, 20);
+            text += '\n';
+            for (const e of shown) {
+                const date = localDateString(e.createdAt, timezone);
+                text += `• \`${e.id}\` ${date}${team ? ` ${e.userId}` : ''} **${e.project}** ${formatDuration(e.minutes)}: ${e.description || '(no message)'}\n`;
+            }
+            if (result.entries.length > shown.length) text += `_…and ${result.entries.length - shown.length} more_\n`;
+            text += '\nRun again with dry_run=false to apply.';
+        } else {
+            text += '\nEach entry can be reverted with entry_manage action=undo.';
+        }
+        return { content: [{ type: 'text', text }] };
+    }
+);
+
+// Tool: Import time from other trackers
+server.tool(
+    'time_import',
+    {
+        source: z.enum(IMPORT_SOURCES).describe('Tracker the export comes from'),
+        content: z.string().describe('Contents of the CSV or JSON export (Toggl detailed report, Clockify detailed report, Harvest time report, or their API time entries)'),
+        username: z.string().optional().describe('Import as this user (admins only, defaults to you)'),
+        export_user: z.string().optional().describe('Only import rows of this person (name or email in the export), for team exports'),
+        default_project: z.string().optional().describe('Project for rows without one (otherwise they are reported as errors)'),
+        day_first: z.boolean().optional().describe('Read dates like 03/04/2026 as day/month/year (default month/day/year)'),
+        dry_run: z.boolean().optional().describe('Only preview the import (default: true). Pass false to import')
+    },
+    async ({ source, content, username, export_user, default_project, day_first, dry_run }) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        const userId = username ? username.toLowerCase() : auth.user.id;
+        // Clock times in the export are read in the timezone of the user it is imported for
+        const owner = userId === auth.user.id ? auth.user : await getUser(userId);
+        if (!owner) {
+            return { content: [{ type: 'text', text: `❌ User "${username}" not found.` }] };
+        }
+        const timezone = resolveTimezone(owner.timezone);
+
+        let parsed;
+        try {
+            parsed = parseExport(source, content, {
+                timezone,
+                dayFirst: day_first === true,
+                defaultProject: default_project || null,
+                user: export_user || null,
+            });
+        } catch (error) {
+            return { content: [{ type: 'text', text: `❌ ${error.message}` }] };
+        }
+
+        const dryRun = dry_run !== false;
+        const result = await importEntries(parsed.records, { source, userId, actorId: auth.user.id, dryRun });
+        if (result.error) {
+            return { content: [{ type: 'text', text: `🔒 ${result.error}` }] };
+        }
+
+        const errors = [...parsed.errors, ...result.errors].sort((a, b) => a.row - b.row);
+        const rows = parsed.records.length + parsed.errors.length + parsed.skipped;
+        let text = dryRun
+            ? `🔍 **Preview**: ${rows} ${source} rows (${parsed.format.toUpperCase()}) → ${result.count} entries (${result.totalFormatted})\n`
+            : `✅ Imported ${result.count} entries (${result.totalFormatted}) from ${rows} ${source} rows\n`;
+        if (result.duplicates > 0) text += `♻️ ${result.duplicates} already imported, skipped\n`;
+        if (parsed.skipped > 0) text += `👤 ${parsed.skipped} rows of other people skipped\n`;
+
+        if (result.projects.length > 0) {
+            text += '\n';
+            for (const proj of result.projects) {
+                const notes = [proj.isNew ? 'new' : null, proj.isNew && proj.clientId ? `client ${proj.clientId}` : null].filter(Boolean);
+                text += `**${proj.name}**${notes.length ? ` (${notes.join(', ')})` : ''}: ${formatDuration(proj.minutes)} (${proj.entryCount} entries)\n`;
+            }
+        }
+        if (result.newClients.length > 0) text += `👥 New clients: ${result.newClients.join(', ')}\n`;
+
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 20);
+            text += `\n❗ **${errors.length} rows not imported**\n`;
+            for (const e of shown) text += `• row ${e.row}: ${e.error}\n`;
+            if (errors.length > shown.length) text += `_…and ${errors.length - shown.length} more_\n`;
+        }
+
+        text += dryRun
+            ? '\nRun again with dry_run=false to import.'
+            : '\nImporting the same export again skips these rows.';
+        return { content: [{ type: 'text', text }] };
+    }
+);
+
+// Tool: Entry templates and recurring entries
+server.tool(
+    'template_manage',
+    {
+        action: z.enum(['create', 'update', 'delete', 'list', 'confirm', 'dismiss']).describe('Action to perform. confirm logs pending recurring drafts as entries, dismiss discards them'),
+        name: z.string().optional().describe('Template name, e.g. "standup" (for create/update/delete; use it with log_time template=...)'),
+        project: z.string().optional().describe('Project to log to (required for create)'),
+        message: z.string().optional().describe('Entry message'),
+        minutes: z.number().int().positive().optional().describe('Minutes to log (required for create)'),
+        billable: z.boolean().optional().describe('Whether the entries are billable (defaults to true)'),
+        task: z.string().optional().describe('Task ID to link the entries to'),
+        recurrence: z.string().optional().describe('Repeat as drafts: "daily", "weekdays", "weekly:mon,thu" or "monthly:15". Pass "none" to stop repeating'),
+        at: z.string().optional().describe('Start time "HH:MM" for the entries, e.g. "09:30"; pass "none" to log a duration only'),
+        auto: z.boolean().optional().describe('Log recurring entries directly instead of as drafts to confirm'),
+        drafts: z.array(z.string()).optional().describe('Draft IDs to confirm or dismiss (defaults to all pending drafts)')
+    },
+    async ({ action, name, project, message, minutes, billable, task, recurrence, at, auto, drafts }) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        const timezone = resolveTimezone(auth.user.timezone);
+        const describeTemplate = (t) => {
+            let line = `**${t.name}** → ${t.projectId}, ${formatDuration(t.minutes)}${t.startTime ? ` at ${t.startTime}` : ''}: ${t.description || '(no message)'}`;
+            if (t.billable === false) line += ' 🏷️ non-billable';
+            if (t.recurrence) line += `\n  🔁 ${t.recurrence}${t.autoCreate ? ' (logged automatically)' : ' (drafts to confirm)'}`;
+            return line;
+        };
+
+        // LIST
+        if (action === 'list') {
+            const templates = await getTemplates(auth.user.id);
+            if (templates.length === 0) {
+                return { content: [{ type: 'text', text: '📋 No templates yet. Create one with action=create.' }] };
+            }
+            return { content: [{ type: 'text', text: `📋 **Templates**\n\n${templates.map(describeTemplate).join('\n')}` }] };
+        }
+
+        // CONFIRM / DISMISS drafts
+        if (action === 'confirm' || action === 'dismiss') {
+            await generateRecurringEntries(auth.user.id);
+            if (action === 'dismiss') {
+                const dismissed = await dismissDrafts(drafts || null, auth.user.id);
+                if (dismissed.length === 0) {
+                    return { content: [{ type: 'text', text: '📭 No drafts to dismiss.' }] };
+                }
+                return { content: [{ type: 'text', text: `🗑️ Dismissed ${dismissed.length} drafts:\n${dismissed.map(d => `• ${d.day} ${d.template}`).join('\n')}` }] };
+            }
+
+            const result = await confirmDrafts(drafts || null, auth.user.id);
+            if (result.created.length === 0 && result.failed.length === 0) {
+                return { content: [{ type: 'text', text: '📭 No drafts to confirm.' }] };
+            }
+            let text = `✅ Logged ${result.created.length} entries\n`;
+            for (const e of result.created) {
+                text += `• ${e.day} **${e.project}** ${formatDuration(e.minutes)}: ${e.description || '(no message)'}\n`;
+            }
+            if (result.failed.length > 0) {
+                text += `\n⚠️ ${result.failed.length} drafts kept:\n`;
+                for (const f of result.failed) {
+                    text += `• \`${f.id}\` ${f.day} ${f.template}: ${entryErrorText(f, timezone)}\n`;
+                }
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        if (!name) {
+            return { content: [{ type: 'text', text: `❌ name is required for ${action} action` }] };
+        }
+
+        // DELETE
+        if (action === 'delete') {
+            const deleted = await deleteTemplate(name, auth.user.id);
+            if (!deleted) {
+                return { content: [{ type: 'text', text: `❌ Template "${name}" not found.` }] };
+            }
+            return { content: [{ type: 'text', text: `🗑️ Deleted template **${deleted.name}**. Entries already logged from it are kept.` }] };
+        }
+
+        // CREATE / UPDATE: validate the shared fields
+        let rule;
+        if (recurrence !== undefined) {
+            rule = recurrence.trim().toLowerCase() === 'none' ? null : parseRecurrence(recurrence);
+            if (rule === null && recurrence.trim().toLowerCase() !== 'none') {
+                return { content: [{ type: 'text', text: `❌ Unknown recurrence "${recurrence}". Use "daily", "weekdays", "weekly:mon,thu" or "monthly:15".` }] };
+            }
+        }
+        let startTime;
+        if (at !== undefined) {
+            const clock = at.trim().match(/^(\d{1,2})[:.](\d{2})$/);
+            if (at.trim().toLowerCase() === 'none') {
+                startTime = null;
+            } else if (!clock || Number(clock[1]) > 23 || Number(clock[2]) > 59) {
+                return { content: [{ type: 'text', text: '❌ at must be a time like "09:30".' }] };
+            } else {
+                startTime = `${clock[1].padStart(2, '0')}:${clock[2]}`;
+            }
+        }
+        if (task && !await getTask(task)) {
+            return { content: [{ type: 'text', text: `❌ Task "${task}" not found.` }] };
+        }
+
+        if (action === 'create') {
+            if (!project || !minutes) {
+                return { content: [{ type: 'text', text: '❌ project and minutes are required for create action' }] };
+            }
+            const template = await createTemplate(name, project, message || null, minutes, {
+                billable,
+                taskId: task || null,
+                recurrence: rule || null,
+                startTime: startTime || null,
+                autoCreate: auto === true,
+            }, auth.user.id);
+            if (template.error) {
+                return { content: [{ type: 'text', text: `❌ ${template.error}. Change it with action=update.` }] };
+            }
+            return { content: [{ type: 'text', text: `✅ Saved template\n\n${describeTemplate(template)}\n\nLog it with log_time template=${template.name}` }] };
+        }
+
+        if (action === 'update') {
+            const updated = await updateTemplate(name, {
+                project,
+                description: message,
+                minutes,
+                billable,
+                taskId: task,
+                recurrence: rule,
+                startTime,
+                autoCreate: auto,
+            }, auth.user.id);
+            if (!updated) {
+                return { content: [{ type: 'text', text: `❌ Template "${name}" not found.` }] };
+            }
+            return { content: [{ type: 'text', text: `✏️ Updated template\n\n${describeTemplate(updated)}` }] };
+        }
+
         return { content: [{ type: 'text', text: `❌ Unknown action: ${action}` }] };
     }
 );
@@ -223,44 +1060,67 @@ server.tool(
 server.tool(
     'time_query',
     {
-        scope: z.enum(['today', 'week', 'unbilled', 'invoice', 'team', 'project']).describe('What to query'),
-        project: z.string().optional().describe('Project name (required for scope=project)'),
-        limit: z.number().positive().optional().describe('Number of entries to show (for project scope, default: 10)')
+        scope: z.enum(['today', 'week', 'unbilled', 'invoice', 'team', 'project', 'report', 'overlaps', 'drafts', 'tags', 'balance']).describe('What to query. drafts lists recurring entries waiting to be confirmed, tags lists the tags in use, balance compares logged time with your work schedule'),
+        project: z.string().optional().describe('Project name (required for scope=project, filter for report)'),
+        limit: z.number().positive().optional().describe('Number of entries to show (for project scope, default: 10)'),
+        period: z.string().optional().describe('Named period for report/overlaps/balance: "last-month", "this-week", "Q3", "2026-09" or "2026-09-01..2026-09-15"'),
+        from: z.string().optional().describe('Start date YYYY-MM-DD (for report/overlaps/balance, inclusive)'),
+        to: z.string().optional().describe('End date YYYY-MM-DD (for report/overlaps/balance, inclusive, defaults to today)'),
+        group_by: z.enum(['project', 'client', 'user', 'day', 'tag']).optional().describe('How to break down the report (default: project). By tag, an entry with several tags counts towards each'),
+        client: z.string().optional().describe('Filter by client (for report)'),
+        tag: z.string().optional().describe('Only entries with this tag (for report)'),
+        team: z.boolean().optional().describe('Include the whole team instead of only your entries (for report/overlaps/tags; for balance, team utilisation - admins only)')
     },
-    async ({ scope, project, limit }) => {
+    async ({ scope, project, limit, period, from, to, group_by, client, tag, team }) => {
         const auth = checkUser();
         if (auth.error) {
             return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
         }
 
+        const timezone = resolveTimezone(auth.user.timezone);
+
         // TODAY
         if (scope === 'today') {
             const summary = await getTodaySummary(auth.user.id);
+            const dayOff = summary.absence ? `\n${formatAbsence(summary.absence)}` : '';
             if (summary.projects.length === 0) {
-                return { content: [{ type: 'text', text: `📅 **Today (${summary.date})**\n\n_No time logged today yet._` }] };
+                return { content: [{ type: 'text', text: `📅 **Today (${summary.date})**${dayOff}\n\n_No time logged today yet._\n${formatReview(summary.review, summary.timezone)}` }] };
             }
-            let text = `📅 **Today (${summary.date})**\n⏱️ Total: ${summary.totalFormatted}\n\n`;
+            let text = `📅 **Today (${summary.date})**${dayOff}\n⏱️ Total: ${summary.totalFormatted}\n\n`;
             for (const proj of summary.projects) {
                 text += `**${proj.name}**: ${proj.durationFormatted}\n`;
                 for (const entry of proj.entries) {
-                    text += `  • ${entry.description || '(no description)'}\n`;
+                    const range = formatTimeRange(entry.startedAt, entry.endedAt, summary.timezone);
+                    text += `  • ${range ? `${range} ` : ''}${entry.description || '(no description)'}\n`;
                 }
                 text += '\n';
             }
+            text += formatReview(summary.review, summary.timezone);
             return { content: [{ type: 'text', text }] };
         }
 
         // WEEK
         if (scope === 'week') {
             const summary = await getWeeklySummary(auth.user.id);
+            const daysOff = summary.absences.length > 0
+                ? `\n🗓️ ${summary.expectedDays} working days; off: ${summary.absences.map(a => `${weekdayName(a.date)} ${formatAbsence(a)}`).join(', ')}`
+                : '';
             if (summary.days.length === 0) {
-                return { content: [{ type: 'text', text: `📆 **This Week**\n\n_No time logged this week yet._` }] };
+                return { content: [{ type: 'text', text: `📆 **This Week**${daysOff}\n\n_No time logged this week yet._\n${formatReview(summary.review, summary.timezone)}` }] };
+            }
+            let text = `📆 **This Week** (starting ${summary.weekStart})\n⏱️ Total: ${summary.totalFormatted}`;
+            if (summary.targetMinutes !== null) {
+                text += ` of ${formatDuration(summary.targetMinutes)} target (${formatBalance(summary.totalMinutes - summary.targetMinutes)})`;
+                text += `\n⚖️ Running balance: ${formatBalance(summary.runningBalanceMinutes)}`;
             }
-            let text = `📆 **This Week** (starting ${summary.weekStart})\n⏱️ Total: ${summary.totalFormatted}\n\n`;
+            text += `${daysOff}\n\n`;
             for (const day of summary.days.sort((a, b) => a.date.localeCompare(b.date))) {
-                const dayName = new Date(day.date).toLocaleDateString('en-US', { weekday: 'short' });
-                text += `**${dayName} (${day.date})**: ${day.durationFormatted}\n`;
+                const dayName = weekdayName(day.date);
+                text += `**${dayName} (${day.date})**: ${day.durationFormatted}`;
+                if (summary.targetMinutes !== null && day.targetMinutes > 0) text += ` / ${formatDuration(day.targetMinutes)}`;
+                text += '\n';
             }
+            text += formatReview(summary.review, summary.timezone);
             return { content: [{ type: 'text', text }] };
         }
 
@@ -283,11 +1143,25 @@ server.tool(
             if (summary.clients.length === 0) {
                 return { content: [{ type: 'text', text: `🧾 **Invoice Summary**\n\n_No unbilled time._` }] };
             }
-            let text = `🧾 **Invoice Summary**\n⏱️ Total: ${summary.totalFormatted} (€${summary.totalValue})\n\n`;
+            const billed = (item) => item.billableMinutes !== item.minutes ? ` → ${item.billableFormatted} billable` : '';
+            let text = `🧾 **Invoice Summary**\n⏱️ Total: ${summary.totalFormatted}${billed({ minutes: summary.totalMinutes, billableMinutes: summary.totalBillableMinutes, billableFormatted: summary.totalBillableFormatted })}\n`;
+            for (const total of summary.totals) {
+                text += `💰 ${total.currency}: ${formatTaxTotal(total)}\n`;
+            }
+            // One figure across currencies, converted with the exchange-rate table
+            const { combined } = summary;
+            if (summary.totals.length > 1 || combined.missing.length > 0) {
+                const rates = combined.rates.map(r => `${r.currency} ${r.rate} from ${r.validFrom}`).join(', ');
+                text += `Σ Combined: **${formatMoney(combined.gross, combined.currency)}** incl. VAT (${formatMoney(combined.net, combined.currency)} net)${rates ? ` at ${rates}` : ''}\n`;
+                if (combined.missing.length > 0) {
+                    text += `⚠️ Not included: no exchange rate for ${combined.missing.join(', ')}. Set one with exchange_rate action=set.\n`;
+                }
+            }
+            text += '\n';
             for (const client of summary.clients) {
-                text += `**${client.clientName}**: ${client.durationFormatted} (€${client.valueFormatted})\n`;
+                text += `**${client.clientName}**: ${client.durationFormatted}${billed(client)} (${client.totals.map(formatTaxTotal).join('; ')})\n`;
                 for (const proj of client.projects) {
-                    text += `  • ${proj.projectName}: ${proj.durationFormatted}\n`;
+                    text += `  • ${proj.projectName}: ${proj.durationFormatted}${billed(proj)} - ${formatMoney(proj.net, proj.currency)}, ${proj.vatLabel}\n`;
                 }
                 text += '\n';
             }
@@ -296,7 +1170,7 @@ server.tool(
 
         // TEAM
         if (scope === 'team') {
-            const summary = await getTeamTodaySummary();
+            const summary = await getTeamTodaySummary(auth.user.id);
             if (summary.members.length === 0) {
                 return { content: [{ type: 'text', text: `👥 **Team Today (${summary.date})**\n\n_No team activity today._` }] };
             }
@@ -308,6 +1182,10 @@ server.tool(
                 }
                 text += '\n';
             }
+            if (auth.user.role === 'admin') {
+                const weekStart = startOfWeek(summary.date);
+                text += formatUtilisation(await getTeamUtilisation({ from: weekStart, to: summary.date, timezone }), 'This week');
+            }
             return { content: [{ type: 'text', text }] };
         }
 
@@ -325,122 +1203,453 @@ server.tool(
             if (!projectData) {
                 return { content: [{ type: 'text', text: `❌ Project "${project}" not found.` }] };
             }
-            let text = `📊 **${projectData.name}**\n⏱️ Total time: ${projectData.totalFormatted}\n\n`;
+            let text = `📊 **${projectData.name}**\n⏱️ Total time: ${projectData.totalFormatted}\n`;
+            const budget = await getProjectBudget(projectData.id, timezone);
+            if (budget) {
+                text += `${formatBudget(budget)}\n`;
+            }
+            text += '\n';
             if (entries.length === 0) {
                 text += '_No entries yet._';
             } else {
                 text += `**Recent entries:**\n`;
                 for (const entry of entries) {
-                    const date = new Date(entry.createdAt).toLocaleDateString();
-                    text += `• \`${entry.id}\` ${date} - ${entry.durationFormatted}: ${entry.description || '(no description)'}\n`;
+                    const date = localDateString(entry.createdAt, timezone);
+                    const range = formatTimeRange(entry.startedAt, entry.endedAt, timezone);
+                    text += `• \`${entry.id}\` ${date}${range ? ` ${range}` : ''} - ${entry.durationFormatted}: ${entry.description || '(no description)'}\n`;
                 }
             }
             return { content: [{ type: 'text', text }] };
         }
 
+        // REPORT (arbitrary date range)
+        if (scope === 'report') {
+            const range = resolveRange({ period, from, to }, timezone);
+            if (range?.error) {
+                return { content: [{ type: 'text', text: `❌ ${range.error}` }] };
+            }
+            if (!range) {
+                return { content: [{ type: 'text', text: '❌ period or from/to is required for scope=report' }] };
+            }
+            const report = await aggregateEntries({
+                userId: team ? null : auth.user.id,
+                from: range.from,
+                to: range.to,
+                timezone,
+                groupBy: group_by || 'project',
+                project: project || null,
+                client: client || null,
+                tag: tag || null
+            });
+            const title = `📈 **Report ${range.from || '…'} → ${range.to}**${team ? ' (team)' : ''}${tag ? ` tagged ${formatTags([tag])}` : ''} by ${report.groupBy}`;
+            if (report.groups.length === 0) {
+                return { content: [{ type: 'text', text: `${title}\n\n_No time logged in this period._` }] };
+            }
+            let text = `${title}\n⏱️ Total: ${report.totalFormatted} in ${report.entryCount} entries`;
+            if (report.totalValue > 0) text += ` (${report.totalValueFormatted})`;
+            text += '\n\n';
+            for (const group of report.groups) {
+                const label = report.groupBy === 'day' ? `${weekdayName(group.key)} ${group.key}`
+                    : report.groupBy === 'tag' && group.key !== 'untagged' ? formatTags([group.key])
+                    : group.label;
+                text += `**${label}**: ${group.durationFormatted} (${group.entryCount} entries)`;
+                if (group.billableMinutes !== group.minutes) text += `, ${group.billableFormatted} after rounding`;
+                if (group.value > 0) text += ` ≈ ${group.valueFormatted}`;
+                if (report.groupBy === 'tag' && report.totalMinutes > 0) text += ` - ${Math.round(group.minutes / report.totalMinutes * 100)}%`;
+                text += '\n';
+            }
+            if (report.groupBy === 'tag') text += '\n_Entries with several tags count towards each of them._';
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // OVERLAPS (defaults to this week)
+        if (scope === 'overlaps') {
+            const range = resolveRange({ period: period || (from || to ? null : 'this-week'), from, to }, timezone);
+            if (range.error) {
+                return { content: [{ type: 'text', text: `❌ ${range.error}` }] };
+            }
+            const pairs = await getOverlappingEntries({
+                userId: team ? null : auth.user.id,
+                from: range.from,
+                to: range.to,
+                timezone
+            });
+            const title = `⚠️ **Overlapping entries ${range.from || '…'} → ${range.to}**${team ? ' (team)' : ''}`;
+            if (pairs.length === 0) {
+                return { content: [{ type: 'text', text: `${title}\n\n_No overlaps found._` }] };
+            }
+            let text = `${title}\n\n`;
+            for (const pair of pairs) {
+                const day = localDateString(pair.startedAt, timezone);
+                text += `• ${day}${team ? ` ${pair.userId}` : ''}: \`${pair.id}\` **${pair.projectId}** ${formatTimeRange(pair.startedAt, pair.endedAt, timezone)}`;
+                text += ` ↔ \`${pair.otherId}\` **${pair.otherProjectId}** ${formatTimeRange(pair.otherStartedAt, pair.otherEndedAt, timezone)}`;
+                text += ` (${pair.overlapFormatted} overlap)\n`;
+            }
+            text += `\nFix with entry_manage edit (from/to) or delete.`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // BALANCE (target versus logged time, defaults to this week)
+        if (scope === 'balance') {
+            const range = resolveRange({ period: period || (from || to ? null : 'this-week'), from, to }, timezone);
+            if (range.error) {
+                return { content: [{ type: 'text', text: `❌ ${range.error}` }] };
+            }
+            if (team) {
+                if (auth.user.role !== 'admin') {
+                    return { content: [{ type: 'text', text: '🔒 Admin access required for team utilisation' }] };
+                }
+                const utilisation = await getTeamUtilisation({ from: range.from || startOfWeek(range.to), to: range.to, timezone });
+                return { content: [{ type: 'text', text: formatUtilisation(utilisation, `${utilisation.from} → ${utilisation.to}`) }] };
+            }
+
+            const balance = await getBalance(auth.user.id, { from: range.from, to: range.to });
+            if (!balance.since) {
+                return { content: [{ type: 'text', text: '⚖️ No work schedule set. An admin can set one with user_manage action=set_schedule.' }] };
+            }
+            let text = `⚖️ **Balance ${balance.from} → ${balance.to}**\n`;
+            text += `⏱️ ${formatDuration(balance.minutes)} of ${formatDuration(balance.targetMinutes)} target (${formatBalance(balance.balanceMinutes)})\n`;
+            text += `📊 Running balance since ${balance.since}: **${formatBalance(balance.runningBalanceMinutes)}**\n\n`;
+            text += `🗓️ ${balance.expectedDays} working days${balance.absences.length > 0 ? `, ${balance.absences.length} with leave or holidays` : ''}\n\n`;
+            for (const day of balance.days) {
+                if (day.targetMinutes === 0 && day.minutes === 0 && !day.absence) continue;
+                text += `${weekdayName(day.date)} ${day.date}: ${formatDuration(day.minutes)} / ${formatDuration(day.targetMinutes)} (${formatBalance(day.balanceMinutes)})`;
+                if (day.absence) text += ` ${formatAbsence(day.absence)}`;
+                text += '\n';
+            }
+            if (balance.schedule) text += `\n📅 Schedule: ${formatSchedule(balance.schedule)}`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // TAGS in use
+        if (scope === 'tags') {
+            const list = await getTags(team ? null : auth.user.id);
+            if (list.length === 0) {
+                return { content: [{ type: 'text', text: '🔖 **Tags**\n\n_No tagged entries yet. Add tags with log_time, stopwatch or entry_manage._' }] };
+            }
+            let text = `🔖 **Tags**${team ? ' (team)' : ''}\n\n`;
+            for (const t of list) {
+                text += `**#${t.name}**: ${t.durationFormatted} (${t.entryCount} entries)\n`;
+            }
+            text += '\nBreak a period down with scope=report group_by=tag.';
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // DRAFTS (recurring entries to confirm)
+        if (scope === 'drafts') {
+            await generateRecurringEntries(auth.user.id);
+            const drafts = await getDrafts(auth.user.id);
+            if (drafts.length === 0) {
+                return { content: [{ type: 'text', text: '📝 **Drafts**\n\n_No recurring entries waiting._' }] };
+            }
+            let text = `📝 **Drafts** (${drafts.length})\n\n`;
+            for (const draft of drafts) {
+                text += `• \`${draft.id}\` ${weekdayName(draft.day)} ${draft.day}${draft.startTime ? ` ${draft.startTime}` : ''} **${draft.projectId}** ${formatDuration(draft.minutes)}: ${draft.description || '(no message)'} _(${draft.template})_\n`;
+            }
+            text += '\nLog them with template_manage action=confirm, or drop them with action=dismiss (optionally pass drafts=[ids]).';
+            return { content: [{ type: 'text', text }] };
+        }
+
         return { content: [{ type: 'text', text: `❌ Unknown scope: ${scope}` }] };
     }
 );
 
+// Tool: Export entries, summaries and invoice lines for spreadsheets
+server.tool(
+    'time_export',
+    {
+        dataset: z.enum(EXPORT_DATASETS).describe('entries: one row per entry with project, client, user, rate and value; summary: one row per group; invoice: unbilled billable time per client and project'),
+        format: z.enum(EXPORT_FORMATS).optional().describe('csv (default), json, or xls (Excel XML workbook)'),
+        period: z.string().optional().describe('Named period: "last-month", "this-week", "Q3", "2026-09" or "2026-09-01..2026-09-15"'),
+        from: z.string().optional().describe('Start date YYYY-MM-DD (inclusive)'),
+        to: z.string().optional().describe('End date YYYY-MM-DD (inclusive, defaults to today)'),
+        project: z.string().optional().describe('Only entries in this project'),
+        client: z.string().optional().describe('Only entries for this client'),
+        tag: z.string().optional().describe('Only entries with this tag'),
+        billable: z.boolean().optional().describe('Only billable (true) or non-billable (false) entries'),
+        billed: z.boolean().optional().describe('Only billed (true) or unbilled (false) entries'),
+        group_by: z.enum(['project', 'client', 'user', 'day', 'tag']).optional().describe('Rows of the summary dataset (default: project)'),
+        team: z.boolean().optional().describe('Include the whole team instead of only your entries')
+    },
+    async (args) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        const filters = exportFilters(args, auth.user);
+        if (filters.error) {
+            return { content: [{ type: 'text', text: `❌ ${filters.error}` }] };
+        }
+        const format = args.format || 'csv';
+        const table = await buildExport(args.dataset, filters);
+        const file = renderExport(table, format);
+
+        // The same export as a download, for spreadsheets that fetch it directly
+        const baseUrl = process.env.BASE_URL || 'https://mcp.calq.nl';
+        const query = new URLSearchParams({ format });
+        for (const key of ['period', 'from', 'to', 'project', 'client', 'tag', 'billable', 'billed', 'group_by', 'team']) {
+            if (args[key] !== undefined) query.set(key, String(args[key]));
+        }
+
+        let text = `📤 **${file.filename}**: ${table.rows.length} rows`;
+        if (table.filters.from || table.filters.to) text += ` (${table.filters.from || '…'} to ${table.filters.to || '…'})`;
+        text += `\n⬇️ Download: ${baseUrl}/export/${args.dataset}?${query} (send your bearer token)`;
+        return {
+            content: [
+                { type: 'text', text },
+                { type: 'resource', resource: { uri: `calq://exports/${file.filename}`, mimeType: file.contentType.split(';')[0], text: file.body } }
+            ]
+        };
+    }
+);
+
 // Tool: Stopwatch for time tracking
 server.tool(
     'stopwatch',
     {
-        action: z.enum(['start', 'stop', 'status', 'pause', 'resume', 'cancel']).describe('Action to perform'),
-        project: z.string().optional().describe('Project name (required for start)'),
-        description: z.string().optional().describe('What you are working on (for start)'),
-        message: z.string().optional().describe('Final summary message (for stop)'),
-        billable: z.boolean().optional().describe('Whether this is billable (for stop, defaults to true)'),
-        task: z.string().optional().describe('Task ID to link to (for start)')
+        action: z.enum(['start', 'stop', 'switch', 'status', 'list', 'pause', 'resume', 'cancel']).describe('Action to perform. start pauses the running timer and stop resumes it; switch stops the running timer and starts a new one'),
+        project: z.string().optional().describe('Project name (required for start and switch)'),
+        description: z.string().optional().describe('What you are working on (for start/switch)'),
+        message: z.string().optional().describe('Final summary message (for stop/switch)'),
+        billable: z.boolean().optional().describe('Whether this is billable (for stop/switch, defaults to true)'),
+        task: z.string().optional().describe('Task ID to link to (for start/switch)'),
+        timer: z.string().optional().describe('Timer to act on: id, name or project (defaults to the running timer)'),
+        name: z.string().optional().describe('Label for the new timer, to address it later (for start/switch)'),
+        parallel: z.boolean().optional().describe('Run alongside the current timer instead of pausing it (for start)'),
+        at: z.string().optional().describe('When you actually started or stopped, HH:MM or ISO date-time (for start/stop/switch). Trims a forgotten timer on stop'),
+        ago: z.number().int().positive().optional().describe('Minutes ago you actually started or stopped, e.g. 25 (for start/stop/switch)'),
+        confirm: z.boolean().optional().describe('Log a timer flagged as forgotten at its full length (for stop/switch)'),
+        allow_overlap: z.boolean().optional().describe('Log even if the session overlaps other entries (for stop/switch)'),
+        tags: z.array(z.string()).optional().describe('Tags for the logged entry, e.g. ["meeting"] (for start/switch; on stop they replace the timer\'s tags)')
     },
-    async ({ action, project, description, message, billable, task }) => {
+    async ({ action, project, description, message, billable, task, timer, name, parallel, at, ago, confirm, allow_overlap, tags }) => {
         const auth = checkUser();
         if (auth.error) {
             return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
         }
 
+        const timezone = resolveTimezone(auth.user.timezone);
+        const timerLabel = (t) => t.name ? `**${t.name}** (${t.project})` : `**${t.project}**`;
+
+        const describeStopped = (result) => {
+            let text = `⏹️ Timer stopped - **${result.entry.project}**\n\n${result.entry.description}`;
+            text += `\n\n⏱️ ${formatDuration(result.minutes)}`;
+            text += `\n🕘 ${formatTimeRange(result.entry.startedAt, result.entry.endedAt, timezone)}`;
+            if (result.entry.billable === false) text += `\n🏷️ Non-billable`;
+            if (result.entry.tags.length > 0) text += `\n🔖 ${formatTags(result.entry.tags)}`;
+            if (result.entry.overlaps.length > 0) {
+                text += `\n\n⚠️ Overlaps existing time:\n${formatOverlaps(result.entry.overlaps, timezone)}`;
+            }
+            text += formatBudgetAlert(result.entry.budgetAlert);
+            return text;
+        };
+
+        const overlapError = (result) => ({
+            content: [{ type: 'text', text: `❌ ${result.error}, timer kept running:\n${formatOverlaps(result.overlaps, timezone)}\n\nFix the other entries or stop with allow_overlap=true.` }]
+        });
+
+        const reviewError = (result) => {
+            let text = `⚠️ This **${result.project}** timer looks forgotten: ${result.review.warnings.join(', ')}.`;
+            text += `\n\nStarted ${formatClockTime(result.startedAt, timezone)} (${localDateString(result.startedAt, timezone)}), last activity ${formatClockTime(result.review.suggestedEnd, timezone)}.`;
+            text += `\nStop with at=${formatClockTime(result.review.suggestedEnd, timezone)} (or another end time) to trim it, or confirm=true to log the full ${formatDuration(result.minutes)}.`;
+            return { content: [{ type: 'text', text }] };
+        };
+
+        // Explicit start/stop moment from at or ago, null for now
+        let when = null;
+        if (at && ago) {
+            return { content: [{ type: 'text', text: '❌ Use either at or ago, not both.' }] };
+        }
+        if (at) {
+            when = resolveTimerTime(at, timezone);
+            if (!when) {
+                return { content: [{ type: 'text', text: `❌ Could not understand at="${at}". Use HH:MM or an ISO date-time.` }] };
+            }
+        }
+        if (ago) when = new Date(Date.now() - ago * 60000);
+        if (when && when > new Date()) {
+            return { content: [{ type: 'text', text: `❌ ${formatClockTime(when, timezone)} on ${localDateString(when, timezone)} is in the future.` }] };
+        }
+
+        const taskSuffix = async () => {
+            if (!task) return '';
+            const taskData = await getTask(task);
+            if (!taskData) return '';
+            return taskData.youtrackId ? ` [${taskData.youtrackId}]` : ` [task:${task}]`;
+        };
+
         // START
         if (action === 'start') {
             if (!project) {
                 return { content: [{ type: 'text', text: '❌ project is required for start action' }] };
             }
-            let taskInfo = '';
-            if (task) {
-                const taskData = await getTask(task);
-                if (taskData) {
-                    taskInfo = taskData.youtrackId ? ` [${taskData.youtrackId}]` : ` [task:${task}]`;
-                }
+            const taskInfo = await taskSuffix();
+            const result = await startTimer(project, (description || '') + taskInfo, auth.user.id, { name, parallel: parallel === true, startedAt: when, tags });
+            if (result.previousEnd) {
+                return { content: [{ type: 'text', text: `❌ ${result.error} (${formatClockTime(result.previousEnd, timezone)} on ${localDateString(result.previousEnd, timezone)}).` }] };
+            }
+            if (result.current) {
+                return { content: [{ type: 'text', text: `❌ ${result.error} (**${result.current.projectId}** at ${formatClockTime(result.current.startedAt, timezone)}).` }] };
+            }
+            if (result.error && !result.timer) {
+                return { content: [{ type: 'text', text: `❌ ${result.error}.` }] };
             }
-            const result = await startTimer(project, (description || '') + taskInfo, auth.user.id);
             if (result.error) {
                 const elapsed = formatDuration(Math.round((new Date() - new Date(result.timer.startedAt)) / 60000));
-                return { content: [{ type: 'text', text: `⚠️ Timer already running on **${result.timer.projectId}** (${elapsed})\n\nStop it first.` }] };
+                return { content: [{ type: 'text', text: `⚠️ A timer named **${result.timer.name}** is already running on **${result.timer.projectId}** (${elapsed})\n\nPick another name or stop it first.` }] };
             }
             let text = `⏱️ Timer started for **${project}**`;
+            if (result.name) text += ` as **${result.name}**`;
+            if (result.parallel) text += ` (parallel)`;
+            if (when) text += ` at ${formatClockTime(result.startedAt, timezone)}`;
             if (description) text += `\n\n${description}`;
             if (task) text += `\n📋 Linked to task${taskInfo}`;
+            if (result.tags.length > 0) text += `\n🔖 ${formatTags(result.tags)}`;
+            if (result.pausedTimer) {
+                text += `\n\n⏸️ Paused ${timerLabel(result.pausedTimer)}, it resumes when this timer stops`;
+            }
             return { content: [{ type: 'text', text }] };
         }
 
         // STOP
         if (action === 'stop') {
-            const result = await stopTimer(message || null, billable !== false, auth.user.id);
+            const result = await stopTimer(message || null, billable !== false, auth.user.id, {
+                timer,
+                endAt: when,
+                confirm: confirm === true,
+                allowOverlap: allow_overlap === true,
+                tags,
+            });
             if (result.error) {
-                return { content: [{ type: 'text', text: '❌ No timer running.' }] };
+                if (result.overlaps) return overlapError(result);
+                if (result.review) return reviewError(result);
+                if (result.locked) return { content: [{ type: 'text', text: entryErrorText(result, timezone) }] };
+                if (result.error.startsWith('End time')) {
+                    return { content: [{ type: 'text', text: `❌ ${result.error}.` }] };
+                }
+                return { content: [{ type: 'text', text: timer ? `❌ No timer matching "${timer}".` : '❌ No timer running.' }] };
             }
-            let text = `⏹️ Timer stopped - **${result.entry.project}**\n\n${result.entry.description}`;
-            text += `\n\n⏱️ ${formatDuration(result.minutes)}`;
-            if (result.entry.billable === false) text += `\n🏷️ Non-billable`;
+            let text = describeStopped(result);
+            if (result.resumed) text += `\n\n▶️ Resumed ${timerLabel(result.resumed)}`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // SWITCH
+        if (action === 'switch') {
+            if (!project) {
+                return { content: [{ type: 'text', text: '❌ project is required for switch action' }] };
+            }
+            const taskInfo = await taskSuffix();
+            const result = await switchTimer(project, (description || '') + taskInfo, auth.user.id, {
+                timer,
+                name,
+                message: message || null,
+                billable: billable !== false,
+                endAt: when,
+                confirm: confirm === true,
+                allowOverlap: allow_overlap === true,
+                tags,
+            });
+            if (result.overlaps) return overlapError(result);
+            if (result.review) return reviewError(result);
+            if (result.error && !result.timer) {
+                return { content: [{ type: 'text', text: `❌ ${result.error}.` }] };
+            }
+            if (result.error) {
+                return { content: [{ type: 'text', text: `⚠️ A timer named **${result.timer.name}** is already running on **${result.timer.projectId}**\n\nPick another name.` }] };
+            }
+            let text = result.stopped ? `${describeStopped(result.stopped)}\n\n` : '';
+            text += `⏱️ Timer started for **${project}**`;
+            if (result.started.name) text += ` as **${result.started.name}**`;
+            if (description) text += `\n\n${description}`;
+            if (task) text += `\n📋 Linked to task${taskInfo}`;
+            if (result.started.tags.length > 0) text += `\n🔖 ${formatTags(result.started.tags)}`;
             return { content: [{ type: 'text', text }] };
         }
 
         // STATUS
         if (action === 'status') {
-            const timer = await getActiveTimer(auth.user.id);
-            if (!timer) {
-                return { content: [{ type: 'text', text: '⏱️ No timer running.' }] };
-            }
-            let statusIcon = timer.isPaused ? '⏸️' : '⏱️';
-            let statusText = timer.isPaused ? 'Paused' : 'Running';
-            let text = `${statusIcon} ${statusText}: **${timer.project}** (${timer.elapsedFormatted})`;
-            if (timer.description) text += `\n\n${timer.description}`;
-            if (timer.totalPausedMinutes > 0) text += `\n\n⏸️ Paused time: ${formatDuration(timer.totalPausedMinutes)}`;
+            const active = await getActiveTimer(auth.user.id, timer || null);
+            if (!active) {
+                return { content: [{ type: 'text', text: timer ? `⏱️ No timer matching "${timer}".` : '⏱️ No timer running.' }] };
+            }
+            let statusIcon = active.isPaused ? '⏸️' : '⏱️';
+            let statusText = active.isPaused ? 'Paused' : 'Running';
+            let text = `${statusIcon} ${statusText}: ${timerLabel(active)} (${active.elapsedFormatted})`;
+            if (active.description) text += `\n\n${active.description}`;
+            if (active.tags.length > 0) text += `\n🔖 ${formatTags(active.tags)}`;
+            if (active.totalPausedMinutes > 0) text += `\n\n⏸️ Paused time: ${formatDuration(active.totalPausedMinutes)}`;
+            if (active.autoPaused) text += `\n\n💤 Auto-paused after inactivity at ${formatClockTime(active.pausedAt, timezone)}`;
+            if (active.suspicious) {
+                text += `\n\n⚠️ Looks forgotten: ${active.warnings.join(', ')}. Stop with at=${formatClockTime(active.suggestedEnd, timezone)} to trim it.`;
+            }
+
+            const others = (await listTimers(auth.user.id)).length - 1;
+            if (others > 0) text += `\n\n📚 ${others} more timer${others === 1 ? '' : 's'} - use action=list`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // LIST
+        if (action === 'list') {
+            const list = await listTimers(auth.user.id);
+            if (list.length === 0) {
+                return { content: [{ type: 'text', text: '⏱️ No timers.' }] };
+            }
+            let text = `⏱️ **Timers** (${list.length})\n\n`;
+            for (const t of list) {
+                const icon = t.isPaused ? '⏸️' : '▶️';
+                text += `${icon} ${timerLabel(t)} - ${t.elapsedFormatted}`;
+                if (t.parallel) text += ' (parallel)';
+                if (t.autoPaused) text += ' 💤 auto-paused';
+                if (t.suspicious) text += ` ⚠️ ${t.warnings.join(', ')}`;
+                if (t.parentId) {
+                    const parent = list.find(p => p.id === t.parentId);
+                    if (parent) text += ` - resumes ${parent.name || parent.project} when stopped`;
+                }
+                text += `\n`;
+                if (t.description) text += `   ${t.description}\n`;
+                if (t.tags.length > 0) text += `   ${formatTags(t.tags)}\n`;
+                text += `   ID: ${t.id}\n`;
+            }
             return { content: [{ type: 'text', text }] };
         }
 
         // PAUSE
         if (action === 'pause') {
-            const result = await pauseTimer(auth.user.id);
+            const result = await pauseTimer(auth.user.id, timer || null);
             if (result.error) {
                 if (result.error === 'Timer already paused') {
                     return { content: [{ type: 'text', text: '⏸️ Timer is already paused.' }] };
                 }
                 return { content: [{ type: 'text', text: '❌ No timer running to pause.' }] };
             }
-            return { content: [{ type: 'text', text: `⏸️ Timer paused - **${result.project}**\n\n⏱️ ${result.runningFormatted} tracked so far` }] };
+            return { content: [{ type: 'text', text: `⏸️ Timer paused - ${timerLabel(result)}\n\n⏱️ ${result.runningFormatted} tracked so far` }] };
         }
 
         // RESUME
         if (action === 'resume') {
-            const result = await resumeTimer(auth.user.id);
+            const result = await resumeTimer(auth.user.id, timer || null);
             if (result.error) {
                 if (result.error === 'Timer is not paused') {
                     return { content: [{ type: 'text', text: '▶️ Timer is already running.' }] };
                 }
                 return { content: [{ type: 'text', text: '❌ No timer to resume.' }] };
             }
-            let text = `▶️ Timer resumed - **${result.project}**`;
+            let text = `▶️ Timer resumed - ${timerLabel(result)}`;
             if (result.pausedMinutes > 0) text += `\n\nPaused for ${formatDuration(result.pausedMinutes)}`;
             return { content: [{ type: 'text', text }] };
         }
 
         // CANCEL
         if (action === 'cancel') {
-            const result = await cancelTimer(auth.user.id);
+            const result = await cancelTimer(auth.user.id, timer || null);
             if (result.error) {
                 return { content: [{ type: 'text', text: '❌ No timer to cancel.' }] };
             }
-            return { content: [{ type: 'text', text: `🚫 Timer cancelled (not saved)\n\nWas tracking: **${result.project}**` }] };
+            let text = `🚫 Timer cancelled (not saved)\n\nWas tracking: ${timerLabel(result)}`;
+            if (result.resumed) text += `\n\n▶️ Resumed ${timerLabel(result.resumed)}`;
+            return { content: [{ type: 'text', text }] };
         }
 
         return { content: [{ type: 'text', text: `❌ Unknown action: ${action}` }] };
@@ -625,93 +1834,410 @@ server.tool(
         client: z.string().optional().describe('Client name to link (for project)'),
         hourly_rate: z.number().optional().describe('Hourly rate for billing (for project)'),
         notes: z.string().optional().describe('Notes'),
-        email: z.string().optional().describe('Email address (for client)')
+        email: z.string().optional().describe('Email address (for client)'),
+        address: z.string().optional().describe('Postal address printed on invoices, lines separated by newlines (for client)'),
+        country: z.string().regex(/^[A-Za-z]{2}$/).optional().describe('Country code, e.g. NL or BE (for client, needed for e-invoices)'),
+        vat_id: z.string().optional().describe('VAT identification number, e.g. NL123456789B01 (for client)'),
+        coc_number: z.string().optional().describe('Chamber of Commerce number, e.g. KvK or KBO number (for client)'),
+        peppol_id: z.string().regex(/^\d{4}:\S+$/).optional().describe("Peppol address as 'scheme:id', e.g. 0106:12345678 (for client; by default derived from the CoC or VAT number)"),
+        rounding_increment: z.number().int().min(0).optional().describe('Bill in blocks of N minutes, e.g. 15 (0 = exact minutes)'),
+        rounding_mode: z.enum(['up', 'down', 'nearest', 'inherit']).optional().describe("How to round to the increment (default up). 'inherit' clears a project's own rules so the client's apply"),
+        minimum_minutes: z.number().int().min(0).optional().describe('Minimum billable minutes per entry, e.g. 30'),
+        budget_hours: z.number().min(0).optional().describe('Hour budget for the project (0 removes it)'),
+        budget_amount: z.number().min(0).optional().describe("Money budget in the project's currency, counted against billable value (0 removes it)"),
+        budget_period: z.enum(BUDGET_PERIODS).optional().describe("Period the budget applies to, e.g. 'month' for a monthly retainer (default total)"),
+        currency: z.string().regex(/^([A-Za-z]{3}|inherit)$/).optional().describe(`Currency the rate is billed in, e.g. USD or GBP (default ${DEFAULT_CURRENCY}). 'inherit' clears a project's own currency so the client's applies`),
+        vat_category: z.enum([...Object.keys(VAT_CATEGORIES), 'inherit']).optional().describe("VAT: S standard rate, Z zero rated, E exempt, AE reverse charge (EU business clients), G export outside the EU. 'inherit' clears the VAT settings"),
+        vat_rate: z.number().min(0).max(100).optional().describe('VAT percentage for standard rated work, e.g. 21')
     },
-    async ({ entity, action, name, client, hourly_rate, notes, email }) => {
+    async ({ entity, action, name, client, hourly_rate, notes, email, address, country, vat_id, coc_number, peppol_id, rounding_increment, rounding_mode, minimum_minutes, budget_hours, budget_amount, budget_period, currency, vat_category, vat_rate }) => {
+        const rounding = rounding_mode === 'inherit'
+            ? { roundingIncrement: null, roundingMode: null, minimumMinutes: null }
+            : { roundingIncrement: rounding_increment, roundingMode: rounding_mode, minimumMinutes: minimum_minutes };
+        const roundingLine = (record) => {
+            const rules = describeRounding(resolveRounding(record));
+            return rules ? `\n🔢 Rounding: ${rules}` : '';
+        };
+        // 0 clears a budget; 'total' is stored as no period
+        const budget = {
+            budgetMinutes: budget_hours === undefined ? undefined : Math.round(budget_hours * 60) || null,
+            budgetAmount: budget_amount === undefined ? undefined : budget_amount || null,
+            budgetPeriod: budget_period === undefined ? undefined : (budget_period === 'total' ? null : budget_period),
+        };
+        const budgetLine = (record) => {
+            const limits = describeBudget(record);
+            return limits ? `\n💼 Budget: ${limits}` : '';
+        };
+
+        // 'inherit' clears a setting; clearing the VAT category clears the rate too
+        const tax = {
+            currency: currency === 'inherit' ? null : currency,
+            vatCategory: vat_category === 'inherit' ? null : vat_category,
+            vatRate: vat_category === 'inherit' ? null : vat_rate,
+        };
+        const taxLine = (record, parent = null) => {
+            const set = [record, parent].some(r => r && (r.currency || r.vatCategory || (r.vatRate !== null && r.vatRate !== undefined)));
+            if (!set) return '';
+            const effective = resolveTax(record, parent);
+            return `\n💱 ${effective.currency}, ${describeTax(effective)}`;
+        };
+
+        const details = { address, country, vatId: vat_id, cocNumber: coc_number, peppolId: peppol_id };
+        const detailsLine = (record) => {
+            const ids = [record.vatId && `VAT ${record.vatId}`, record.cocNumber && `CoC ${record.cocNumber}`, record.country].filter(Boolean);
+            return `${record.address ? `\n📮 ${formatAddress(record.address)}` : ''}${ids.length ? `\n🏛️ ${ids.join(' · ')}` : ''}`;
+        };
+
         if (entity === 'client') {
             if (action === 'create') {
-                const result = await createClient(name, email || '', notes || '');
+                const result = await createClient(name, email || '', notes || '', rounding, details, tax);
                 if (result.error) {
                     return { content: [{ type: 'text', text: `⚠️ ${result.error}: ${result.client.name}` }] };
                 }
                 return {
                     content: [{
                         type: 'text',
-                        text: `👤 Client added: **${result.name}**${email ? `\n📧 ${email}` : ''}`
+                        text: `👤 Client added: **${result.name}**${email ? `\n📧 ${email}` : ''}${detailsLine(result)}${taxLine(result)}${roundingLine(result)}`
                     }]
                 };
             }
             if (action === 'update') {
-                const updated = await updateClient(name, { email, notes });
+                const updated = await updateClient(name, { email, notes, ...rounding, ...details, ...tax });
                 if (!updated) {
                     return { content: [{ type: 'text', text: `❌ Client "${name}" not found.` }] };
                 }
-                return { content: [{ type: 'text', text: `👤 Updated client: **${updated.name}**` }] };
+                return { content: [{ type: 'text', text: `👤 Updated client: **${updated.name}**${detailsLine(updated)}${taxLine(updated)}${roundingLine(updated)}` }] };
             }
         }
 
         if (entity === 'project') {
             if (action === 'create') {
-                const project = await createProject(name, client || null, hourly_rate || 0, notes || '');
+                const project = await createProject(name, client || null, hourly_rate || 0, notes || '', rounding, budget, tax);
+                const projectClient = project.clientId ? await findClient(project.clientId) : null;
+                const billing = resolveTax(project, projectClient);
                 let text = `📁 Project created: **${project.name}**`;
                 if (project.clientId) text += `\n👤 Client: ${project.clientId}`;
-                if (project.hourlyRate) text += `\n💰 Rate: €${project.hourlyRate}/hr`;
+                if (project.hourlyRate) text += `\n💰 Rate: ${formatMoney(project.hourlyRate, billing.currency)}/hr`;
+                text += taxLine(project, projectClient);
+                text += roundingLine(project);
+                text += budgetLine({ ...project, currency: billing.currency });
                 return { content: [{ type: 'text', text }] };
             }
             if (action === 'update') {
-                const updated = await updateProject(name, { clientId: client, hourlyRate: hourly_rate, notes });
+                const updated = await updateProject(name, { clientId: client, hourlyRate: hourly_rate, notes, ...rounding, ...budget, ...tax });
                 if (!updated) {
                     return { content: [{ type: 'text', text: `❌ Project "${name}" not found.` }] };
                 }
+                const projectClient = updated.clientId ? await findClient(updated.clientId) : null;
+                const billing = resolveTax(updated, projectClient);
                 let text = `📁 Updated project: **${updated.name}**`;
                 if (updated.clientId) text += `\n👤 Client: ${updated.clientId}`;
-                if (updated.hourlyRate) text += `\n💰 Rate: €${updated.hourlyRate}/hr`;
+                if (updated.hourlyRate) text += `\n💰 Rate: ${formatMoney(updated.hourlyRate, billing.currency)}/hr`;
+                text += taxLine(updated, projectClient);
+                text += roundingLine(updated);
+                text += budgetLine({ ...updated, currency: billing.currency });
                 return { content: [{ type: 'text', text }] };
             }
         }
 
-        return { content: [{ type: 'text', text: `❌ Unknown entity/action: ${entity}/${action}` }] };
+        return { content: [{ type: 'text', text: `❌ Unknown entity/action: ${entity}/${action}` }] };
+    }
+);
+
+// Tool: Query projects and clients
+server.tool(
+    'project_query',
+    {
+        entity: z.enum(['projects', 'clients']).describe('What to list'),
+        client: z.string().optional().describe('Filter projects by client'),
+        detailed: z.boolean().optional().describe('Show detailed info (for projects)')
+    },
+    async ({ entity, client, detailed }) => {
+        if (entity === 'clients') {
+            const clients = await getClients();
+            if (clients.length === 0) {
+                return { content: [{ type: 'text', text: '👥 No clients yet. Add one with project_manage.' }] };
+            }
+            let text = `👥 **Clients** (${clients.length})\n\n`;
+            for (const c of clients) {
+                text += `• **${c.name}**${c.email ? ` - ${c.email}` : ''}${c.address ? ` 📮 ${formatAddress(c.address)}` : ''}`;
+                if (c.currency || c.vatCategory) {
+                    const billing = resolveTax(null, c);
+                    text += ` 💱 ${billing.currency}, ${describeTax(billing)}`;
+                }
+                text += '\n';
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        if (entity === 'projects') {
+            const projects = await getProjectsWithClients(client || null);
+            if (projects.length === 0) {
+                return { content: [{ type: 'text', text: `📁 No projects${client ? ` for client "${client}"` : ''}.` }] };
+            }
+            let text = `📁 **Projects** (${projects.length})${client ? ` [${client}]` : ''}\n\n`;
+            for (const p of projects.sort((a, b) => (b.totalMinutes || 0) - (a.totalMinutes || 0))) {
+                text += `• **${p.name}** - ${p.totalFormatted}`;
+                if (p.clientName) text += ` (${p.clientName})`;
+                if (detailed !== false && p.hourlyRate) text += ` - ${formatMoney(p.hourlyRate, p.currency)}/hr`;
+                if (detailed !== false && p.estimatedValue) text += ` ≈ ${p.estimatedValue}`;
+                if (detailed !== false && p.hourlyRate) text += ` (${describeTax(p)})`;
+                if (detailed !== false && p.rounding) text += ` [${p.rounding}]`;
+                if (detailed !== false && describeBudget(p)) text += ` 💼 ${describeBudget(p)}`;
+                text += '\n';
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        return { content: [{ type: 'text', text: `❌ Unknown entity: ${entity}` }] };
+    }
+);
+
+// ==================== INVOICE TOOLS ====================
+
+const INVOICE_STATUS_ICONS = { draft: '📝', sent: '📤', paid: '✅', void: '🚫' };
+
+// "2026-0007 Acme Corp €1,452.00 (sent)" for invoice lists, with the amount to pay
+function describeInvoice(invoice) {
+    return `${INVOICE_STATUS_ICONS[invoice.status]} **${invoice.number}** ${invoice.clientName || invoice.clientId} ${formatMoney(invoice.total, invoice.currency)} (${invoice.status})`;
+}
+
+// Invoice header and line items
+function formatInvoice(invoice) {
+    let text = `🧾 **Invoice ${invoice.number || '(preview)'}** – ${invoice.clientName}\n`;
+    text += `Period: ${invoice.periodFrom} – ${invoice.periodTo} · Issued: ${invoice.issuedOn} · Status: ${INVOICE_STATUS_ICONS[invoice.status]} ${invoice.status}\n`;
+    if (invoice.buyerReference) text += `Your reference: ${invoice.buyerReference}\n`;
+    if (invoice.notes) text += `Notes: ${invoice.notes}\n`;
+    text += '\n';
+    const money = (amount) => formatMoney(amount, invoice.currency);
+    for (const line of invoice.lines) {
+        text += `${line.position}. ${line.description}: ${formatDuration(line.minutes)} × ${money(line.rate)}/hr = **${money(line.amount)}** (${line.entryCount} entries)\n`;
+    }
+    text += `\nSubtotal: ${money(invoice.subtotal)} for ${formatDuration(invoice.minutes)} (${invoice.entryCount} entries)\n`;
+    for (const tax of invoice.taxes) {
+        text += `${describeTax(tax)}${invoice.taxes.length > 1 ? ` on ${money(tax.net)}` : ''}: ${money(tax.vat)}\n`;
+    }
+    text += `**Total: ${money(invoice.total)}**`;
+    return text;
+}
+
+// Tool: Invoice unbilled time and track invoices until paid
+server.tool(
+    'invoice',
+    {
+        action: z.enum(['create', 'list', 'get', 'send', 'pay', 'void']).describe('create: invoice a client\'s unbilled billable time, list/get: show invoices (members see the ones billing their time), send/pay/void: change the status'),
+        client: z.string().optional().describe('Client to invoice (create), or filter (list)'),
+        period: z.string().optional().describe('Period to invoice: "last-month", "Q3", "2026-09" or "2026-09-01..2026-09-15" (default: all unbilled time)'),
+        from: z.string().optional().describe('Start date YYYY-MM-DD (inclusive)'),
+        to: z.string().optional().describe('End date YYYY-MM-DD (inclusive, defaults to today)'),
+        group_by: z.enum(['project', 'task']).optional().describe('One line per project (default) or per task'),
+        username: z.string().optional().describe('Invoice this user\'s time (admins only, defaults to you)'),
+        team: z.boolean().optional().describe('Invoice every user\'s time (admins only)'),
+        notes: z.string().optional().describe('Notes printed on the invoice'),
+        reference: z.string().optional().describe('The client\'s purchase order number or reference, for the invoice (create)'),
+        currency: z.string().regex(/^[A-Za-z]{3}$/).optional().describe('Invoice only the time billed in this currency (create; needed when a client has projects in several currencies)'),
+        id: z.string().optional().describe('Invoice number ("2026-0007") or id for get/send/pay/void'),
+        status: z.enum(['draft', 'sent', 'paid', 'void']).optional().describe('Filter by status (list)'),
+        year: z.number().optional().describe('Filter by year (list)'),
+        dry_run: z.boolean().optional().describe('Only preview the invoice (create, default: true). Pass false to create it')
+    },
+    async ({ action, client, period, from, to, group_by, username, team, notes, reference, currency, id, status, year, dry_run }) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        if (action === 'create') {
+            if (!client) {
+                return { content: [{ type: 'text', text: '❌ client is required' }] };
+            }
+            if ((username || team) && auth.user.role !== 'admin') {
+                return { content: [{ type: 'text', text: '🔒 Only admins can invoice other users\' time' }] };
+            }
+            const timezone = resolveTimezone(auth.user.timezone);
+            const range = resolveRange({ period, from, to }, timezone);
+            if (range?.error) {
+                return { content: [{ type: 'text', text: `❌ ${range.error}` }] };
+            }
+
+            const dryRun = dry_run !== false;
+            const invoice = await createInvoice(client, {
+                from: range?.from || null,
+                to: range?.to || null,
+                grouping: group_by || 'project',
+                userId: team ? null : (username ? username.toLowerCase() : auth.user.id),
+                notes: notes || null,
+                buyerReference: reference || null,
+                currency: currency || null,
+                actorId: auth.user.id,
+                dryRun,
+            });
+            if (invoice.error) {
+                const hint = invoice.currencies?.length > 1 ? `\nPass currency=${invoice.currencies.join(' or currency=')}.` : '';
+                return { content: [{ type: 'text', text: `❌ ${invoice.error}${hint}` }] };
+            }
+
+            let text = formatInvoice(invoice);
+            text += dryRun
+                ? '\n\nRun again with dry_run=false to create the invoice and mark these entries as billed.'
+                : `\n\n✅ ${invoice.entryCount} entries are marked as billed. Get the PDF with document type=invoice id=${invoice.number}, then mark it sent with action=send.`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        if (action === 'list') {
+            const list = await getInvoices({ status: status || null, client: client || null, year: year || null, viewerId: auth.user.id });
+            if (list.length === 0) {
+                return { content: [{ type: 'text', text: '🧾 No invoices found.' }] };
+            }
+            const open = {};
+            for (const invoice of list.filter(i => i.status === 'sent')) {
+                open[invoice.currency] = (open[invoice.currency] || 0) + invoice.total;
+            }
+            let text = `🧾 **Invoices** (${list.length})\n\n`;
+            for (const invoice of list) {
+                text += `• ${describeInvoice(invoice)} – ${invoice.periodFrom} – ${invoice.periodTo}\n`;
+            }
+            if (Object.keys(open).length > 0) text += `\nOutstanding: **${formatAmounts(open)}**`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        if (!id) {
+            return { content: [{ type: 'text', text: '❌ id is required' }] };
+        }
+
+        if (action === 'get') {
+            const invoice = await getInvoice(id);
+            if (!invoice) {
+                return { content: [{ type: 'text', text: `❌ Invoice not found: ${id}` }] };
+            }
+            if (!await canViewInvoice(invoice, auth.user.id)) {
+                return { content: [{ type: 'text', text: '🔒 Only admins and the people billed on an invoice can see it' }] };
+            }
+            return { content: [{ type: 'text', text: formatInvoice(invoice) }] };
+        }
+
+        const target = { send: 'sent', pay: 'paid', void: 'void' }[action];
+        const invoice = await setInvoiceStatus(id, target, auth.user.id);
+        if (invoice.error) {
+            return { content: [{ type: 'text', text: `❌ ${invoice.error}.` }] };
+        }
+
+        let text = `${describeInvoice(invoice)}\n`;
+        if (target === 'void') {
+            text += `\n${invoice.released} entries are unbilled again and can go on a new invoice. The number ${invoice.number} stays used.`;
+        }
+        return { content: [{ type: 'text', text }] };
     }
 );
 
-// Tool: Query projects and clients
+// Tool: Exchange rates that convert totals in other currencies for combined overviews
 server.tool(
-    'project_query',
+    'exchange_rate',
     {
-        entity: z.enum(['projects', 'clients']).describe('What to list'),
-        client: z.string().optional().describe('Filter projects by client'),
-        detailed: z.boolean().optional().describe('Show detailed info (for projects)')
+        action: z.enum(['list', 'set', 'remove']).describe(`list: show the rates, set/remove: maintain them (admins only). Rates convert to ${DEFAULT_CURRENCY}, the base currency`),
+        currency: z.string().regex(/^[A-Za-z]{3}$/).optional().describe('Currency code, e.g. USD or GBP'),
+        rate: z.number().positive().optional().describe(`Value of one unit of the currency in ${DEFAULT_CURRENCY}, e.g. 0.92 for USD (set)`),
+        valid_from: z.string().optional().describe('Date YYYY-MM-DD the rate applies from (set: default today, remove: required)')
     },
-    async ({ entity, client, detailed }) => {
-        if (entity === 'clients') {
-            const clients = await getClients();
-            if (clients.length === 0) {
-                return { content: [{ type: 'text', text: '👥 No clients yet. Add one with project_manage.' }] };
+    async ({ action, currency, rate, valid_from }) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        if (action === 'list') {
+            const rates = await getExchangeRates(currency || null);
+            if (rates.length === 0) {
+                return { content: [{ type: 'text', text: `💱 No exchange rates${currency ? ` for ${currency.toUpperCase()}` : ''}. Totals in other currencies are left out of combined ${DEFAULT_CURRENCY} overviews until an admin sets one.` }] };
             }
-            let text = `👥 **Clients** (${clients.length})\n\n`;
-            for (const c of clients) {
-                text += `• **${c.name}**${c.email ? ` - ${c.email}` : ''}\n`;
+            let text = `💱 **Exchange rates** (to ${DEFAULT_CURRENCY})\n\n`;
+            for (const r of rates) {
+                text += `• 1 ${r.currency} = ${r.rate} ${DEFAULT_CURRENCY} from ${r.validFrom}\n`;
             }
             return { content: [{ type: 'text', text }] };
         }
 
-        if (entity === 'projects') {
-            const projects = await getProjectsWithClients(client || null);
-            if (projects.length === 0) {
-                return { content: [{ type: 'text', text: `📁 No projects${client ? ` for client "${client}"` : ''}.` }] };
+        if (!currency) {
+            return { content: [{ type: 'text', text: '❌ currency is required' }] };
+        }
+        if (valid_from && !isValidDay(valid_from)) {
+            return { content: [{ type: 'text', text: `❌ Invalid date: ${valid_from}. Use YYYY-MM-DD.` }] };
+        }
+
+        if (action === 'set') {
+            if (!rate) {
+                return { content: [{ type: 'text', text: '❌ rate is required' }] };
             }
-            let text = `📁 **Projects** (${projects.length})${client ? ` [${client}]` : ''}\n\n`;
-            for (const p of projects.sort((a, b) => (b.totalMinutes || 0) - (a.totalMinutes || 0))) {
-                text += `• **${p.name}** - ${p.totalFormatted}`;
-                if (p.clientName) text += ` (${p.clientName})`;
-                if (detailed !== false && p.hourlyRate) text += ` - €${p.hourlyRate}/hr`;
-                if (detailed !== false && p.estimatedValue) text += ` ≈ €${p.estimatedValue}`;
-                text += '\n';
+            const saved = await setExchangeRate(currency, rate, valid_from || null, auth.user.id);
+            if (saved.error) {
+                return { content: [{ type: 'text', text: `❌ ${saved.error}` }] };
             }
-            return { content: [{ type: 'text', text }] };
+            return { content: [{ type: 'text', text: `💱 1 ${saved.currency} = ${saved.rate} ${DEFAULT_CURRENCY} from ${saved.validFrom}` }] };
         }
 
-        return { content: [{ type: 'text', text: `❌ Unknown entity: ${entity}` }] };
+        if (!valid_from) {
+            return { content: [{ type: 'text', text: '❌ valid_from is required' }] };
+        }
+        const removed = await deleteExchangeRate(currency, valid_from, auth.user.id);
+        if (removed?.error) {
+            return { content: [{ type: 'text', text: `❌ ${removed.error}` }] };
+        }
+        if (!removed) {
+            return { content: [{ type: 'text', text: `❌ No ${currency.toUpperCase()} rate from ${valid_from}` }] };
+        }
+        return { content: [{ type: 'text', text: `🗑️ Removed the ${removed.currency} rate from ${removed.validFrom}` }] };
+    }
+);
+
+// Tool: Invoice and timesheet documents as PDF or HTML
+server.tool(
+    'document',
+    {
+        type: z.enum(DOCUMENT_TYPES).describe('invoice: an invoice made with the invoice tool; timesheet: a client\'s time entries with totals'),
+        format: z.enum([...DOCUMENT_FORMATS, 'ubl']).optional().describe('pdf (default), html, or ubl (Peppol BIS 3.0 e-invoice XML, for invoices)'),
+        id: z.string().optional().describe('Invoice number or id (for invoice)'),
+        client: z.string().optional().describe('Client (for timesheet)'),
+        period: z.string().optional().describe('Period for the timesheet: "last-month", "Q3", "2026-09" or "2026-09-01..2026-09-15"'),
+        from: z.string().optional().describe('Start date YYYY-MM-DD (inclusive)'),
+        to: z.string().optional().describe('End date YYYY-MM-DD (inclusive, defaults to today)'),
+        project: z.string().optional().describe('Only entries in this project (for timesheet)'),
+        billable: z.boolean().optional().describe('Only billable (true) or non-billable (false) entries (for timesheet)'),
+        billed: z.boolean().optional().describe('Only billed (true) or unbilled (false) entries (for timesheet)'),
+        team: z.boolean().optional().describe('Include the whole team instead of only your entries (for timesheet)')
+    },
+    async (args) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        const format = args.format || 'pdf';
+        let file;
+        try {
+            file = await documentFile(args.type, format, args, auth.user);
+        } catch (error) {
+            return { content: [{ type: 'text', text: `❌ Could not render the ${args.type}: ${error.message}` }] };
+        }
+        if (file.error) {
+            const problems = (file.problems || []).map(p => `\n• ${p.message} (${p.rule})`).join('');
+            return { content: [{ type: 'text', text: `❌ ${file.error}${problems ? `:${problems}` : ''}` }] };
+        }
+
+        const baseUrl = process.env.BASE_URL || 'https://mcp.calq.nl';
+        const query = new URLSearchParams({ format });
+        for (const key of ['client', 'period', 'from', 'to', 'project', 'billable', 'billed', 'team']) {
+            if (args.type === 'timesheet' && args[key] !== undefined) query.set(key, String(args[key]));
+        }
+        const path = args.type === 'invoice' ? `invoice/${encodeURIComponent(args.id)}` : 'timesheet';
+
+        let text = file.doc
+            ? `📄 **${file.filename}**: ${file.doc.title} ${file.doc.reference}, ${file.doc.rows.length} lines, total ${file.doc.totals.find(t => t.grand).value}`
+            : `📄 **${file.filename}**: Peppol BIS Billing 3.0 e-invoice, valid against the UBL 2.1 schema and the EN 16931 and Peppol rules`;
+        text += `\n⬇️ Download: ${baseUrl}/documents/${path}?${query} (send your bearer token)`;
+        const resource = format === 'pdf'
+            ? { uri: `calq://documents/${file.filename}`, mimeType: 'application/pdf', blob: file.body.toString('base64') }
+            : { uri: `calq://documents/${file.filename}`, mimeType: file.contentType.split(';')[0], text: file.body };
+        return { content: [{ type: 'text', text }, { type: 'resource', resource }] };
     }
 );
 
@@ -748,6 +2274,7 @@ server.tool(
         let text = `👤 **${user.username}**\n`;
         text += `📧 ${user.email}\n`;
         text += `🏷️ Role: ${user.role}\n`;
+        text += `🌍 Timezone: ${resolveTimezone(user.timezone)}${user.timezone ? '' : ' (default)'}\n`;
         text += `📅 Last login: ${user.lastLogin || 'Never'}\n\n`;
         text += `**Your data:**\n`;
         text += `📁 ${counts.projects} projects | 👥 ${counts.clients} clients\n`;
@@ -757,20 +2284,60 @@ server.tool(
     }
 );
 
-// Tool: User management (list users, set roles - admin only)
+// Tool: User management (list users, set roles - admin only; set_timezone for yourself)
 server.tool(
     'user_manage',
     {
-        action: z.enum(['list', 'set_role']).describe('Action to perform'),
-        username: z.string().optional().describe('Username (for set_role)'),
-        role: z.enum(['admin', 'member']).optional().describe('New role (for set_role)')
+        action: z.enum(['list', 'set_role', 'set_timezone', 'set_schedule', 'schedule']).describe('Action to perform. set_schedule sets contracted hours (admin only); schedule shows them'),
+        username: z.string().optional().describe('Username (for set_role/set_schedule; admins can also use it with set_timezone/schedule)'),
+        role: z.enum(['admin', 'member']).optional().describe('New role (for set_role)'),
+        timezone: z.string().optional().describe('IANA timezone, e.g. "Europe/Amsterdam" (for set_timezone)'),
+        hours: z.array(z.number().min(0).max(24)).length(7).optional().describe('Hours per weekday, Monday first, e.g. [8, 8, 8, 8, 8, 0, 0] (for set_schedule)'),
+        weekly_hours: z.number().min(0).max(168).optional().describe('Hours per week, spread evenly over Monday to Friday (for set_schedule, instead of hours)'),
+        from: z.string().optional().describe('Date the schedule starts, YYYY-MM-DD (for set_schedule, defaults to today)')
     },
-    async ({ action, username, role }) => {
+    async ({ action, username, role, timezone, hours, weekly_hours, from }) => {
         const auth = checkUser();
         if (auth.error) {
             return { content: [{ type: 'text', text: '🔒 ' + auth.error }] };
         }
 
+        // SET_TIMEZONE - your own, or anyone's as admin
+        if (action === 'set_timezone') {
+            if (!timezone) {
+                return { content: [{ type: 'text', text: '❌ timezone is required for set_timezone action' }] };
+            }
+            if (!isValidTimezone(timezone)) {
+                return { content: [{ type: 'text', text: `❌ Unknown timezone "${timezone}". Use an IANA name like "Europe/Amsterdam".` }] };
+            }
+            const target = username || auth.user.id;
+            if (target.toLowerCase() !== auth.user.id && auth.user.role !== 'admin') {
+                return { content: [{ type: 'text', text: '🔒 Admin access required to change another user\'s timezone' }] };
+            }
+            const updated = await updateUserAuth(target, { timezone });
+            if (!updated) {
+                return { content: [{ type: 'text', text: `❌ User "${target}" not found` }] };
+            }
+            return { content: [{ type: 'text', text: `🌍 ${updated.username} now uses ${timezone}` }] };
+        }
+
+        // SCHEDULE - your own, or anyone's as admin
+        if (action === 'schedule') {
+            const target = (username || auth.user.id).toLowerCase();
+            if (target !== auth.user.id && auth.user.role !== 'admin') {
+                return { content: [{ type: 'text', text: '🔒 Admin access required to see another user\'s schedule' }] };
+            }
+            const schedules = await getWorkSchedules(target);
+            if (schedules.length === 0) {
+                return { content: [{ type: 'text', text: `📅 No work schedule for ${target}.` }] };
+            }
+            let text = `📅 **Work schedule of ${target}**\n\n`;
+            for (const schedule of schedules) {
+                text += `From ${schedule.validFrom}: ${formatSchedule(schedule.dailyMinutes)}\n`;
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
         if (auth.user.role !== 'admin') {
             return { content: [{ type: 'text', text: '🔒 Admin access required' }] };
         }
@@ -804,29 +2371,339 @@ server.tool(
             return { content: [{ type: 'text', text: `✅ ${updated.username} is now ${roleIcon}` }] };
         }
 
+        if (action === 'set_schedule') {
+            if (!username) {
+                return { content: [{ type: 'text', text: '❌ username is required for set_schedule action' }] };
+            }
+            if (!hours && weekly_hours === undefined) {
+                return { content: [{ type: 'text', text: '❌ hours (per weekday) or weekly_hours is required for set_schedule action' }] };
+            }
+            if (from && !isValidDay(from)) {
+                return { content: [{ type: 'text', text: '❌ from must be a date in YYYY-MM-DD format.' }] };
+            }
+            const target = await getUser(username.toLowerCase());
+            if (!target) {
+                return { content: [{ type: 'text', text: `❌ User "${username}" not found` }] };
+            }
+            const perDay = hours || [0, 1, 2, 3, 4].map(() => weekly_hours / 5).concat([0, 0]);
+            const schedule = await setWorkSchedule(target.id, perDay.map(h => Math.round(h * 60)), from || null);
+            return { content: [{ type: 'text', text: `📅 ${target.username} works ${formatSchedule(schedule.dailyMinutes)} from ${schedule.validFrom}` }] };
+        }
+
+        return { content: [{ type: 'text', text: `❌ Unknown action: ${action}` }] };
+    }
+);
+
+// ==================== TIMESHEET TOOLS ====================
+
+// Tool: Weekly timesheets (submit/approve/reject/reopen/list)
+server.tool(
+    'timesheet',
+    {
+        action: z.enum(['submit', 'approve', 'reject', 'reopen', 'list']).describe('Action to perform. Members submit their weeks; admins approve, reject or reopen them'),
+        week: z.string().optional().describe('Any date in the week (YYYY-MM-DD), "this-week" or "last-week" (default: this week)'),
+        username: z.string().optional().describe('Whose timesheet (for approve/reject/reopen; admins can also filter list)'),
+        comment: z.string().optional().describe('Note for submit, reason for reject/reopen, or comment for approve'),
+        status: z.enum(['submitted', 'approved', 'rejected', 'open']).optional().describe('Filter by status (for list)')
+    },
+    async ({ action, week, username, comment, status }) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        const isAdmin = auth.user.role === 'admin';
+        const timezone = resolveTimezone(auth.user.timezone);
+        const statusIcons = { submitted: '📨', approved: '✅', rejected: '↩️', open: '📝' };
+
+        // LIST - your own timesheets, or everyone's for admins
+        if (action === 'list') {
+            const userId = isAdmin ? (username ? username.toLowerCase() : null) : auth.user.id;
+            const sheets = await getTimesheets({ userId, status: status || null });
+            if (sheets.length === 0) {
+                return { content: [{ type: 'text', text: `🗓️ No timesheets${status ? ` with status ${status}` : ''}.` }] };
+            }
+            let text = `🗓️ **Timesheets** (${sheets.length})\n\n`;
+            for (const sheet of sheets) {
+                text += `${statusIcons[sheet.status] || '•'} Week of ${sheet.weekStart}`;
+                if (userId === null) text += ` - **${sheet.username || sheet.userId}**`;
+                text += `: ${sheet.status}`;
+                if (sheet.comment) text += ` - "${sheet.comment}"`;
+                text += '\n';
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        const range = resolvePeriod(week || 'this-week', timezone);
+        if (!range) {
+            return { content: [{ type: 'text', text: `❌ Unknown week "${week}". Use a date (YYYY-MM-DD), "this-week" or "last-week".` }] };
+        }
+        const weekStart = startOfWeek(range.from);
+
+        // SUBMIT - your own week
+        if (action === 'submit') {
+            const result = await submitTimesheet(weekStart, auth.user.id, comment || null);
+            if (result.error) {
+                return { content: [{ type: 'text', text: `⚠️ ${result.error} (week of ${weekStart}).` }] };
+            }
+            let text = `📨 Submitted week of **${weekStart}** for approval\n⏱️ Total: ${result.report.totalFormatted} in ${result.report.entryCount} entries\n\n`;
+            for (const day of result.report.groups) {
+                text += `**${weekdayName(day.key)} (${day.key})**: ${day.durationFormatted}\n`;
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        if (!isAdmin) {
+            return { content: [{ type: 'text', text: '🔒 Admin access required' }] };
+        }
+        if (!username) {
+            return { content: [{ type: 'text', text: `❌ username is required for ${action} action` }] };
+        }
+        const userId = username.toLowerCase();
+
+        // APPROVE / REJECT
+        if (action === 'approve' || action === 'reject') {
+            if (action === 'reject' && !comment) {
+                return { content: [{ type: 'text', text: '❌ comment is required to reject a timesheet' }] };
+            }
+            const result = await reviewTimesheet(userId, weekStart, action === 'approve' ? 'approved' : 'rejected', auth.user.id, comment || null);
+            if (result.error) {
+                return { content: [{ type: 'text', text: `⚠️ ${result.error} (${username}, week of ${weekStart}).` }] };
+            }
+            const text = action === 'approve'
+                ? `✅ Approved week of **${weekStart}** for ${username}. Its entries are now locked.`
+                : `↩️ Rejected week of **${weekStart}** for ${username}: ${comment}`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // REOPEN
+        if (action === 'reopen') {
+            const result = await reopenTimesheet(userId, weekStart, auth.user.id, comment || null);
+            if (result.error) {
+                return { content: [{ type: 'text', text: `⚠️ ${result.error} (${username}, week of ${weekStart}).` }] };
+            }
+            return { content: [{ type: 'text', text: `📝 Reopened week of **${weekStart}** for ${username}. Entries can be changed again.` }] };
+        }
+
+        return { content: [{ type: 'text', text: `❌ Unknown action: ${action}` }] };
+    }
+);
+
+// ==================== LEAVE TOOLS ====================
+
+// Tool: Leave and public holidays (request/cancel/approve/reject/list/holidays/import_holidays/set_calendar)
+server.tool(
+    'leave',
+    {
+        action: z.enum(['request', 'cancel', 'approve', 'reject', 'list', 'holidays', 'import_holidays', 'set_calendar']).describe('Action to perform. Members request and cancel leave; admins approve or reject it and import public holidays'),
+        type: z.enum(LEAVE_TYPES).optional().describe('Kind of leave (for request, default: vacation). Sick leave is approved straight away'),
+        from: z.string().optional().describe('First day YYYY-MM-DD (for request; start of the range for list/holidays)'),
+        to: z.string().optional().describe('Last day YYYY-MM-DD, inclusive (for request, defaults to from; end of the range for list/holidays)'),
+        period: z.string().optional().describe('Named period for list/holidays: "this-year", "2026-12" or "Q1"'),
+        hours: z.number().positive().max(24).optional().describe('Hours off per day for partial days (for request; omit for full days)'),
+        note: z.string().optional().describe('Reason or description (for request)'),
+        leave_id: z.string().optional().describe('Leave ID (for cancel/approve/reject)'),
+        username: z.string().optional().describe('Whose leave (admins: request on behalf of someone, which approves it, or filter list)'),
+        team: z.boolean().optional().describe('List everyone\'s leave (admins only)'),
+        status: z.enum(['requested', 'approved', 'rejected']).optional().describe('Filter by status (for list)'),
+        calendar: z.string().optional().describe('Holiday calendar name, e.g. "nl" (for holidays/import_holidays/set_calendar, default: your calendar or "team")'),
+        url: z.string().optional().describe('ICS feed URL to import public holidays from (for import_holidays)'),
+        ics: z.string().optional().describe('Contents of an .ics file to import (for import_holidays, instead of url)')
+    },
+    async ({ action, type, from, to, period, hours, note, leave_id, username, team, status, calendar, url, ics }) => {
+        const auth = checkUser();
+        if (auth.error) {
+            return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
+        }
+
+        const isAdmin = auth.user.role === 'admin';
+        const timezone = resolveTimezone(auth.user.timezone);
+        const statusIcons = { requested: '⏳', approved: '✅', rejected: '❌' };
+        const typeIcons = { vacation: '🌴', sick: '🤒', holiday: '🎉', other: '📅' };
+        const describeLeave = (l) => {
+            const days = l.startDate === l.endDate ? l.startDate : `${l.startDate} → ${l.endDate}`;
+            return `${typeIcons[l.type] || '📅'} ${days} ${l.type}${l.minutes ? ` (${formatDuration(l.minutes)}/day)` : ''}${l.note ? ` - ${l.note}` : ''}`;
+        };
+
+        // REQUEST - your own leave, or anyone's as admin (approved right away)
+        if (action === 'request') {
+            if (!from) {
+                return { content: [{ type: 'text', text: '❌ from is required for request action' }] };
+            }
+            if (!isValidDay(from) || (to && !isValidDay(to))) {
+                return { content: [{ type: 'text', text: '❌ from and to must be dates in YYYY-MM-DD format.' }] };
+            }
+            let userId = username ? username.toLowerCase() : auth.user.id;
+            if (userId !== auth.user.id && !isAdmin) {
+                return { content: [{ type: 'text', text: '🔒 Admin access required to register leave for someone else' }] };
+            }
+            if (userId !== auth.user.id) {
+                const target = await getUser(userId);
+                if (!target) {
+                    return { content: [{ type: 'text', text: `❌ User "${username}" not found.` }] };
+                }
+                userId = target.id;
+            }
+            let result = await requestLeave(userId, {
+                type: type || 'vacation',
+                from,
+                to: to || null,
+                minutes: hours ? Math.round(hours * 60) : null,
+                note: note || null,
+            });
+            if (result.overlap) {
+                return { content: [{ type: 'text', text: `⚠️ ${result.error}: \`${result.overlap.id}\` ${describeLeave(result.overlap)} (${result.overlap.status})` }] };
+            }
+            if (result.error) {
+                return { content: [{ type: 'text', text: `❌ ${result.error}.` }] };
+            }
+            if (userId !== auth.user.id && result.status !== 'approved') {
+                result = await reviewLeave(result.id, 'approved', auth.user.id);
+                if (result.error) {
+                    return { content: [{ type: 'text', text: `❌ ${result.error}.` }] };
+                }
+            }
+            const text = result.status === 'approved'
+                ? `✅ Leave registered${userId !== auth.user.id ? ` for ${userId}` : ''}\n\n${describeLeave(result)}\nID: ${result.id}`
+                : `⏳ Leave requested, waiting for an admin\n\n${describeLeave(result)}\nID: ${result.id}`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // CANCEL - your own leave, or anyone's as admin
+        if (action === 'cancel') {
+            if (!leave_id) {
+                return { content: [{ type: 'text', text: '❌ leave_id is required for cancel action' }] };
+            }
+            const result = await cancelLeave(leave_id, auth.user.id);
+            if (!result) {
+                return { content: [{ type: 'text', text: `❌ Leave "${leave_id}" not found.` }] };
+            }
+            if (result.error) {
+                return { content: [{ type: 'text', text: `🔒 ${result.error}. Only its owner or an admin can cancel it.` }] };
+            }
+            return { content: [{ type: 'text', text: `🗑️ Cancelled ${describeLeave(result)}` }] };
+        }
+
+        const range = resolveRange({ period, from, to }, timezone);
+        if (range?.error) {
+            return { content: [{ type: 'text', text: `❌ ${range.error}` }] };
+        }
+
+        // LIST - your own leave, or the team's for admins
+        if (action === 'list') {
+            const userId = isAdmin && (team || username) ? (username ? username.toLowerCase() : null) : auth.user.id;
+            const list = await getLeave({
+                userId,
+                status: status || null,
+                from: range?.from || (range ? null : localDateString(new Date(), timezone)),
+                to: range?.to || null,
+            });
+            if (list.length === 0) {
+                return { content: [{ type: 'text', text: `🌴 No leave${status ? ` with status ${status}` : ''}${range ? ' in this period' : ' planned'}.` }] };
+            }
+            let text = `🌴 **Leave** (${list.length})\n\n`;
+            for (const l of list) {
+                text += `${statusIcons[l.status] || '•'} ${describeLeave(l)}`;
+                if (userId === null) text += ` - **${l.username || l.userId}**`;
+                text += ` \`${l.id}\`\n`;
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // HOLIDAYS - public holidays of a calendar (defaults to this year)
+        if (action === 'holidays') {
+            const name = calendar || auth.user.holidayCalendar || null;
+            const year = localDateString(new Date(), timezone).slice(0, 4);
+            const list = await getHolidays(name, { from: range?.from || `${year}-01-01`, to: range?.to || `${year}-12-31` });
+            if (list.length === 0) {
+                const calendars = await getHolidayCalendars();
+                const known = calendars.length > 0 ? ` Known calendars: ${calendars.map(c => c.calendar).join(', ')}.` : '';
+                return { content: [{ type: 'text', text: `🎉 No public holidays in this period.${known}` }] };
+            }
+            let text = `🎉 **Public holidays** (${list[0].calendar})\n\n`;
+            for (const h of list) {
+                text += `• ${weekdayName(h.date)} ${h.date}: ${h.name || 'Public holiday'}\n`;
+            }
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // SET_CALENDAR - your own, or anyone's as admin
+        if (action === 'set_calendar') {
+            const userId = username ? username.toLowerCase() : auth.user.id;
+            if (userId !== auth.user.id && !isAdmin) {
+                return { content: [{ type: 'text', text: '🔒 Admin access required to change another user\'s calendar' }] };
+            }
+            const updated = await setHolidayCalendar(userId, calendar || null);
+            if (!updated) {
+                return { content: [{ type: 'text', text: `❌ User "${userId}" not found` }] };
+            }
+            return { content: [{ type: 'text', text: `🎉 ${updated.username} now follows the **${updated.holidayCalendar || 'team'}** holiday calendar` }] };
+        }
+
+        if (!isAdmin) {
+            return { content: [{ type: 'text', text: '🔒 Admin access required' }] };
+        }
+
+        // APPROVE / REJECT
+        if (action === 'approve' || action === 'reject') {
+            if (!leave_id) {
+                return { content: [{ type: 'text', text: `❌ leave_id is required for ${action} action` }] };
+            }
+            const result = await reviewLeave(leave_id, action === 'approve' ? 'approved' : 'rejected', auth.user.id);
+            if (!result) {
+                return { content: [{ type: 'text', text: `❌ Leave "${leave_id}" not found.` }] };
+            }
+            if (result.overlap) {
+                return { content: [{ type: 'text', text: `⚠️ ${result.error}: \`${result.overlap.id}\` ${describeLeave(result.overlap)} (${result.overlap.status})` }] };
+            }
+            if (result.error) {
+                return { content: [{ type: 'text', text: `❌ ${result.error}.` }] };
+            }
+            return { content: [{ type: 'text', text: `${statusIcons[result.status]} ${action === 'approve' ? 'Approved' : 'Rejected'} leave for ${result.userId}: ${describeLeave(result)}` }] };
+        }
+
+        // IMPORT_HOLIDAYS - from an ICS feed or file; replaces the calendar's holidays in the imported years
+        if (action === 'import_holidays') {
+            if (!url && !ics) {
+                return { content: [{ type: 'text', text: '❌ url or ics is required for import_holidays action' }] };
+            }
+            let list;
+            try {
+                list = parseHolidays(ics || await fetchIcs(url));
+            } catch (error) {
+                return { content: [{ type: 'text', text: `❌ ${error.message}` }] };
+            }
+            if (list.length === 0) {
+                return { content: [{ type: 'text', text: '❌ No events found in the calendar.' }] };
+            }
+            const result = await importHolidays(calendar || null, list);
+            return { content: [{ type: 'text', text: `🎉 Imported ${result.count} public holidays into **${result.calendar}** (${result.years.join(', ')})` }] };
+        }
+
         return { content: [{ type: 'text', text: `❌ Unknown action: ${action}` }] };
     }
 );
 
 // ==================== TASK TOOLS ====================
 
-// Tool: Task management (list/create/complete)
+// Tool: Task management (list/get/create/update/complete)
 server.tool(
     'task_manage',
     {
-        action: z.enum(['list', 'create', 'complete']).describe('Action to perform'),
+        action: z.enum(['list', 'get', 'create', 'update', 'complete']).describe('Action to perform. list and get compare estimates with the time logged'),
         // For list
         status: z.enum(['open', 'done', 'all']).optional().describe('Filter by status (for list, default: open)'),
         project: z.string().optional().describe('Filter by or link to project'),
         mine: z.boolean().optional().describe('Show only my tasks (for list)'),
-        // For create
-        title: z.string().optional().describe('Task title (for create)'),
+        // For create/update
+        title: z.string().optional().describe('Task title (for create/update)'),
         issue: z.string().optional().describe('YouTrack issue ID e.g. "PROJ-123" (for create)'),
-        // For complete
-        id: z.string().optional().describe('Task ID (for complete)'),
+        estimate_hours: z.number().min(0).optional().describe('Estimated effort in hours (for create/update, 0 removes it)'),
+        // For get/update/complete
+        id: z.string().optional().describe('Task ID (for get/update/complete)'),
         log_time: z.number().optional().describe('Minutes to log when completing')
     },
-    async ({ action, status, project, mine, title, issue, id, log_time }) => {
+    async ({ action, status, project, mine, title, issue, estimate_hours, id, log_time }) => {
         const auth = checkUser();
         if (auth.error) {
             return { content: [{ type: 'text', text: `🔒 ${auth.error}` }] };
@@ -834,11 +2711,12 @@ server.tool(
 
         // LIST
         if (action === 'list') {
-            const taskList = await getTasks({
+            const report = await getTaskVariance({
                 status: status || 'open',
                 project: project || null,
                 mine: mine || false
             });
+            const taskList = report.tasks;
             if (taskList.length === 0) {
                 const statusText = status === 'all' ? '' : (status || 'open');
                 return { content: [{ type: 'text', text: `📋 No ${statusText} tasks${project ? ` for ${project}` : ''}.` }] };
@@ -848,7 +2726,36 @@ server.tool(
                 const statusIcon = task.status === 'done' ? '✅' : '⬜';
                 const ytLink = task.youtrackId ? ` [${task.youtrackId}]` : '';
                 const projectTag = task.projectName ? ` 📁 ${task.projectName}` : '';
-                text += `${statusIcon} \`${task.id}\` ${task.title}${ytLink}${projectTag}\n`;
+                const timeTag = task.estimateMinutes > 0 || task.actualMinutes > 0
+                    ? ` ⏱️ ${formatVariance(task.actualMinutes, task.estimateMinutes, task.varianceMinutes, task.estimateRatio)}`
+                    : '';
+                text += `${statusIcon} \`${task.id}\` ${task.title}${ytLink}${projectTag}${timeTag}\n`;
+            }
+            text += formatVarianceReport(report);
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // GET
+        if (action === 'get') {
+            if (!id) {
+                return { content: [{ type: 'text', text: '❌ id is required for get action' }] };
+            }
+            const task = await getTask(id);
+            if (!task) {
+                return { content: [{ type: 'text', text: `❌ Task "${id}" not found.` }] };
+            }
+            let text = `${task.status === 'done' ? '✅' : '⬜'} **${task.title}** \`${task.id}\`\n`;
+            if (task.projectName) text += `📁 Project: ${task.projectName}\n`;
+            if (task.username) text += `👤 Owner: ${task.username}\n`;
+            if (task.youtrackId) text += `🔗 YouTrack: ${task.youtrackId}\n`;
+            text += `📐 Estimate: ${task.estimateMinutes > 0 ? formatDuration(task.estimateMinutes) : 'none'}\n`;
+            text += `⏱️ Actual: ${formatVariance(task.actualMinutes, task.estimateMinutes, task.varianceMinutes, task.estimateRatio)}`;
+            text += ` over ${task.entryCount} entr${task.entryCount === 1 ? 'y' : 'ies'}\n`;
+            if (task.actualByUser.length > 0) {
+                text += `👥 ${task.actualByUser.map(u => `${u.username} ${formatDuration(u.minutes)}`).join(', ')}\n`;
+            }
+            if (task.description) {
+                text += `\n${task.description.substring(0, 500)}${task.description.length > 500 ? '...' : ''}`;
             }
             return { content: [{ type: 'text', text }] };
         }
@@ -858,10 +2765,34 @@ server.tool(
             if (!title) {
                 return { content: [{ type: 'text', text: '❌ title is required for create action' }] };
             }
-            const task = await createTask(title, project || null, issue || null, auth.user.id);
+            const estimate = estimate_hours > 0 ? Math.round(estimate_hours * 60) : null;
+            const task = await createTask(title, project || null, issue || null, auth.user.id, estimate);
             let text = `📋 Task added: **${task.title}**`;
             if (task.projectId) text += `\n📁 Project: ${task.projectId}`;
             if (task.youtrackId) text += `\n🔗 YouTrack: ${task.youtrackId}`;
+            if (task.estimateMinutes) text += `\n📐 Estimate: ${formatDuration(task.estimateMinutes)}`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        // UPDATE
+        if (action === 'update') {
+            if (!id) {
+                return { content: [{ type: 'text', text: '❌ id is required for update action' }] };
+            }
+            const task = await getTask(id);
+            if (!task) {
+                return { content: [{ type: 'text', text: `❌ Task "${id}" not found.` }] };
+            }
+            if (task.userId !== auth.user.id && auth.user.role !== 'admin') {
+                return { content: [{ type: 'text', text: '🔒 Only the task\'s owner or an admin can update it' }] };
+            }
+            const updates = { title };
+            if (project) updates.projectId = (await getOrCreateProject(project)).id;
+            if (estimate_hours !== undefined) updates.estimateMinutes = Math.round(estimate_hours * 60) || null;
+            const updated = await updateTask(task.id, updates);
+            let text = `📋 Updated task: **${updated.title}**`;
+            if (updated.projectId) text += `\n📁 Project: ${updated.projectId}`;
+            text += `\n📐 Estimate: ${updated.estimateMinutes ? formatDuration(updated.estimateMinutes) : 'none'}`;
             return { content: [{ type: 'text', text }] };
         }
 
@@ -963,7 +2894,7 @@ server.tool(
                 for (const issue of issues) {
                     const status = issue.resolved ? 'done' : 'open';
                     const localProject = issue.project ? issue.project.toLowerCase() : null;
-                    await upsertTaskFromYouTrack(issue.id, issue.summary, issue.description || '', status, localProject, auth.user.id);
+                    await upsertTaskFromYouTrack(issue.id, issue.summary, issue.description || '', status, localProject, auth.user.id, issue.estimate);
                     syncedCount++;
                 }
                 let text = `📋 **YouTrack Issues** (${issues.length})\n\n`;
@@ -985,6 +2916,7 @@ server.tool(
                 let text = `📋 **${issue.id}** - ${issue.summary}\n\n`;
                 text += `🏷️ State: ${issue.state}\n`;
                 text += `📁 Project: ${issue.projectName || issue.project}\n`;
+                if (issue.estimate) text += `📐 Estimate: ${formatDuration(issue.estimate)}\n`;
                 if (issue.description) {
                     text += `\n${issue.description.substring(0, 500)}${issue.description.length > 500 ? '...' : ''}`;
                 }
@@ -1010,7 +2942,7 @@ server.tool(
                 }
                 await yt.resolveIssue(id);
                 const issue = await yt.getIssue(id);
-                await upsertTaskFromYouTrack(id, issue.summary, issue.description || '', 'done', null, auth.user.id);
+                await upsertTaskFromYouTrack(id, issue.summary, issue.description || '', 'done', null, auth.user.id, issue.estimate);
                 return { content: [{ type: 'text', text: `✅ Resolved ${id}` }] };
             }
 
@@ -1723,9 +3655,10 @@ server.tool(
 );
 
 // Graceful shutdown
-function setupGracefulShutdown(httpServer) {
+function setupGracefulShutdown(httpServer, onShutdown = () => {}) {
     const shutdown = (signal) => {
         console.log(`\n${signal} received, shutting down gracefully...`);
+        onShutdown();
         httpServer.close(() => {
             console.log('HTTP server closed');
             process.exit(0);
@@ -1741,6 +3674,8 @@ function setupGracefulShutdown(httpServer) {
     process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
+const TIMER_SWEEP_INTERVAL = 5 * 60 * 1000;
+
 // Start the server
 async function main() {
     const port = parseInt(process.env.MCP_PORT || '3000');
@@ -1846,6 +3781,11 @@ async function main() {
                 }
 
                 await transport.handleRequest(req, res, req.body);
+
+                // Tool calls count as activity for the idle timer checks
+                if (user && req.body?.method === 'tools/call') {
+                    await touchTimers(user.id);
+                }
             } catch (err) {
                 console.error('MCP request error:', err);
                 if (!res.headersSent) {
@@ -1868,6 +3808,84 @@ async function main() {
         res.status(204).end();
     });
 
+    // Report exports as file downloads, with the time_export arguments as query parameters
+    app.get('/export/:dataset', bearerAuth, async (req, res) => {
+        const user = req.auth?.userId ? await getUser(req.auth.userId) : null;
+        if (!user) {
+            res.status(401).json({ error: 'Not authenticated' });
+            return;
+        }
+
+        const { dataset } = req.params;
+        const format = req.query.format || 'csv';
+        if (!EXPORT_DATASETS.includes(dataset)) {
+            res.status(404).json({ error: `Unknown dataset, use one of: ${EXPORT_DATASETS.join(', ')}` });
+            return;
+        }
+        if (!EXPORT_FORMATS.includes(format)) {
+            res.status(400).json({ error: `Unknown format, use one of: ${EXPORT_FORMATS.join(', ')}` });
+            return;
+        }
+        const groupBy = req.query.group_by;
+        if (groupBy && !['project', 'client', 'user', 'day', 'tag'].includes(groupBy)) {
+            res.status(400).json({ error: 'group_by must be project, client, user, day or tag' });
+            return;
+        }
+
+        const flag = (value) => value === undefined ? undefined : value === 'true' || value === '1';
+        const filters = exportFilters({
+            ...req.query,
+            billable: flag(req.query.billable),
+            billed: flag(req.query.billed),
+            team: flag(req.query.team),
+        }, user);
+        if (filters.error) {
+            res.status(400).json({ error: filters.error });
+            return;
+        }
+
+        const file = renderExport(await buildExport(dataset, filters), format);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.body);
+    });
+
+    // Invoice and timesheet documents, with the document tool arguments as query parameters
+    const sendDocument = async (req, res, type, args) => {
+        const user = req.auth?.userId ? await getUser(req.auth.userId) : null;
+        if (!user) {
+            res.status(401).json({ error: 'Not authenticated' });
+            return;
+        }
+        const format = req.query.format || 'pdf';
+        const formats = [...DOCUMENT_FORMATS, 'ubl'];
+        if (!formats.includes(format)) {
+            res.status(400).json({ error: `Unknown format, use one of: ${formats.join(', ')}` });
+            return;
+        }
+
+        const file = await documentFile(type, format, args, user);
+        if (file.error) {
+            res.status(file.notFound ? 404 : file.forbidden ? 403 : file.problems ? 422 : 400).json({ error: file.error, problems: file.problems });
+            return;
+        }
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `${format === 'pdf' ? 'attachment' : 'inline'}; filename="${file.filename}"`);
+        res.send(file.body);
+    };
+
+    app.get('/documents/invoice/:id', bearerAuth, (req, res) => sendDocument(req, res, 'invoice', { id: req.params.id }));
+
+    app.get('/documents/timesheet', bearerAuth, (req, res) => {
+        const flag = (value) => value === undefined ? undefined : value === 'true' || value === '1';
+        return sendDocument(req, res, 'timesheet', {
+            ...req.query,
+            billable: flag(req.query.billable),
+            billed: flag(req.query.billed),
+            team: flag(req.query.team),
+        });
+    });
+
     // Health check (no auth required)
     app.get('/health', (req, res) => {
         res.json({ status: 'ok', sessions: sessions.size });
@@ -1886,7 +3904,29 @@ async function main() {
         console.log(`OAuth: ${baseUrl}/oauth/authorize`);
     });
 
-    setupGracefulShutdown(httpServer);
+    // Auto-pause timers left running without activity
+    const timerSweep = setInterval(async () => {
+        try {
+            const paused = await sweepIdleTimers();
+            for (const t of paused) {
+                console.log(`Auto-paused idle timer ${t.id} (${t.projectId}) for ${t.userId}`);
+            }
+        } catch (error) {
+            console.error('Timer sweep failed:', error.message);
+        }
+
+        // Recurring templates: drafts, or entries for templates set to log automatically
+        try {
+            const generated = await generateRecurringEntries();
+            for (const f of generated.failed) {
+                console.log(`Could not log recurring ${f.template} for ${f.userId} on ${f.day}, kept as a draft: ${f.error}`);
+            }
+        } catch (error) {
+            console.error('Recurring entries failed:', error.message);
+        }
+    }, TIMER_SWEEP_INTERVAL);
+
+    setupGracefulShutdown(httpServer, () => clearInterval(timerSweep));
 }
 
 main().catch(console.error);
@@ -0,0 +1,209 @@
+// Minimal PDF 1.4 writer for invoices and reports: A4 pages with text, lines and shaded boxes
+// Uses the standard Helvetica fonts every PDF reader has, so nothing is embedded; text is
+// encoded as WinAnsi, which covers the euro sign and accented Latin letters
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Glyph widths of characters 32-126 in 1/1000 em, from the Helvetica AFM files
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+    ],
+};
+
+// Characters WinAnsi places in 0x80-0x9F; Latin-1 covers the rest
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F,
+};
+
+// Text as a string of WinAnsi bytes; characters outside it become "?"
+function encode(text) {
+    let out = '';
+    for (const char of String(text ?? '').normalize('NFC').replace(/[\t\r\n]+/g, ' ')) {
+        const code = char.codePointAt(0);
+        if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) out += char;
+        else if (WIN_ANSI[char]) out += String.fromCharCode(WIN_ANSI[char]);
+        else if (code >= 0x20) out += '?';
+    }
+    return out;
+}
+
+// Literal PDF string: backslashes and parentheses escaped
+function pdfString(bytes) {
+    return `(${bytes.replace(/[\\()]/g, '\\$&')})`;
+}
+
+// Document properties are not WinAnsi but UTF-16 with a byte order mark, written as hex
+function pdfTextString(text) {
+    const hex = [...String(text)].flatMap(char => {
+        const code = char.codePointAt(0);
+        if (code <= 0xFFFF) return [code];
+        const offset = code - 0x10000;
+        return [0xD800 + (offset >> 10), 0xDC00 + (offset & 0x3FF)];
+    }).map(unit => unit.toString(16).padStart(4, '0')).join('');
+    return `<FEFF${hex.toUpperCase()}>`;
+}
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Width of a text in points
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} bold
+ * @returns {number}
+ */
+export function textWidth(text, size = 10, bold = false) {
+    const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+    let total = 0;
+    for (const char of encode(text)) {
+        const code = char.charCodeAt(0);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (total * size) / 1000;
+}
+
+/**
+ * Cut a text to fit a width, ending in "…" when shortened
+ * @param {string} text
+ * @param {number} width - Available width in points
+ * @param {number} size
+ * @param {boolean} bold
+ * @returns {string}
+ */
+export function fitText(text, width, size = 10, bold = false) {
+    const value = String(text ?? '');
+    if (textWidth(value, size, bold) <= width) return value;
+    let cut = value;
+    while (cut.length > 0 && textWidth(`${cut}…`, size, bold) > width) cut = cut.slice(0, -1);
+    return `${cut.trimEnd()}…`;
+}
+
+/**
+ * Split a text into lines that fit a width, breaking between words
+ * @param {string} text
+ * @param {number} width
+ * @param {number} size
+ * @param {boolean} bold
+ * @returns {string[]}
+ */
+export function wrapText(text, width, size = 10, bold = false) {
+    const lines = [];
+    for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const next = line ? `${line} ${word}` : word;
+            if (line && textWidth(next, size, bold) > width) {
+                lines.push(line);
+                line = fitText(word, width, size, bold);
+            } else {
+                line = textWidth(next, size, bold) > width ? fitText(next, width, size, bold) : next;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Start a PDF. Coordinates are points from the top left of the page.
+ * @param {Object} info - title, author for the document properties
+ * @returns {Object} Drawing functions and toBuffer()
+ */
+export function createPdf(info = {}) {
+    const pages = [];
+    let current = null;
+
+    const addPage = () => {
+        current = [];
+        pages.push(current);
+        return pages.length - 1;
+    };
+
+    return {
+        addPage,
+
+        // Draw on an earlier page, e.g. to number pages at the end
+        setPage(index) {
+            current = pages[index];
+        },
+
+        get pageCount() {
+            return pages.length;
+        },
+
+        /**
+         * @param {string} text
+         * @param {number} x - Left edge, or right edge with align 'right'
+         * @param {number} y - Baseline, from the top of the page
+         * @param {Object} options - size, bold, align ('left', 'right' or 'center'), gray (0 black - 1 white)
+         */
+        text(text, x, y, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+            if (!current) addPage();
+            const width = textWidth(text, size, bold);
+            const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+            current.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(gray)} g ${num(left)} ${num(PAGE_HEIGHT - y)} Td ${pdfString(encode(text))} Tj ET`);
+        },
+
+        line(x1, y1, x2, y2, { width = 0.5, gray = 0.6 } = {}) {
+            if (!current) addPage();
+            current.push(`${num(width)} w ${num(gray)} G ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+        },
+
+        // Filled box; y is the top edge
+        box(x, y, width, height, { gray = 0.93 } = {}) {
+            if (!current) addPage();
+            current.push(`${num(gray)} g ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+        },
+
+        toBuffer() {
+            if (pages.length === 0) addPage();
+
+            // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+            const objects = [];
+            const pageIds = pages.map((_, i) => 6 + i * 2);
+            objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+            objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+            objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+            objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+            objects[5] = `<< /Producer (Calq)${info.title ? ` /Title ${pdfTextString(info.title)}` : ''}${info.author ? ` /Author ${pdfTextString(info.author)}` : ''} >>`;
+            pages.forEach((operations, i) => {
+                const content = operations.join('\n');
+                objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+                objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+            });
+
+            // Every character is one byte, so string lengths are byte offsets
+            let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+            const offsets = [];
+            for (let id = 1; id < objects.length; id++) {
+                offsets[id] = out.length;
+                out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+            }
+            const xref = out.length;
+            out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+            for (let id = 1; id < objects.length; id++) {
+                out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+            }
+            out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+            return Buffer.from(out, 'latin1');
+        },
+    };
+}
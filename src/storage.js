@@ -1,5 +1,8 @@
-import { eq, and, or, ilike, sql, desc } from 'drizzle-orm';
-import { db, users, clients, projects, entries, memories, activeTimer, tasks, observations, sessionSummaries, calqComponents } from './db/index.js';
+import { eq, ne, lt, gt, and, or, ilike, inArray, sql, desc, TransactionRollbackError } from 'drizzle-orm';
+import { alias } from 'drizzle-orm/pg-core';
+import { db, users, clients, projects, entries, invoices, invoiceLines, exchangeRates, entryHistory, entryTemplates, tags, entryTags, workSchedules, leave, holidays, entryDrafts, memories, timers, timesheets, tasks, observations, sessionSummaries, calqComponents } from './db/index.js';
+import { DEFAULT_TIMEZONE, isValidTimezone, localDateString, addDays, zonedTime, startOfWeek, occursOn, resolvePeriod, minutesBefore } from './dates.js';
+import { resolveRounding, applyRounding, describeRounding, crossedThreshold, resolveTax, describeTax, taxTotals, roundAmount, formatMoney, formatAmounts, DEFAULT_CURRENCY } from './billing.js';
 
 // ==================== HELPER FUNCTIONS ====================
 
@@ -18,15 +21,54 @@ function getCurrentUser() {
     return process.env.CALQ_USER || 'unknown';
 }
 
+export async function getUserTimezone(userId, executor = db) {
+    const [user] = await executor.select({ timezone: users.timezone }).from(users).where(eq(users.id, userId)).limit(1);
+    return isValidTimezone(user?.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+}
+
+// Rounding fields to write; undefined leaves a field alone, null clears it
+function roundingValues(rounding = {}) {
+    const values = {};
+    if (rounding.roundingIncrement !== undefined) values.roundingIncrement = rounding.roundingIncrement;
+    if (rounding.roundingMode !== undefined) values.roundingMode = rounding.roundingMode;
+    if (rounding.minimumMinutes !== undefined) values.minimumMinutes = rounding.minimumMinutes;
+    return values;
+}
+
+// Budget fields to write, same rules as roundingValues
+function budgetValues(budget = {}) {
+    const values = {};
+    if (budget.budgetMinutes !== undefined) values.budgetMinutes = budget.budgetMinutes;
+    if (budget.budgetAmount !== undefined) values.budgetAmount = budget.budgetAmount;
+    if (budget.budgetPeriod !== undefined) values.budgetPeriod = budget.budgetPeriod;
+    return values;
+}
+
+// Currency and VAT fields to write, same rules as roundingValues; a rate without a category means standard rated
+function taxValues(tax = {}) {
+    const values = {};
+    if (tax.currency !== undefined) values.currency = tax.currency ? tax.currency.toUpperCase() : null;
+    if (tax.vatCategory !== undefined) values.vatCategory = tax.vatCategory;
+    if (tax.vatRate !== undefined) values.vatRate = tax.vatRate;
+    if (tax.vatCategory === undefined && tax.vatRate > 0) values.vatCategory = 'S';
+    return values;
+}
+
+// Calendar date of a timestamp column in the given timezone (columns hold UTC wall-clock time)
+function localDate(column, timezone) {
+    const tz = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+    return sql`date((${column} AT TIME ZONE 'UTC') AT TIME ZONE ${sql.raw(`'${tz}'`)})`;
+}
+
 // ==================== PROJECT FUNCTIONS ====================
 
-export async function getOrCreateProject(projectName) {
+export async function getOrCreateProject(projectName, executor = db) {
     const id = projectName.toLowerCase().trim().replace(/\s+/g, '-');
 
-    const [project] = await db.select().from(projects).where(eq(projects.id, id)).limit(1);
+    const [project] = await executor.select().from(projects).where(eq(projects.id, id)).limit(1);
 
     if (!project) {
-        await db.insert(projects).values({
+        await executor.insert(projects).values({
             id,
             name: projectName,
             totalMinutes: 0,
@@ -71,6 +113,27 @@ export async function getProjectsWithClients(clientFilter = null) {
             totalMinutes: projects.totalMinutes,
             createdAt: projects.createdAt,
             clientName: clients.name,
+            roundingIncrement: projects.roundingIncrement,
+            roundingMode: projects.roundingMode,
+            minimumMinutes: projects.minimumMinutes,
+            clientRoundingIncrement: clients.roundingIncrement,
+            clientRoundingMode: clients.roundingMode,
+            clientMinimumMinutes: clients.minimumMinutes,
+            budgetMinutes: projects.budgetMinutes,
+            budgetAmount: projects.budgetAmount,
+            budgetPeriod: projects.budgetPeriod,
+            projectTax: {
+                currency: projects.currency,
+                vatCategory: projects.vatCategory,
+                vatRate: projects.vatRate,
+            },
+            // Led by the id: drizzle drops a left-joined object when its first column is null
+            clientTax: {
+                clientId: clients.id,
+                currency: clients.currency,
+                vatCategory: clients.vatCategory,
+                vatRate: clients.vatRate,
+            },
         })
         .from(projects)
         .leftJoin(clients, eq(projects.clientId, clients.id));
@@ -81,15 +144,25 @@ export async function getProjectsWithClients(clientFilter = null) {
 
     const result = await query;
 
-    return result.map(p => ({
-        ...p,
-        total_minutes: p.totalMinutes,
-        totalFormatted: formatDuration(p.totalMinutes || 0),
-        estimatedValue: p.hourlyRate ? (((p.totalMinutes || 0) / 60) * p.hourlyRate).toFixed(2) : null,
-    }));
+    return result.map(({ projectTax, clientTax, ...p }) => {
+        const tax = resolveTax(projectTax, clientTax);
+        return {
+            ...p,
+            ...tax,
+            vat: describeTax(tax),
+            total_minutes: p.totalMinutes,
+            totalFormatted: formatDuration(p.totalMinutes || 0),
+            estimatedValue: p.hourlyRate ? formatMoney(((p.totalMinutes || 0) / 60) * p.hourlyRate, tax.currency) : null,
+            rounding: describeRounding(resolveRounding(p, {
+                roundingIncrement: p.clientRoundingIncrement,
+                roundingMode: p.clientRoundingMode,
+                minimumMinutes: p.clientMinimumMinutes,
+            })),
+        };
+    });
 }
 
-export async function createProject(name, clientName = null, hourlyRate = 0, notes = '') {
+export async function createProject(name, clientName = null, hourlyRate = 0, notes = '', rounding = {}, budget = {}, tax = {}) {
     const id = name.toLowerCase().trim().replace(/\s+/g, '-');
 
     let clientId = null;
@@ -107,7 +180,7 @@ export async function createProject(name, clientName = null, hourlyRate = 0, not
     if (existing) {
         await db
             .update(projects)
-            .set({ clientId, hourlyRate, notes })
+            .set({ clientId, hourlyRate, notes, ...roundingValues(rounding), ...budgetValues(budget), ...taxValues(tax) })
             .where(eq(projects.id, id));
     } else {
         await db.insert(projects).values({
@@ -116,6 +189,9 @@ export async function createProject(name, clientName = null, hourlyRate = 0, not
             clientId,
             hourlyRate,
             notes,
+            ...roundingValues(rounding),
+            ...budgetValues(budget),
+            ...taxValues(tax),
         });
     }
 
@@ -129,6 +205,7 @@ export async function updateProject(projectId, updates) {
     if (updates.clientId !== undefined) setValues.clientId = updates.clientId;
     if (updates.hourlyRate !== undefined) setValues.hourlyRate = updates.hourlyRate;
     if (updates.notes !== undefined) setValues.notes = updates.notes;
+    Object.assign(setValues, roundingValues(updates), budgetValues(updates), taxValues(updates));
 
     if (Object.keys(setValues).length > 0) {
         await db.update(projects).set(setValues).where(eq(projects.id, projectId));
@@ -138,17 +215,186 @@ export async function updateProject(projectId, updates) {
     return project;
 }
 
+// Usage of one budget measure, with the projection to the end of the period when there is one
+function budgetBurn(budget, used, projected = null) {
+    return {
+        budget,
+        used,
+        percent: (used / budget) * 100,
+        projected,
+        projectedPercent: projected !== null ? (projected / budget) * 100 : null,
+        overrun: projected !== null ? Math.max(0, projected - budget) : Math.max(0, used - budget),
+    };
+}
+
+/**
+ * Budget burn of a project for its current budget period. Hour budgets count all
+ * tracked time, money budgets the rounded value of billable entries. Periodic budgets
+ * project the current pace to the end of the period; total budgets estimate the day
+ * the budget runs out from the last 28 days.
+ * @param {string} projectId
+ * @param {string} timezone - Timezone the period boundaries are taken in
+ * @param {string|null} entryId - Also report percentBefore, the usage without this (new) entry
+ * @returns {Promise<Object|null>} Burn report or null when the project has no budget
+ */
+export async function getProjectBudget(projectId, timezone = DEFAULT_TIMEZONE, entryId = null, executor = db) {
+    const [project] = await executor
+        .select({
+            id: projects.id,
+            name: projects.name,
+            budgetMinutes: projects.budgetMinutes,
+            budgetAmount: projects.budgetAmount,
+            budgetPeriod: projects.budgetPeriod,
+            projectTax: {
+                currency: projects.currency,
+                vatCategory: projects.vatCategory,
+                vatRate: projects.vatRate,
+            },
+            clientTax: {
+                clientId: clients.id,
+                currency: clients.currency,
+                vatCategory: clients.vatCategory,
+                vatRate: clients.vatRate,
+            },
+        })
+        .from(projects)
+        .leftJoin(clients, eq(projects.clientId, clients.id))
+        .where(eq(projects.id, projectId))
+        .limit(1);
+    if (!project || (!project.budgetMinutes && !project.budgetAmount)) return null;
+
+    const period = project.budgetPeriod || 'total';
+    const today = localDateString(new Date(), timezone);
+    const range = period === 'total' ? { from: null, to: null } : resolvePeriod(`this-${period}`, timezone);
+    const report = await aggregateEntries({ project: project.id, from: range.from, to: range.to, timezone, groupBy: 'day', executor });
+
+    const list = report.groups.flatMap(g => g.entries);
+    const value = (e) => e.billable ? (e.billableMinutes / 60) * (e.hourlyRate || 0) : 0;
+    const usedMinutes = report.totalMinutes;
+    const usedAmount = list.reduce((sum, e) => sum + value(e), 0);
+    const added = entryId ? list.find(e => e.id === entryId) : null;
+    const percentBefore = Math.max(
+        project.budgetMinutes ? ((usedMinutes - (added?.minutes || 0)) / project.budgetMinutes) * 100 : 0,
+        project.budgetAmount ? ((usedAmount - (added ? value(added) : 0)) / project.budgetAmount) * 100 : 0
+    );
+
+    let hours = null;
+    let amount = null;
+    let exhaustsOn = null;
+
+    if (period === 'total') {
+        // Pace over the last four weeks
+        const since = addDays(today, -27);
+        const recent = list.filter(e => localDateString(e.createdAt, timezone) >= since);
+        const pace = project.budgetMinutes
+            ? [project.budgetMinutes - usedMinutes, recent.reduce((sum, e) => sum + e.minutes, 0) / 28]
+            : [project.budgetAmount - usedAmount, recent.reduce((sum, e) => sum + value(e), 0) / 28];
+        const [remaining, perDay] = pace;
+        if (remaining > 0 && perDay > 0) exhaustsOn = addDays(today, Math.ceil(remaining / perDay));
+
+        if (project.budgetMinutes) hours = budgetBurn(project.budgetMinutes, usedMinutes);
+        if (project.budgetAmount) amount = budgetBurn(project.budgetAmount, usedAmount);
+    } else {
+        // Straight-line projection from the days elapsed so far
+        const dayCount = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1;
+        const factor = dayCount(range.from, range.to) / dayCount(range.from, today);
+        if (project.budgetMinutes) hours = budgetBurn(project.budgetMinutes, usedMinutes, Math.round(usedMinutes * factor));
+        if (project.budgetAmount) amount = budgetBurn(project.budgetAmount, usedAmount, usedAmount * factor);
+    }
+
+    return {
+        projectId: project.id,
+        projectName: project.name,
+        currency: resolveTax(project.projectTax, project.clientTax).currency,
+        period,
+        from: range.from,
+        to: range.to,
+        hours,
+        amount,
+        percent: Math.max(hours?.percent ?? 0, amount?.percent ?? 0),
+        exhaustsOn,
+        ...(entryId ? { percentBefore } : {}),
+    };
+}
+
 // ==================== ENTRY FUNCTIONS ====================
 
-export async function addEntry(projectName, minutes, description, type = 'commit', billable = true, date = null, userId = null) {
-    const project = await getOrCreateProject(projectName);
-    const id = generateId();
+// 'warn' reports overlapping time on the saved entry, 'reject' refuses to save it
+const OVERLAP_POLICY = process.env.CALQ_OVERLAP_POLICY === 'reject' ? 'reject' : 'warn';
+
+// Entries (and a running timer) of the user that overlap the given span
+export async function findOverlaps(userId, startedAt, endedAt, options = {}) {
+    const conditions = [
+        eq(entries.userId, userId),
+        lt(entries.startedAt, endedAt),
+        gt(entries.endedAt, startedAt),
+    ];
+    if (options.excludeId) conditions.push(ne(entries.id, options.excludeId));
+    // Time logged while a stopped timer was paused, like its stacked child's session
+    const gaps = (options.gaps || []).map(g => ({ from: new Date(g.from), to: new Date(g.to) }));
+    const inGap = (e) => gaps.some(g => new Date(e.startedAt) >= g.from && new Date(e.endedAt) <= g.to);
+
+    const executor = options.executor || db;
+    const overlapping = await executor
+        .select({
+            id: entries.id,
+            projectId: entries.projectId,
+            description: entries.description,
+            startedAt: entries.startedAt,
+            endedAt: entries.endedAt,
+        })
+        .from(entries)
+        .where(and(...conditions))
+        .orderBy(entries.startedAt);
+
+    const conflicts = overlapping.filter(e => !inGap(e)).map(e => ({ ...e, kind: 'entry' }));
+
+    // Running timers cover their start until now (or until they were paused)
+    if (!options.ignoreTimer) {
+        const running = await executor.select().from(timers).where(eq(timers.userId, userId));
+        for (const timer of running) {
+            const timerEnd = timer.pausedAt ? new Date(timer.pausedAt) : new Date();
+            if (new Date(timer.startedAt) < endedAt && timerEnd > startedAt) {
+                conflicts.push({
+                    id: null,
+                    projectId: timer.projectId,
+                    description: timer.description,
+                    startedAt: timer.startedAt,
+                    endedAt: timerEnd,
+                    kind: 'timer',
+                });
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+export async function addEntry(projectName, minutes, description, type = 'commit', billable = true, date = null, userId = null, options = {}) {
     const user = userId || getCurrentUser();
+    // A caller's transaction, so the entry is only saved along with its other changes; the caller
+    // indexes the entry once that commits
+    const executor = options.executor || db;
+
+    const startedAt = options.startedAt ? new Date(options.startedAt) : null;
+    const endedAt = options.endedAt ? new Date(options.endedAt) : null;
+
+    let overlaps = [];
+    if (startedAt && endedAt) {
+        overlaps = await findOverlaps(user, startedAt, endedAt, { ignoreTimer: options.ignoreTimer, gaps: options.gaps, executor });
+        if (overlaps.length > 0 && OVERLAP_POLICY === 'reject' && !options.allowOverlap) {
+            return { error: 'Entry overlaps existing time', overlaps };
+        }
+    }
 
+    // An entry with a real start time belongs to the day it started
     let createdAt;
-    if (date) {
+    if (startedAt) {
+        createdAt = startedAt;
+    } else if (date) {
         if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-            createdAt = new Date(date + 'T12:00:00.000Z');
+            // Backdated entries land at noon in the user's timezone
+            createdAt = zonedTime(date, 12, 0, 0, await getUserTimezone(user, executor));
         } else {
             createdAt = new Date(date);
         }
@@ -156,7 +402,15 @@ export async function addEntry(projectName, minutes, description, type = 'commit
         createdAt = new Date();
     }
 
-    await db.insert(entries).values({
+    const locked = await lockedWeek(user, createdAt, executor);
+    if (locked) {
+        return { error: 'Week is approved and locked', locked };
+    }
+
+    const project = await getOrCreateProject(projectName, executor);
+    const id = generateId();
+
+    await executor.insert(entries).values({
         id,
         projectId: project.id,
         minutes,
@@ -164,23 +418,59 @@ export async function addEntry(projectName, minutes, description, type = 'commit
         type,
         billable,
         userId: user,
+        taskId: options.taskId || null,
+        startedAt,
+        endedAt,
         createdAt,
     });
 
     // Update project total
-    await db
+    await executor
         .update(projects)
         .set({ totalMinutes: sql`${projects.totalMinutes} + ${minutes}` })
         .where(eq(projects.id, project.id));
 
-    const entry = { id, project: project.id, minutes, description, type, billable, userId: user, createdAt: createdAt.toISOString() };
+    const tagNames = normalizeTags(options.tags);
+    await setEntryTags(id, tagNames, executor);
+
+    const [created] = await executor.select().from(entries).where(eq(entries.id, id)).limit(1);
+    await recordHistory(id, 'create', null, { ...created, tags: tagNames }, options.actorId || user, executor);
+
+    const entry = {
+        id,
+        project: project.id,
+        minutes,
+        description,
+        type,
+        billable,
+        userId: user,
+        taskId: options.taskId || null,
+        startedAt: startedAt ? startedAt.toISOString() : null,
+        endedAt: endedAt ? endedAt.toISOString() : null,
+        createdAt: createdAt.toISOString(),
+    };
 
     // Index in ChromaDB for semantic search (async, non-blocking)
-    import('./memory.js').then(({ indexEntry }) => {
-        indexEntry(entry).catch(() => {});
-    }).catch(() => {});
+    if (!options.executor) {
+        import('./memory.js').then(({ indexEntry }) => {
+            indexEntry(entry).catch(() => {});
+        }).catch(() => {});
+    }
 
-    return entry;
+    // Tell when this entry made the budget cross a threshold
+    let budgetAlert = null;
+    if (project.budgetMinutes || project.budgetAmount) {
+        const { percentBefore, ...budget } = await getProjectBudget(project.id, await getUserTimezone(user, executor), id, executor);
+        const threshold = crossedThreshold(percentBefore, budget.percent);
+        if (threshold) budgetAlert = { threshold, ...budget };
+    }
+
+    return { ...entry, tags: tagNames, overlaps, budgetAlert };
+}
+
+export async function getEntry(entryId) {
+    const [entry] = await db.select().from(entries).where(eq(entries.id, entryId)).limit(1);
+    return entry || null;
 }
 
 export async function getProjectEntries(projectId, limit = 10) {
@@ -194,6 +484,8 @@ export async function getProjectEntries(projectId, limit = 10) {
             billable: entries.billable,
             billed: entries.billed,
             userId: entries.userId,
+            startedAt: entries.startedAt,
+            endedAt: entries.endedAt,
             createdAt: entries.createdAt,
             username: users.username,
         })
@@ -209,24 +501,51 @@ export async function getProjectEntries(projectId, limit = 10) {
     }));
 }
 
-export async function deleteEntry(entryId) {
-    // If no entryId, get the last entry
+async function isAdmin(userId) {
+    const [user] = await db.select({ role: users.role }).from(users).where(eq(users.id, userId)).limit(1);
+    return user?.role === 'admin';
+}
+
+// Whether the actor may change an entry: its owner, or an admin
+async function canModifyEntry(entry, actorId) {
+    if (entry.userId && entry.userId === actorId) return true;
+    return isAdmin(actorId);
+}
+
+export async function deleteEntry(entryId, actorId = null) {
+    const actor = actorId || getCurrentUser();
+
+    // If no entryId, get the actor's last entry
     let entry;
     if (!entryId) {
-        [entry] = await db.select().from(entries).orderBy(desc(entries.createdAt)).limit(1);
+        entry = await getLastEntry(actor);
     } else {
         [entry] = await db.select().from(entries).where(eq(entries.id, entryId)).limit(1);
     }
 
     if (!entry) return null;
 
+    if (!await canModifyEntry(entry, actor)) {
+        return { error: 'Entry belongs to another user', ownerId: entry.userId };
+    }
+
+    const locked = await lockedWeek(entry.userId, entry.createdAt);
+    if (locked) {
+        return { error: 'Week is approved and locked', locked };
+    }
+    const invoiced = await invoicedEntryError(entry);
+    if (invoiced) return invoiced;
+
     // Update project total
     await db
         .update(projects)
         .set({ totalMinutes: sql`${projects.totalMinutes} - ${entry.minutes}` })
         .where(eq(projects.id, entry.projectId));
 
+    // Keep the tags in the history so undo can restore them
+    const entryTagNames = await getEntryTags(entry.id);
     await db.delete(entries).where(eq(entries.id, entry.id));
+    await recordHistory(entry.id, 'delete', { ...entry, tags: entryTagNames }, null, actor);
 
     // Remove from ChromaDB (async, non-blocking)
     import('./memory.js').then(({ deleteEntryFromChroma }) => {
@@ -236,11 +555,25 @@ export async function deleteEntry(entryId) {
     return { ...entry, project: entry.projectId };
 }
 
-export async function editEntry(entryId, updates) {
+export async function editEntry(entryId, updates, actorId = null) {
+    const actor = actorId || getCurrentUser();
     const [entry] = await db.select().from(entries).where(eq(entries.id, entryId)).limit(1);
 
     if (!entry) return null;
 
+    if (!await canModifyEntry(entry, actor)) {
+        return { error: 'Entry belongs to another user', ownerId: entry.userId };
+    }
+
+    // Admins can still mark entries in approved weeks as billed, but not unbill them
+    const onlyBilled = updates.billed === true && Object.keys(updates).every(key => key === 'billed' || updates[key] === undefined);
+    const locked = onlyBilled && await isAdmin(actor) ? null : await lockedWeek(entry.userId, entry.createdAt);
+    if (locked) {
+        return { error: 'Week is approved and locked', locked };
+    }
+    const invoiced = await invoicedEntryError(entry);
+    if (invoiced) return invoiced;
+
     const setValues = {};
     let minutesDiff = 0;
 
@@ -252,6 +585,45 @@ export async function editEntry(entryId, updates) {
     if (updates.billable !== undefined) setValues.billable = updates.billable;
     if (updates.billed !== undefined) setValues.billed = updates.billed;
 
+    let previousTags = null;
+    let newTags = null;
+    if (updates.tags !== undefined) {
+        previousTags = await getEntryTags(entry.id);
+        newTags = normalizeTags(updates.tags).sort();
+        if (newTags.join() === previousTags.join()) newTags = null;
+    }
+
+    // Moving the time span re-checks overlaps and, unless given, recomputes minutes
+    let overlaps = [];
+    if (updates.startedAt !== undefined || updates.endedAt !== undefined) {
+        if ((!entry.startedAt && !updates.startedAt) || (!entry.endedAt && !updates.endedAt)) {
+            return { error: 'Entry has no time span; provide both start and end' };
+        }
+        const startedAt = new Date(updates.startedAt ?? entry.startedAt);
+        const endedAt = new Date(updates.endedAt ?? entry.endedAt);
+        if (endedAt <= startedAt) {
+            return { error: 'End time must be after start time' };
+        }
+
+        const targetLocked = await lockedWeek(entry.userId, startedAt);
+        if (targetLocked) {
+            return { error: 'Week is approved and locked', locked: targetLocked };
+        }
+
+        overlaps = await findOverlaps(entry.userId, startedAt, endedAt, { excludeId: entry.id });
+        if (overlaps.length > 0 && OVERLAP_POLICY === 'reject' && !updates.allowOverlap) {
+            return { error: 'Entry overlaps existing time', overlaps };
+        }
+
+        setValues.startedAt = startedAt;
+        setValues.endedAt = endedAt;
+        setValues.createdAt = startedAt;
+        if (updates.minutes === undefined) {
+            setValues.minutes = Math.round((endedAt - startedAt) / 60000);
+            minutesDiff = setValues.minutes - entry.minutes;
+        }
+    }
+
     if (Object.keys(setValues).length > 0) {
         await db.update(entries).set(setValues).where(eq(entries.id, entryId));
 
@@ -263,507 +635,2885 @@ export async function editEntry(entryId, updates) {
         }
     }
 
+    if (newTags) {
+        await setEntryTags(entryId, newTags);
+    }
+
     const [updated] = await db.select().from(entries).where(eq(entries.id, entryId)).limit(1);
-    return { ...updated, project: updated.projectId };
+    if (Object.keys(setValues).length > 0 || newTags) {
+        await recordHistory(
+            entryId,
+            'edit',
+            newTags ? { ...entry, tags: previousTags } : entry,
+            newTags ? { ...updated, tags: newTags } : updated,
+            actor
+        );
+    }
+    return { ...updated, project: updated.projectId, tags: newTags || previousTags || await getEntryTags(entryId), overlaps };
 }
 
-export async function getLastEntry() {
-    const [entry] = await db.select().from(entries).orderBy(desc(entries.createdAt)).limit(1);
-    return entry;
+// Replace entry vectors in ChromaDB (async, non-blocking)
+function syncEntryIndex({ remove = [], index = [] }) {
+    import('./memory.js').then(async ({ indexEntry, deleteEntryFromChroma }) => {
+        for (const id of remove) await deleteEntryFromChroma(id);
+        for (const row of index) {
+            await indexEntry({ ...row, project: row.projectId, createdAt: new Date(row.createdAt).toISOString() });
+        }
+    }).catch(() => {});
 }
 
-// ==================== SUMMARY FUNCTIONS ====================
+// Keep a task link only while the task belongs to the entry's project (or to no project)
+async function taskLinkFor(taskId, projectId) {
+    if (!taskId) return null;
+    const [task] = await db.select({ projectId: tasks.projectId }).from(tasks).where(eq(tasks.id, taskId)).limit(1);
+    if (!task) return null;
+    return !task.projectId || task.projectId === projectId ? taskId : null;
+}
 
-export async function getTodaySummary(userId = null) {
-    const today = new Date().toISOString().split('T')[0];
-    const user = userId || getCurrentUser();
+// Invoiced entries stay as they were billed until the invoice is voided
+async function invoicedEntryError(entry) {
+    if (!entry.invoiceId) return null;
+    const [invoice] = await db.select({ number: invoices.number }).from(invoices).where(eq(invoices.id, entry.invoiceId)).limit(1);
+    return { error: 'Entry is on an invoice', invoice: invoice?.number || entry.invoiceId };
+}
 
-    const result = await db
-        .select({
-            id: entries.id,
-            projectId: entries.projectId,
-            minutes: entries.minutes,
-            description: entries.description,
-            type: entries.type,
-            billable: entries.billable,
-            billed: entries.billed,
-            createdAt: entries.createdAt,
-            projectName: projects.name,
-        })
-        .from(entries)
-        .innerJoin(projects, eq(entries.projectId, projects.id))
-        .where(
-            and(
-                sql`date(${entries.createdAt}) = ${today}`,
-                eq(entries.userId, user)
-            )
-        )
-        .orderBy(desc(entries.createdAt));
+// Load an entry the actor may change, or explain why not
+async function loadModifiableEntry(entryId, actor) {
+    const [entry] = await db.select().from(entries).where(eq(entries.id, entryId)).limit(1);
+    if (!entry) return { error: `Entry not found: ${entryId}` };
+
+    if (!await canModifyEntry(entry, actor)) {
+        return { error: 'Entry belongs to another user', ownerId: entry.userId };
+    }
+    const locked = await lockedWeek(entry.userId, entry.createdAt);
+    if (locked) {
+        return { error: 'Week is approved and locked', locked };
+    }
+    const invoiced = await invoicedEntryError(entry);
+    if (invoiced) return invoiced;
+    return { entry };
+}
 
-    const projectSummary = {};
-    let totalMinutes = 0;
+/**
+ * Move an entry to another project and/or task. The task link is dropped when
+ * the task belongs to a different project than the entry ends up in.
+ * @param {Object} target - project (name), taskId
+ */
+export async function moveEntry(entryId, target = {}, actorId = null) {
+    const actor = actorId || getCurrentUser();
+    const loaded = await loadModifiableEntry(entryId, actor);
+    if (loaded.error) return loaded;
+    const { entry } = loaded;
+
+    let task = null;
+    if (target.taskId) {
+        [task] = await db.select().from(tasks).where(eq(tasks.id, target.taskId)).limit(1);
+        if (!task) return { error: `Task not found: ${target.taskId}` };
+    }
 
-    for (const entry of result) {
-        if (!projectSummary[entry.projectId]) {
-            projectSummary[entry.projectId] = { name: entry.projectName, minutes: 0, entries: [] };
-        }
-        projectSummary[entry.projectId].minutes += entry.minutes;
-        projectSummary[entry.projectId].entries.push(entry);
-        totalMinutes += entry.minutes;
+    let projectId = entry.projectId;
+    if (target.project) {
+        projectId = (await getOrCreateProject(target.project)).id;
+    } else if (task?.projectId) {
+        projectId = task.projectId;
+    }
+    if (task?.projectId && task.projectId !== projectId) {
+        return { error: `Task ${task.id} belongs to project ${task.projectId}` };
     }
+    const taskId = task ? task.id : await taskLinkFor(entry.taskId, projectId);
+
+    const updated = await db.transaction(async (tx) => {
+        await tx.update(entries).set({ projectId, taskId }).where(eq(entries.id, entry.id));
+
+        if (projectId !== entry.projectId) {
+            await tx
+                .update(projects)
+                .set({ totalMinutes: sql`${projects.totalMinutes} - ${entry.minutes}` })
+                .where(eq(projects.id, entry.projectId));
+            await tx
+                .update(projects)
+                .set({ totalMinutes: sql`${projects.totalMinutes} + ${entry.minutes}` })
+                .where(eq(projects.id, projectId));
+        }
+
+        const [row] = await tx.select().from(entries).where(eq(entries.id, entry.id)).limit(1);
+        await recordHistory(entry.id, 'move', entry, row, actor, tx);
+        return row;
+    });
+
+    syncEntryIndex({ remove: [entry.id], index: [updated] });
 
     return {
-        date: today,
-        totalMinutes,
-        totalFormatted: formatDuration(totalMinutes),
-        projects: Object.entries(projectSummary).map(([id, data]) => ({
-            id,
-            name: data.name,
-            minutes: data.minutes,
-            durationFormatted: formatDuration(data.minutes),
-            entries: data.entries,
-        })),
+        ...updated,
+        project: updated.projectId,
+        previousProject: entry.projectId,
+        taskUnlinked: !!entry.taskId && !taskId,
     };
 }
 
-export async function getWeeklySummary(userId = null) {
-    const user = userId || getCurrentUser();
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    const weekAgoStr = weekAgo.toISOString().split('T')[0];
+/**
+ * Split an entry into parts. The first part keeps the entry's id; the others become
+ * new entries. A known time span is carved up in order, the last part taking any rest.
+ * @param {Array<{minutes: number, description?: string, project?: string}>} parts - Must add up to the entry's minutes
+ */
+export async function splitEntry(entryId, parts, actorId = null) {
+    const actor = actorId || getCurrentUser();
+    if (!Array.isArray(parts) || parts.length < 2) {
+        return { error: 'Provide at least two parts' };
+    }
 
-    const result = await db
-        .select({
-            day: sql`date(${entries.createdAt})`.as('day'),
-            total: sql`sum(${entries.minutes})`.as('total'),
-        })
-        .from(entries)
-        .where(
-            and(
-                sql`date(${entries.createdAt}) >= ${weekAgoStr}`,
-                eq(entries.userId, user)
-            )
-        )
-        .groupBy(sql`date(${entries.createdAt})`)
-        .orderBy(sql`date(${entries.createdAt})`);
+    const loaded = await loadModifiableEntry(entryId, actor);
+    if (loaded.error) return loaded;
+    const { entry } = loaded;
 
-    let totalMinutes = 0;
-    const days = result.map(e => {
-        const dayTotal = Number(e.total) || 0;
-        totalMinutes += dayTotal;
-        return {
-            date: e.day,
-            minutes: dayTotal,
-            durationFormatted: formatDuration(dayTotal),
-        };
+    const total = parts.reduce((sum, p) => sum + p.minutes, 0);
+    if (parts.some(p => !(p.minutes > 0)) || total !== entry.minutes) {
+        return { error: `Parts add up to ${formatDuration(total)} but the entry has ${formatDuration(entry.minutes)}` };
+    }
+
+    // Resolve projects, task links and time spans before writing anything
+    const hasSpan = entry.startedAt && entry.endedAt;
+    let cursor = hasSpan ? new Date(entry.startedAt).getTime() : null;
+    const rows = [];
+    for (const [i, part] of parts.entries()) {
+        const projectId = part.project ? (await getOrCreateProject(part.project)).id : entry.projectId;
+        let startedAt = null;
+        let endedAt = null;
+        if (hasSpan) {
+            startedAt = new Date(cursor);
+            endedAt = i === parts.length - 1 ? new Date(entry.endedAt) : new Date(cursor + part.minutes * 60000);
+            cursor = endedAt.getTime();
+        }
+        rows.push({
+            id: i === 0 ? entry.id : generateId(),
+            projectId,
+            minutes: part.minutes,
+            description: part.description || entry.description,
+            type: entry.type,
+            billable: entry.billable,
+            billed: entry.billed,
+            userId: entry.userId,
+            taskId: await taskLinkFor(entry.taskId, projectId),
+            startedAt,
+            endedAt,
+            createdAt: startedAt || entry.createdAt,
+        });
+    }
+
+    const entryTagNames = await getEntryTags(entry.id);
+
+    const saved = await db.transaction(async (tx) => {
+        const result = [];
+        for (const [i, row] of rows.entries()) {
+            if (i === 0) {
+                await tx.update(entries).set(row).where(eq(entries.id, entry.id));
+            } else {
+                await tx.insert(entries).values(row);
+                await setEntryTags(row.id, entryTagNames, tx);
+            }
+            const [savedRow] = await tx.select().from(entries).where(eq(entries.id, row.id)).limit(1);
+            await recordHistory(row.id, 'split', i === 0 ? entry : null, savedRow, actor, tx);
+            result.push(savedRow);
+        }
+
+        await tx
+            .update(projects)
+            .set({ totalMinutes: sql`${projects.totalMinutes} - ${entry.minutes}` })
+            .where(eq(projects.id, entry.projectId));
+        for (const row of rows) {
+            await tx
+                .update(projects)
+                .set({ totalMinutes: sql`${projects.totalMinutes} + ${row.minutes}` })
+                .where(eq(projects.id, row.projectId));
+        }
+        return result;
     });
 
-    return {
-        weekStart: weekAgoStr,
-        totalMinutes,
-        totalFormatted: formatDuration(totalMinutes),
-        days,
+    syncEntryIndex({ remove: [entry.id], index: saved });
+
+    return { entries: saved.map(e => ({ ...e, project: e.projectId })) };
+}
+
+/**
+ * Merge entries of one user and project into the earliest of them.
+ * Minutes are added up; the time span covers all parts when every entry has one.
+ * @param {string[]} entryIds
+ * @param {Object} options - description for the merged entry (defaults to the descriptions joined)
+ */
+export async function mergeEntries(entryIds, options = {}, actorId = null) {
+    const actor = actorId || getCurrentUser();
+    const ids = [...new Set(entryIds || [])];
+    if (ids.length < 2) {
+        return { error: 'Provide at least two entries to merge' };
+    }
+
+    const list = [];
+    for (const id of ids) {
+        const loaded = await loadModifiableEntry(id, actor);
+        if (loaded.error) return loaded;
+        list.push(loaded.entry);
+    }
+
+    const [first] = list;
+    for (const field of ['userId', 'projectId', 'billable', 'billed']) {
+        if (list.some(e => e[field] !== first[field])) {
+            return { error: `Entries differ in ${field}; only entries with the same owner, project and billing state can be merged` };
+        }
+    }
+    const taskIds = [...new Set(list.map(e => e.taskId).filter(Boolean))];
+    if (taskIds.length > 1) {
+        return { error: 'Entries are linked to different tasks' };
+    }
+
+    list.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const [target, ...others] = list;
+    const allSpans = list.every(e => e.startedAt && e.endedAt);
+    const startedAt = allSpans ? new Date(Math.min(...list.map(e => new Date(e.startedAt).getTime()))) : null;
+    const endedAt = allSpans ? new Date(Math.max(...list.map(e => new Date(e.endedAt).getTime()))) : null;
+    const descriptions = [...new Set(list.map(e => e.description).filter(Boolean))];
+
+    const values = {
+        minutes: list.reduce((sum, e) => sum + e.minutes, 0),
+        description: options.description || descriptions.join('; '),
+        taskId: taskIds[0] || null,
+        startedAt,
+        endedAt,
+        createdAt: startedAt || target.createdAt,
     };
+
+    const tagMap = await getTagsForEntries(list.map(e => e.id));
+    const mergedTags = [...new Set(list.flatMap(e => tagMap.get(e.id) || []))].sort();
+
+    // Same project throughout, so the project total does not change
+    const merged = await db.transaction(async (tx) => {
+        await tx.update(entries).set(values).where(eq(entries.id, target.id));
+        await setEntryTags(target.id, mergedTags, tx);
+        for (const other of others) {
+            await tx.delete(entries).where(eq(entries.id, other.id));
+            await recordHistory(other.id, 'merge', { ...other, tags: tagMap.get(other.id) || [] }, null, actor, tx);
+        }
+        const [row] = await tx.select().from(entries).where(eq(entries.id, target.id)).limit(1);
+        await recordHistory(target.id, 'merge', { ...target, tags: tagMap.get(target.id) || [] }, { ...row, tags: mergedTags }, actor, tx);
+        return row;
+    });
+
+    syncEntryIndex({ remove: list.map(e => e.id), index: [merged] });
+
+    return { ...merged, project: merged.projectId, mergedIds: others.map(e => e.id) };
 }
 
-export async function getUnbilledSummary(userId = null) {
-    const user = userId || getCurrentUser();
+/**
+ * Apply one change to every entry matching a filter, in a single transaction.
+ * Members can only target their own entries. Entries in approved weeks block
+ * every change except an admin marking them billed.
+ * @param {Object} filter - project, client, userId (null for everyone, admins only), from, to, timezone, billable, billed
+ * @param {Object} change - exactly one of billed, billable, project (move) or delete
+ * @param {Object} options - dryRun (preview only), actorId
+ * @returns {Promise<Object>} Matched entries and totals, or { error }
+ */
+export async function bulkUpdateEntries(filter = {}, change = {}, options = {}) {
+    const actor = options.actorId || getCurrentUser();
+
+    const kinds = ['billed', 'billable', 'project', 'delete']
+        .filter(k => k === 'delete' ? change.delete === true : change[k] !== undefined && change[k] !== null);
+    if (kinds.length !== 1) {
+        return { error: 'Choose exactly one change: billed, billable, project or delete' };
+    }
+    const [kind] = kinds;
 
-    const result = await db
+    const userId = filter.userId === undefined ? actor : filter.userId;
+    if (userId !== actor && !await isAdmin(actor)) {
+        return { error: 'Only admins can change other users\' entries' };
+    }
+
+    const timezone = filter.timezone || await getUserTimezone(actor);
+    const conditions = entryConditions({ ...filter, userId, timezone });
+    const matched = await db
         .select({
             id: entries.id,
             projectId: entries.projectId,
+            projectName: projects.name,
             minutes: entries.minutes,
             description: entries.description,
             type: entries.type,
             billable: entries.billable,
             billed: entries.billed,
+            userId: entries.userId,
+            taskId: entries.taskId,
+            invoiceId: entries.invoiceId,
+            startedAt: entries.startedAt,
+            endedAt: entries.endedAt,
             createdAt: entries.createdAt,
-            projectName: projects.name,
         })
         .from(entries)
         .innerJoin(projects, eq(entries.projectId, projects.id))
-        .where(
-            and(
-                eq(entries.billable, true),
-                eq(entries.billed, false),
-                eq(entries.userId, user)
-            )
-        );
-
-    const projectSummary = {};
-    let totalMinutes = 0;
+        .leftJoin(clients, eq(projects.clientId, clients.id))
+        .where(conditions.length > 0 ? and(...conditions) : undefined)
+        .orderBy(entries.createdAt);
+
+    const targetProject = kind === 'project' ? change.project.toLowerCase().trim().replace(/\s+/g, '-') : null;
+    const affected = matched.filter(e => {
+        if (kind === 'billed') return e.billed !== change.billed;
+        if (kind === 'billable') return e.billable !== change.billable;
+        if (kind === 'project') return e.projectId !== targetProject;
+        return true;
+    });
 
-    for (const entry of result) {
-        if (!projectSummary[entry.projectId]) {
-            projectSummary[entry.projectId] = { name: entry.projectName, minutes: 0, count: 0, entries: [] };
+    const lockedWeeks = new Map();
+    if (kind !== 'billed' || change.billed !== true || !await isAdmin(actor)) {
+        for (const entry of affected) {
+            const weekStart = await lockedWeek(entry.userId, entry.createdAt);
+            if (weekStart) lockedWeeks.set(`${entry.userId} ${weekStart}`, { userId: entry.userId, weekStart });
         }
-        projectSummary[entry.projectId].minutes += entry.minutes;
-        projectSummary[entry.projectId].count++;
-        projectSummary[entry.projectId].entries.push(entry);
-        totalMinutes += entry.minutes;
     }
 
-    return {
-        totalMinutes,
-        totalFormatted: formatDuration(totalMinutes),
-        projects: Object.entries(projectSummary).map(([id, data]) => ({
-            id,
-            name: data.name,
-            minutes: data.minutes,
-            durationFormatted: formatDuration(data.minutes),
-            entryCount: data.count,
-            entries: data.entries,
-        })),
+    const summary = {
+        change: kind,
+        matched: matched.length,
+        count: affected.length,
+        totalMinutes: affected.reduce((sum, e) => sum + e.minutes, 0),
+        projects: groupEntries(affected, 'project', timezone).map(g => ({ id: g.key, minutes: g.minutes, entryCount: g.entryCount })),
+        entries: affected.map(({ projectName, invoiceId, ...e }) => ({ ...e, project: e.projectId })),
+        lockedWeeks: [...lockedWeeks.values()],
+        invoiced: affected.filter(e => e.invoiceId).length,
     };
-}
-
-export async function getUnbilledByClient(userId = null) {
-    const user = userId || getCurrentUser();
+    summary.totalFormatted = formatDuration(summary.totalMinutes);
 
-    const result = await db
-        .select({
-            id: entries.id,
-            projectId: entries.projectId,
-            minutes: entries.minutes,
-            description: entries.description,
-            createdAt: entries.createdAt,
-            projectName: projects.name,
-            hourlyRate: projects.hourlyRate,
-            clientId: clients.id,
-            clientName: clients.name,
-        })
-        .from(entries)
-        .innerJoin(projects, eq(entries.projectId, projects.id))
-        .leftJoin(clients, eq(projects.clientId, clients.id))
-        .where(
-            and(
-                eq(entries.billable, true),
-                eq(entries.billed, false),
-                eq(entries.userId, user)
-            )
-        );
+    if (lockedWeeks.size > 0) {
+        return { ...summary, error: 'Some entries are in approved weeks' };
+    }
+    if (summary.invoiced > 0) {
+        return { ...summary, error: `${summary.invoiced} of the entries are on invoices` };
+    }
+    if (options.dryRun || affected.length === 0) {
+        return { ...summary, dryRun: !!options.dryRun };
+    }
 
-    const clientSummary = {};
-    let totalMinutes = 0;
-    let totalValue = 0;
+    const projectId = kind === 'project' ? (await getOrCreateProject(change.project)).id : null;
+    const taskLinks = new Map();
+    if (kind === 'project') {
+        for (const entry of affected) {
+            taskLinks.set(entry.id, await taskLinkFor(entry.taskId, projectId));
+        }
+    }
 
-    for (const entry of result) {
-        const clientId = entry.clientId || 'no-client';
-        const clientName = entry.clientName || 'No Client';
+    const tagMap = kind === 'delete' ? await getTagsForEntries(affected.map(e => e.id)) : null;
+
+    const saved = await db.transaction(async (tx) => {
+        const rows = [];
+        for (const entry of affected) {
+            if (kind === 'delete') {
+                await tx.delete(entries).where(eq(entries.id, entry.id));
+                await recordHistory(entry.id, 'delete', { ...entry, tags: tagMap.get(entry.id) || [] }, null, actor, tx);
+                continue;
+            }
+
+            const values = kind === 'project'
+                ? { projectId, taskId: taskLinks.get(entry.id) }
+                : { [kind]: change[kind] };
+            await tx.update(entries).set(values).where(eq(entries.id, entry.id));
+            const [row] = await tx.select().from(entries).where(eq(entries.id, entry.id)).limit(1);
+            await recordHistory(entry.id, kind === 'project' ? 'move' : 'edit', entry, row, actor, tx);
+            rows.push(row);
+        }
 
-        if (!clientSummary[clientId]) {
-            clientSummary[clientId] = {
-                clientName,
-                minutes: 0,
-                value: 0,
-                projects: {},
-            };
+        // Project totals move with the minutes
+        if (kind === 'delete' || kind === 'project') {
+            for (const group of summary.projects) {
+                await tx
+                    .update(projects)
+                    .set({ totalMinutes: sql`${projects.totalMinutes} - ${group.minutes}` })
+                    .where(eq(projects.id, group.id));
+            }
+        }
+        if (kind === 'project') {
+            await tx
+                .update(projects)
+                .set({ totalMinutes: sql`${projects.totalMinutes} + ${summary.totalMinutes}` })
+                .where(eq(projects.id, projectId));
         }
+        return rows;
+    });
+
+    // billed is not part of the vectors' metadata
+    if (kind !== 'billed') {
+        syncEntryIndex({ remove: affected.map(e => e.id), index: saved });
+    }
+
+    return { ...summary, dryRun: false };
+}
+
+/**
+ * Import entries read from another tracker's export (see parseExport) for one user,
+ * in a single transaction. Rows imported before are skipped by their import key, so
+ * a growing export can be imported again. Missing projects and clients are created.
+ * @param {Object[]} records - Records from parseExport
+ * @param {Object} options - source, userId (admins can import for others), actorId, dryRun
+ * @returns {Promise<Object>} Counts, totals per project and per-row errors, or { error }
+ */
+export async function importEntries(records, options = {}) {
+    const actor = options.actorId || getCurrentUser();
+    const user = options.userId || actor;
+    if (user !== actor && !await isAdmin(actor)) {
+        return { error: 'Only admins can import time for other users' };
+    }
+    const timezone = await getUserTimezone(user);
+    const slug = (name) => name.toLowerCase().trim().replace(/\s+/g, '-');
+
+    // Import keys are per user, so two people can import the same team export
+    const keyed = records.map(r => ({ ...r, importKey: `${user}:${r.key}` }));
+    const known = new Set();
+    for (let i = 0; i < keyed.length; i += 1000) {
+        const chunk = keyed.slice(i, i + 1000).map(r => r.importKey);
+        const rows = await db.select({ key: entries.importKey }).from(entries).where(inArray(entries.importKey, chunk));
+        for (const row of rows) known.add(row.key);
+    }
+
+    const errors = [];
+    const accepted = [];
+    const lockedWeeks = new Map();
+    let duplicates = 0;
+    for (const record of keyed) {
+        // Also catches the same row ID twice in one file
+        if (known.has(record.importKey)) {
+            duplicates++;
+            continue;
+        }
+        known.add(record.importKey);
+
+        // Rows without a start time land at noon, like backdated entries
+        const createdAt = record.startedAt || zonedTime(record.day, 12, 0, 0, timezone);
+        const weekStart = startOfWeek(localDateString(createdAt, timezone));
+        if (!lockedWeeks.has(weekStart)) lockedWeeks.set(weekStart, await lockedWeek(user, createdAt));
+        if (lockedWeeks.get(weekStart)) {
+            errors.push({ row: record.row, error: `Week of ${weekStart} is approved and locked` });
+            continue;
+        }
+        accepted.push({ ...record, projectId: slug(record.project), createdAt });
+    }
+
+    const projectIds = [...new Set(accepted.map(r => r.projectId))];
+    const existingProjects = new Set(projectIds.length > 0
+        ? (await db.select({ id: projects.id }).from(projects).where(inArray(projects.id, projectIds))).map(p => p.id)
+        : []);
+    const existingClients = new Map();
+    for (const c of await db.select({ id: clients.id, name: clients.name }).from(clients)) {
+        existingClients.set(c.id, c.id);
+        existingClients.set(c.name.toLowerCase(), c.id);
+    }
+
+    const projectTotals = new Map();
+    const newClients = new Map();
+    for (const record of accepted) {
+        if (!projectTotals.has(record.projectId)) {
+            let clientId = null;
+            if (record.client) {
+                clientId = existingClients.get(record.client.toLowerCase()) || existingClients.get(slug(record.client)) || slug(record.client);
+                if (!existingClients.has(clientId) && !existingProjects.has(record.projectId)) newClients.set(clientId, record.client);
+            }
+            projectTotals.set(record.projectId, {
+                id: record.projectId,
+                name: record.project,
+                clientId,
+                isNew: !existingProjects.has(record.projectId),
+                minutes: 0,
+                entryCount: 0,
+            });
+        }
+        const total = projectTotals.get(record.projectId);
+        total.minutes += record.minutes;
+        total.entryCount++;
+    }
+
+    const summary = {
+        source: options.source || null,
+        total: records.length,
+        count: accepted.length,
+        duplicates,
+        errors,
+        totalMinutes: accepted.reduce((sum, r) => sum + r.minutes, 0),
+        projects: [...projectTotals.values()].sort((a, b) => b.minutes - a.minutes),
+        newClients: [...newClients.values()],
+    };
+    summary.totalFormatted = formatDuration(summary.totalMinutes);
+
+    if (options.dryRun || accepted.length === 0) {
+        return { ...summary, dryRun: !!options.dryRun };
+    }
+
+    const saved = await db.transaction(async (tx) => {
+        for (const [id, name] of newClients) {
+            await tx.insert(clients).values({ id, name });
+        }
+        for (const project of summary.projects.filter(p => p.isNew)) {
+            await tx.insert(projects).values({ id: project.id, name: project.name, clientId: project.clientId, totalMinutes: 0 });
+        }
+
+        const rows = [];
+        for (const record of accepted) {
+            const [row] = await tx.insert(entries).values({
+                id: generateId(),
+                projectId: record.projectId,
+                minutes: record.minutes,
+                description: record.description,
+                type: 'import',
+                billable: record.billable,
+                userId: user,
+                startedAt: record.startedAt,
+                endedAt: record.endedAt,
+                importKey: record.importKey,
+                createdAt: record.createdAt,
+            }).returning();
+            const tagNames = normalizeTags(record.tags);
+            await setEntryTags(row.id, tagNames, tx);
+            await recordHistory(row.id, 'import', null, { ...row, tags: tagNames }, actor, tx);
+            rows.push(row);
+        }
+
+        for (const project of summary.projects) {
+            await tx
+                .update(projects)
+                .set({ totalMinutes: sql`${projects.totalMinutes} + ${project.minutes}` })
+                .where(eq(projects.id, project.id));
+        }
+        return rows;
+    });
+
+    syncEntryIndex({ index: saved });
+
+    return { ...summary, dryRun: false };
+}
+
+// Pairs of the user's entries whose time spans overlap, within an optional date range
+export async function getOverlappingEntries(options = {}) {
+    const timezone = options.timezone || await getUserTimezone(options.userId || getCurrentUser());
+    const other = alias(entries, 'other');
+    const day = localDate(entries.createdAt, timezone);
+
+    const conditions = [
+        eq(other.userId, entries.userId),
+        lt(entries.id, other.id),
+        lt(entries.startedAt, other.endedAt),
+        gt(entries.endedAt, other.startedAt),
+    ];
+    if (options.userId) conditions.push(eq(entries.userId, options.userId));
+    if (options.from) conditions.push(sql`${day} >= ${options.from}`);
+    if (options.to) conditions.push(sql`${day} <= ${options.to}`);
+
+    const result = await db
+        .select({
+            userId: entries.userId,
+            id: entries.id,
+            projectId: entries.projectId,
+            description: entries.description,
+            startedAt: entries.startedAt,
+            endedAt: entries.endedAt,
+            otherId: other.id,
+            otherProjectId: other.projectId,
+            otherDescription: other.description,
+            otherStartedAt: other.startedAt,
+            otherEndedAt: other.endedAt,
+        })
+        .from(entries)
+        .innerJoin(other, and(...conditions))
+        .orderBy(entries.startedAt);
+
+    return result.map(pair => {
+        const start = Math.max(new Date(pair.startedAt).getTime(), new Date(pair.otherStartedAt).getTime());
+        const end = Math.min(new Date(pair.endedAt).getTime(), new Date(pair.otherEndedAt).getTime());
+        const overlapMinutes = Math.round((end - start) / 60000);
+        return { ...pair, overlapMinutes, overlapFormatted: formatDuration(overlapMinutes) };
+    });
+}
+
+export async function getLastEntry(userId = null) {
+    const user = userId || getCurrentUser();
+    const [entry] = await db
+        .select()
+        .from(entries)
+        .where(eq(entries.userId, user))
+        .orderBy(desc(entries.createdAt))
+        .limit(1);
+    return entry;
+}
+
+// ==================== ENTRY HISTORY ====================
+
+// Plain copy of an entry row as stored in the history
+function entrySnapshot(entry) {
+    if (!entry) return null;
+    return {
+        id: entry.id,
+        projectId: entry.projectId,
+        userId: entry.userId,
+        minutes: entry.minutes,
+        description: entry.description,
+        type: entry.type,
+        billable: entry.billable,
+        billed: entry.billed,
+        invoiceId: entry.invoiceId ?? null,
+        taskId: entry.taskId,
+        startedAt: entry.startedAt ? new Date(entry.startedAt).toISOString() : null,
+        endedAt: entry.endedAt ? new Date(entry.endedAt).toISOString() : null,
+        createdAt: entry.createdAt ? new Date(entry.createdAt).toISOString() : null,
+        ...(entry.importKey ? { importKey: entry.importKey } : {}),
+        // Only known when the caller loaded them
+        ...(entry.tags ? { tags: entry.tags } : {}),
+    };
+}
+
+// Entry row values from a snapshot
+function snapshotValues(snapshot) {
+    const { tags: _tags, ...values } = snapshot;
+    return {
+        ...values,
+        startedAt: values.startedAt ? new Date(values.startedAt) : null,
+        endedAt: values.endedAt ? new Date(values.endedAt) : null,
+        createdAt: values.createdAt ? new Date(values.createdAt) : null,
+    };
+}
+
+async function recordHistory(entryId, action, before, after, actorId = null, executor = db) {
+    const actor = actorId || getCurrentUser();
+    const ownerId = (after || before)?.userId || null;
+
+    await executor.insert(entryHistory).values({
+        id: generateId(),
+        entryId,
+        action,
+        actorId: actor,
+        ownerId,
+        before: entrySnapshot(before),
+        after: entrySnapshot(after),
+        createdAt: new Date(),
+    });
+}
+
+/**
+ * Changes to one entry, or the latest changes made by or to a user, newest first
+ * @param {Object} options - entryId, userId (actor or owner), limit
+ */
+export async function getEntryHistory({ entryId = null, userId = null, limit = 20 } = {}) {
+    const conditions = [];
+    if (entryId) conditions.push(eq(entryHistory.entryId, entryId));
+    if (userId) conditions.push(or(eq(entryHistory.actorId, userId), eq(entryHistory.ownerId, userId)));
+
+    return db
+        .select({
+            id: entryHistory.id,
+            entryId: entryHistory.entryId,
+            action: entryHistory.action,
+            actorId: entryHistory.actorId,
+            actorName: users.username,
+            ownerId: entryHistory.ownerId,
+            before: entryHistory.before,
+            after: entryHistory.after,
+            createdAt: entryHistory.createdAt,
+        })
+        .from(entryHistory)
+        .leftJoin(users, eq(entryHistory.actorId, users.id))
+        .where(conditions.length > 0 ? and(...conditions) : undefined)
+        .orderBy(desc(entryHistory.createdAt), desc(entryHistory.id))
+        .limit(limit);
+}
+
+/**
+ * Revert the latest change to an entry: re-create a deleted entry, restore the
+ * previous values of an edit or remove a created one. Undoing an undo redoes the change.
+ * Splits and merges are refused.
+ * @returns {Object|null} { action, entry } or { error }, null if the entry has no history
+ */
+export async function undoEntryChange(entryId, actorId = null) {
+    const actor = actorId || getCurrentUser();
+    const [last] = await getEntryHistory({ entryId, limit: 1 });
+    if (!last) return null;
+    // Splits and merges change several entries at once; undoing one of them would count time twice
+    if (last.action === 'split') return { error: 'A split cannot be undone; merge the parts instead' };
+    if (last.action === 'merge') return { error: 'A merge cannot be undone; split the entry instead' };
+
+    const [current] = await db.select().from(entries).where(eq(entries.id, entryId)).limit(1);
+    const target = last.before ? snapshotValues(last.before) : null;
+    const currentTags = current ? await getEntryTags(entryId) : null;
+
+    for (const state of [current, target]) {
+        if (!state) continue;
+        if (!await canModifyEntry(state, actor)) {
+            return { error: 'Entry belongs to another user', ownerId: state.userId };
+        }
+        const locked = await lockedWeek(state.userId, state.createdAt);
+        if (locked) {
+            return { error: 'Week is approved and locked', locked };
+        }
+    }
+    const invoiced = current ? await invoicedEntryError(current) : null;
+    if (invoiced) return invoiced;
+    // Invoicing and voiding set billed and invoiceId; only the invoice can change them back
+    const billedOn = target ? await invoicedEntryError(target) : null;
+    if (billedOn) return { ...billedOn, error: 'Undo would put the entry back on an invoice' };
+
+    if (current) {
+        await db
+            .update(projects)
+            .set({ totalMinutes: sql`${projects.totalMinutes} - ${current.minutes}` })
+            .where(eq(projects.id, current.projectId));
+    }
+
+    if (!target) {
+        await db.delete(entries).where(eq(entries.id, entryId));
+    } else {
+        await getOrCreateProject(target.projectId);
+        if (current) {
+            await db.update(entries).set(target).where(eq(entries.id, entryId));
+        } else {
+            await db.insert(entries).values(target);
+        }
+        if (last.before.tags) {
+            await setEntryTags(entryId, last.before.tags);
+        }
+        await db
+            .update(projects)
+            .set({ totalMinutes: sql`${projects.totalMinutes} + ${target.minutes}` })
+            .where(eq(projects.id, target.projectId));
+    }
+
+    await recordHistory(
+        entryId,
+        'undo',
+        current ? { ...current, tags: currentTags } : null,
+        target && last.before.tags ? { ...target, tags: last.before.tags } : target,
+        actor
+    );
+
+    syncEntryIndex({ remove: current ? [entryId] : [], index: target ? [target] : [] });
+
+    return {
+        undone: last.action,
+        entry: target ? { ...target, project: target.projectId } : null,
+        removed: current && !target ? { ...current, project: current.projectId } : null,
+    };
+}
+
+// ==================== TAG FUNCTIONS ====================
+
+/**
+ * Normalize tag names: lowercase, dashes for spaces, no leading "#", no duplicates
+ * @param {string[]|null} names
+ * @returns {string[]}
+ */
+export function normalizeTags(names) {
+    if (!Array.isArray(names)) return [];
+    const normalized = names
+        .map(name => String(name).trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, '-'))
+        .filter(Boolean);
+    return [...new Set(normalized)];
+}
+
+// Replace an entry's tags with the given (normalized) names
+async function setEntryTags(entryId, names, executor = db) {
+    await executor.delete(entryTags).where(eq(entryTags.entryId, entryId));
+    if (names.length === 0) return;
+
+    await executor.insert(tags).values(names.map(name => ({ name, createdAt: new Date() }))).onConflictDoNothing();
+    await executor.insert(entryTags).values(names.map(tag => ({ entryId, tag })));
+}
+
+export async function getEntryTags(entryId) {
+    const rows = await db
+        .select({ tag: entryTags.tag })
+        .from(entryTags)
+        .where(eq(entryTags.entryId, entryId))
+        .orderBy(entryTags.tag);
+    return rows.map(r => r.tag);
+}
+
+// Tags of many entries at once: Map of entry ID to sorted tag names
+async function getTagsForEntries(entryIds, executor = db) {
+    const map = new Map();
+
+    // Chunked to stay well below the query parameter limit on long reports
+    for (let i = 0; i < entryIds.length; i += 1000) {
+        const rows = await executor
+            .select()
+            .from(entryTags)
+            .where(inArray(entryTags.entryId, entryIds.slice(i, i + 1000)))
+            .orderBy(entryTags.tag);
+        for (const row of rows) {
+            if (!map.has(row.entryId)) map.set(row.entryId, []);
+            map.get(row.entryId).push(row.tag);
+        }
+    }
+    return map;
+}
+
+/**
+ * Tags in use, with how often and how long they were used
+ * @param {string|null} userId - Only count this user's entries, or null for the team
+ */
+export async function getTags(userId = null) {
+    const conditions = userId ? [eq(entries.userId, userId)] : [];
+    const rows = await db
+        .select({
+            name: entryTags.tag,
+            entryCount: sql`count(*)`.mapWith(Number),
+            minutes: sql`coalesce(sum(${entries.minutes}), 0)`.mapWith(Number),
+        })
+        .from(entryTags)
+        .innerJoin(entries, eq(entryTags.entryId, entries.id))
+        .where(conditions.length > 0 ? and(...conditions) : undefined)
+        .groupBy(entryTags.tag)
+        .orderBy(entryTags.tag);
+    return rows.map(r => ({ ...r, durationFormatted: formatDuration(r.minutes) }));
+}
+
+// ==================== SUMMARY FUNCTIONS ====================
+
+// WHERE conditions shared by all entry reports (expects clients to be joined)
+function entryConditions({ userId = null, from = null, to = null, timezone = DEFAULT_TIMEZONE, project = null, client = null, billable = null, billed = null, tag = null } = {}) {
+    const conditions = [];
+    const day = localDate(entries.createdAt, timezone);
+
+    if (userId) conditions.push(eq(entries.userId, userId));
+    if (from) conditions.push(sql`${day} >= ${from}`);
+    if (to) conditions.push(sql`${day} <= ${to}`);
+    if (project) conditions.push(eq(entries.projectId, project.toLowerCase().trim().replace(/\s+/g, '-')));
+    if (client) {
+        conditions.push(or(
+            eq(clients.id, client.toLowerCase().trim().replace(/\s+/g, '-')),
+            ilike(clients.name, `%${client}%`)
+        ));
+    }
+    if (billable !== null && billable !== undefined) conditions.push(eq(entries.billable, billable));
+    if (billed !== null && billed !== undefined) conditions.push(eq(entries.billed, billed));
+    if (tag) {
+        const [name] = normalizeTags([tag]);
+        conditions.push(inArray(entries.id, db.select({ id: entryTags.entryId }).from(entryTags).where(eq(entryTags.tag, name))));
+    }
+
+    return conditions;
+}
+
+// Keys and labels an entry is grouped under; only tags put an entry in several groups
+function groupKeys(entry, groupBy, timezone) {
+    if (groupBy === 'tag') {
+        return entry.tags?.length ? entry.tags.map(tag => [tag, tag]) : [['untagged', 'Untagged']];
+    }
+    return [groupKey(entry, groupBy, timezone)];
+}
+
+// Key and label an entry is grouped under
+function groupKey(entry, groupBy, timezone) {
+    switch (groupBy) {
+        case 'client':
+            return [entry.clientId || 'no-client', entry.clientName || 'No Client'];
+        case 'user':
+            return [entry.userId || 'unknown', entry.username || entry.userId || 'unknown'];
+        case 'day': {
+            const day = localDateString(entry.createdAt, timezone);
+            return [day, day];
+        }
+        default:
+            return [entry.projectId, entry.projectName];
+    }
+}
+
+// Billable value of entries per currency, e.g. { EUR: 1200, USD: 300 }; the plain value totals ignore currencies
+function currencyValues(list) {
+    const values = {};
+    for (const entry of list) {
+        const value = ((entry.billableMinutes ?? entry.minutes) / 60) * (entry.hourlyRate || 0);
+        const currency = entry.currency || DEFAULT_CURRENCY;
+        if (value) values[currency] = (values[currency] || 0) + value;
+    }
+    return values;
+}
+
+export function groupEntries(list, groupBy = 'project', timezone = DEFAULT_TIMEZONE) {
+    const groups = new Map();
+
+    for (const entry of list) {
+        for (const [key, label] of groupKeys(entry, groupBy, timezone)) {
+            if (!groups.has(key)) {
+                groups.set(key, { key, label, minutes: 0, billableMinutes: 0, value: 0, entries: [] });
+            }
+            const group = groups.get(key);
+            const billableMinutes = entry.billableMinutes ?? entry.minutes;
+            group.minutes += entry.minutes;
+            group.billableMinutes += billableMinutes;
+            group.value += (billableMinutes / 60) * (entry.hourlyRate || 0);
+            group.entries.push(entry);
+        }
+    }
+
+    const result = [...groups.values()].map(g => {
+        const values = currencyValues(g.entries);
+        return {
+            ...g,
+            values,
+            durationFormatted: formatDuration(g.minutes),
+            billableFormatted: formatDuration(g.billableMinutes),
+            valueFormatted: formatAmounts(values),
+            entryCount: g.entries.length,
+        };
+    });
+
+    // Days read chronologically, everything else by most time
+    return groupBy === 'day'
+        ? result.sort((a, b) => a.key.localeCompare(b.key))
+        : result.sort((a, b) => b.minutes - a.minutes);
+}
+
+// Generic report: entries matching the filters, grouped by project, client, user, day or tag.
+// from/to are inclusive YYYY-MM-DD dates in the given timezone; userId null means the whole team.
+// An entry with several tags counts towards each of them, so tag groups can add up to more than the total.
+export async function aggregateEntries(options = {}) {
+    const timezone = options.timezone || await getUserTimezone(options.userId || getCurrentUser());
+    const groupBy = options.groupBy || 'project';
+    const conditions = entryConditions({ ...options, timezone });
+
+    const result = await (options.executor || db)
+        .select({
+            id: entries.id,
+            projectId: entries.projectId,
+            minutes: entries.minutes,
+            description: entries.description,
+            type: entries.type,
+            billable: entries.billable,
+            billed: entries.billed,
+            userId: entries.userId,
+            taskId: entries.taskId,
+            startedAt: entries.startedAt,
+            endedAt: entries.endedAt,
+            createdAt: entries.createdAt,
+            projectName: projects.name,
+            hourlyRate: projects.hourlyRate,
+            clientId: clients.id,
+            clientName: clients.name,
+            username: users.username,
+            projectRounding: {
+                roundingIncrement: projects.roundingIncrement,
+                roundingMode: projects.roundingMode,
+                minimumMinutes: projects.minimumMinutes,
+            },
+            clientRounding: {
+                roundingIncrement: clients.roundingIncrement,
+                roundingMode: clients.roundingMode,
+                minimumMinutes: clients.minimumMinutes,
+            },
+            projectTax: {
+                currency: projects.currency,
+                vatCategory: projects.vatCategory,
+                vatRate: projects.vatRate,
+            },
+            clientTax: {
+                clientId: clients.id,
+                currency: clients.currency,
+                vatCategory: clients.vatCategory,
+                vatRate: clients.vatRate,
+            },
+        })
+        .from(entries)
+        .innerJoin(projects, eq(entries.projectId, projects.id))
+        .leftJoin(clients, eq(projects.clientId, clients.id))
+        .leftJoin(users, eq(entries.userId, users.id))
+        .where(conditions.length > 0 ? and(...conditions) : undefined)
+        .orderBy(desc(entries.createdAt));
+
+    // Rounding is applied per entry; the tracked minutes stay as they are
+    const tagMap = await getTagsForEntries(result.map(e => e.id), options.executor);
+    const list = result.map(({ projectRounding, clientRounding, projectTax, clientTax, ...entry }) => ({
+        ...entry,
+        ...resolveTax(projectTax, clientTax),
+        tags: tagMap.get(entry.id) || [],
+        billableMinutes: applyRounding(entry.minutes, resolveRounding(projectRounding, clientRounding)),
+    }));
+
+    const groups = groupEntries(list, groupBy, timezone);
+    const totalMinutes = list.reduce((sum, e) => sum + e.minutes, 0);
+    const totalBillableMinutes = list.reduce((sum, e) => sum + e.billableMinutes, 0);
+    const totalValue = list.reduce((sum, e) => sum + (e.billableMinutes / 60) * (e.hourlyRate || 0), 0);
+    const totalValues = currencyValues(list);
+
+    return {
+        from: options.from || null,
+        to: options.to || null,
+        timezone,
+        groupBy,
+        totalMinutes,
+        totalFormatted: formatDuration(totalMinutes),
+        totalBillableMinutes,
+        totalBillableFormatted: formatDuration(totalBillableMinutes),
+        totalValue,
+        totalValues,
+        totalValueFormatted: formatAmounts(totalValues),
+        entryCount: list.length,
+        groups,
+    };
+}
+
+export async function getTodaySummary(userId = null) {
+    const user = userId || getCurrentUser();
+    const timezone = await getUserTimezone(user);
+    const today = localDateString(new Date(), timezone);
+
+    const report = await aggregateEntries({ userId: user, from: today, to: today, timezone });
+    const review = await getSuspiciousSessions(user, { from: today, to: today, timezone });
+    const absence = (await getAbsences(user, today, today)).get(today) || null;
+
+    return {
+        date: today,
+        timezone,
+        review,
+        absence,
+        totalMinutes: report.totalMinutes,
+        totalFormatted: report.totalFormatted,
+        projects: report.groups.map(g => ({
+            id: g.key,
+            name: g.label,
+            minutes: g.minutes,
+            durationFormatted: g.durationFormatted,
+            entries: g.entries,
+        })),
+    };
+}
+
+export async function getWeeklySummary(userId = null) {
+    const user = userId || getCurrentUser();
+    const timezone = await getUserTimezone(user);
+    const weekAgoStr = addDays(localDateString(new Date(), timezone), -7);
+
+    const report = await aggregateEntries({ userId: user, from: weekAgoStr, timezone, groupBy: 'day' });
+    const review = await getSuspiciousSessions(user, { from: weekAgoStr, timezone });
+    const balance = await getBalance(user, { from: weekAgoStr });
+    const targets = new Map(balance.days.map(d => [d.date, d.targetMinutes]));
+
+    return {
+        weekStart: weekAgoStr,
+        timezone,
+        review,
+        totalMinutes: report.totalMinutes,
+        totalFormatted: report.totalFormatted,
+        targetMinutes: balance.since ? balance.targetMinutes : null,
+        runningBalanceMinutes: balance.since ? balance.runningBalanceMinutes : null,
+        expectedDays: balance.expectedDays,
+        absences: balance.absences,
+        days: report.groups.map(g => ({
+            date: g.key,
+            minutes: g.minutes,
+            durationFormatted: g.durationFormatted,
+            targetMinutes: targets.get(g.key) ?? 0,
+        })),
+    };
+}
+
+export async function getUnbilledSummary(userId = null) {
+    const user = userId || getCurrentUser();
+
+    const report = await aggregateEntries({ userId: user, billable: true, billed: false });
+
+    return {
+        totalMinutes: report.totalMinutes,
+        totalFormatted: report.totalFormatted,
+        projects: report.groups.map(g => ({
+            id: g.key,
+            name: g.label,
+            minutes: g.minutes,
+            durationFormatted: g.durationFormatted,
+            entryCount: g.entryCount,
+            entries: g.entries,
+        })),
+    };
+}
+
+/**
+ * Unbilled, billable time per client and project with its value. Every project bills
+ * in one currency at one VAT rate, so net, VAT and gross add up per currency; the
+ * combined total converts them to the base currency with the exchange-rate table.
+ * @param {string|null} userId
+ * @returns {Promise<Object>} Totals per currency, the combined total and the clients with their projects
+ */
+export async function getUnbilledByClient(userId = null) {
+    const user = userId || getCurrentUser();
+
+    const report = await aggregateEntries({ userId: user, billable: true, billed: false, groupBy: 'client' });
+    const clientList = report.groups.map(client => {
+        const projectList = groupEntries(client.entries, 'project').map(p => {
+            const { currency, vatCategory, vatRate } = p.entries[0];
+            const net = roundAmount(p.value);
+            const vat = roundAmount((net * vatRate) / 100);
+            return {
+                projectId: p.key,
+                projectName: p.label,
+                hourlyRate: p.entries[0].hourlyRate || 0,
+                currency,
+                vatCategory,
+                vatRate,
+                vatLabel: describeTax({ vatCategory, vatRate }),
+                minutes: p.minutes,
+                durationFormatted: p.durationFormatted,
+                billableMinutes: p.billableMinutes,
+                billableFormatted: p.billableFormatted,
+                value: p.value,
+                valueFormatted: p.valueFormatted,
+                net,
+                vat,
+                gross: roundAmount(net + vat),
+            };
+        });
+        return {
+            clientId: client.key,
+            clientName: client.label,
+            minutes: client.minutes,
+            durationFormatted: client.durationFormatted,
+            billableMinutes: client.billableMinutes,
+            billableFormatted: client.billableFormatted,
+            value: client.value,
+            valueFormatted: client.valueFormatted,
+            totals: taxTotals(projectList),
+            projects: projectList,
+        };
+    });
+    const totals = taxTotals(clientList.flatMap(c => c.projects));
+
+    return {
+        totalMinutes: report.totalMinutes,
+        totalFormatted: report.totalFormatted,
+        totalBillableMinutes: report.totalBillableMinutes,
+        totalBillableFormatted: report.totalBillableFormatted,
+        totalValue: report.totalValueFormatted,
+        totals,
+        combined: await convertTotals(totals),
+        clients: clientList,
+    };
+}
+
+export async function getTeamTodaySummary(userId = null) {
+    // "Today" as seen by the requesting user
+    const timezone = await getUserTimezone(userId || getCurrentUser());
+    const today = localDateString(new Date(), timezone);
+
+    const report = await aggregateEntries({ from: today, to: today, timezone, groupBy: 'user' });
+
+    return {
+        date: today,
+        timezone,
+        teamTotalMinutes: report.totalMinutes,
+        teamTotalFormatted: report.totalFormatted,
+        members: report.groups.map(member => ({
+            userId: member.key,
+            username: member.label,
+            totalMinutes: member.minutes,
+            totalFormatted: member.durationFormatted,
+            projects: groupEntries(member.entries, 'project').map(p => ({
+                id: p.key,
+                name: p.label,
+                minutes: p.minutes,
+                durationFormatted: p.durationFormatted,
+            })),
+        })),
+    };
+}
+
+// ==================== TIMER FUNCTIONS ====================
+
+// Timers running longer than this, or without activity for longer than the idle
+// threshold, are flagged for review. The sweep auto-pauses timers idle past the cutoff.
+// 0 disables a check.
+export const TIMER_MAX_MINUTES = parseInt(process.env.CALQ_TIMER_MAX_MINUTES || '600');
+export const TIMER_IDLE_MINUTES = parseInt(process.env.CALQ_TIMER_IDLE_MINUTES || '120');
+export const TIMER_AUTOPAUSE_MINUTES = parseInt(process.env.CALQ_TIMER_AUTOPAUSE_MINUTES || '240');
+
+// Running time of a timer in minutes, excluding paused time
+function timerMinutes(timer) {
+    const totalElapsed = Math.round((Date.now() - new Date(timer.startedAt).getTime()) / 60000);
+
+    let currentPauseMinutes = 0;
+    if (timer.pausedAt) {
+        currentPauseMinutes = Math.round((Date.now() - new Date(timer.pausedAt).getTime()) / 60000);
+    }
+
+    const totalPausedMinutes = (timer.pausedDuration || 0) + currentPauseMinutes;
+    return {
+        minutes: Math.max(0, totalElapsed - totalPausedMinutes),
+        currentPauseMinutes,
+        totalPausedMinutes,
+    };
+}
+
+/**
+ * Find one of the user's timers.
+ * With a reference, matches the timer id, its name or its project.
+ * Without one, picks the most recently started running timer, falling back to
+ * the most recently paused one (or the other way around when preferPaused is set).
+ */
+async function findTimer(userId, ref = null, preferPaused = false, executor = db) {
+    const list = await executor
+        .select()
+        .from(timers)
+        .where(eq(timers.userId, userId))
+        .orderBy(desc(timers.startedAt));
+
+    if (ref) {
+        const needle = ref.toLowerCase();
+        const byId = list.find(t => t.id === ref);
+        if (byId) return byId;
+        const byName = list.find(t => t.name && t.name.toLowerCase() === needle);
+        if (byName) return byName;
+        const byProject = list.filter(t => t.projectId === needle);
+        return byProject.length === 1 ? byProject[0] : null;
+    }
+
+    const running = list.filter(t => !t.pausedAt);
+    const paused = list
+        .filter(t => t.pausedAt)
+        .sort((a, b) => new Date(b.pausedAt) - new Date(a.pausedAt));
+    return preferPaused ? (paused[0] || running[0] || null) : (running[0] || paused[0] || null);
+}
+
+// Why a timer looks forgotten, and where it most likely should have ended
+function timerReview(timer) {
+    const { minutes } = timerMinutes(timer);
+    const lastActivity = new Date(timer.lastActivityAt || timer.startedAt);
+    const idleMinutes = timer.pausedAt ? 0 : Math.round((Date.now() - lastActivity.getTime()) / 60000);
+
+    const warnings = [];
+    if (TIMER_MAX_MINUTES > 0 && minutes > TIMER_MAX_MINUTES) {
+        warnings.push(`running for ${formatDuration(minutes)}, over the ${formatDuration(TIMER_MAX_MINUTES)} limit`);
+    }
+    if (TIMER_IDLE_MINUTES > 0 && idleMinutes > TIMER_IDLE_MINUTES) {
+        warnings.push(`no activity for ${formatDuration(idleMinutes)}`);
+    }
+
+    return {
+        suspicious: warnings.length > 0,
+        warnings,
+        idleMinutes,
+        suggestedEnd: timer.pausedAt ? new Date(timer.pausedAt) : lastActivity,
+    };
+}
+
+// Fold the time a timer spent paused into its paused duration and let it run again
+async function unpause(timer, resumeAt = new Date(), executor = db) {
+    const pausedMinutes = Math.max(0, Math.round((resumeAt.getTime() - new Date(timer.pausedAt).getTime()) / 60000));
+    const totalPausedDuration = (timer.pausedDuration || 0) + pausedMinutes;
+
+    const pauses = [...(timer.pauses || []), { from: new Date(timer.pausedAt).toISOString(), to: resumeAt.toISOString() }];
+
+    await executor
+        .update(timers)
+        .set({
+            pausedAt: null,
+            pausedDuration: totalPausedDuration,
+            pauses,
+            autoPausedAt: null,
+            lastActivityAt: new Date(),
+        })
+        .where(eq(timers.id, timer.id));
+
+    return { pausedMinutes, totalPausedDuration };
+}
+
+// Remove a timer and hand the timer it had paused back to the rest of the stack
+async function removeTimer(timer, resumeParent = true, resumeAt = new Date(), executor = db) {
+    await executor.delete(timers).where(eq(timers.id, timer.id));
+    await executor.update(timers).set({ parentId: timer.parentId }).where(eq(timers.parentId, timer.id));
+
+    if (!resumeParent || !timer.parentId) return null;
+
+    const [parent] = await executor.select().from(timers).where(eq(timers.id, timer.parentId)).limit(1);
+    if (!parent || !parent.pausedAt) return null;
+
+    const { pausedMinutes } = await unpause(parent, resumeAt, executor);
+    return { id: parent.id, project: parent.projectId, name: parent.name, pausedMinutes };
+}
+
+// End of the user's most recent entry with a known time span
+async function lastEntryEnd(userId, executor = db) {
+    const [row] = await executor
+        .select({ endedAt: sql`max(${entries.endedAt})`.mapWith(entries.endedAt) })
+        .from(entries)
+        .where(eq(entries.userId, userId));
+    return row?.endedAt ? new Date(row.endedAt) : null;
+}
+
+/**
+ * Start a timer. Unless it is parallel, the timer currently running on the
+ * stack is paused and resumes when the new timer stops.
+ * A retroactive startedAt must not be in the future or before the end of the previous entry.
+ * @param {Object} options - name (label), parallel, startedAt, parentId and executor (internal, used by switch)
+ */
+export async function startTimer(projectName, description = '', userId = null, options = {}) {
+    const user = userId || getCurrentUser();
+    const name = options.name?.trim() || null;
+    const executor = options.executor || db;
+
+    const list = await executor
+        .select()
+        .from(timers)
+        .where(eq(timers.userId, user))
+        .orderBy(desc(timers.startedAt));
+
+    if (name) {
+        const existing = list.find(t => t.name && t.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            return { error: 'Timer already running', timer: existing };
+        }
+    }
+
+    const startedAt = options.startedAt ? new Date(options.startedAt) : new Date();
+    if (options.startedAt) {
+        if (isNaN(startedAt.getTime()) || startedAt > new Date()) {
+            return { error: 'Start time must not be in the future' };
+        }
+        const previousEnd = await lastEntryEnd(user, executor);
+        if (previousEnd && startedAt < previousEnd) {
+            return { error: 'Start time is before the end of your previous entry', previousEnd };
+        }
+    }
+
+    const current = options.parallel || options.parentId ? null : list.find(t => !t.parallel && !t.pausedAt);
+    if (current && startedAt < new Date(current.startedAt)) {
+        return { error: 'Start time is before the running timer started', current };
+    }
+
+    const project = await getOrCreateProject(projectName, executor);
+
+    let parentId = options.parentId || null;
+    let pausedTimer = null;
+    if (current) {
+        await executor.update(timers).set({ pausedAt: startedAt }).where(eq(timers.id, current.id));
+        parentId = current.id;
+        pausedTimer = { id: current.id, project: current.projectId, name: current.name };
+    }
+
+    const id = generateId();
+    await executor.insert(timers).values({
+        id,
+        userId: user,
+        projectId: project.id,
+        description,
+        name,
+        parallel: !!options.parallel,
+        parentId,
+        startedAt,
+        lastActivityAt: new Date(),
+        tags: normalizeTags(options.tags),
+    });
+
+    return {
+        id,
+        project: project.id,
+        projectName: project.name,
+        description,
+        name,
+        parallel: !!options.parallel,
+        tags: normalizeTags(options.tags),
+        startedAt,
+        pausedTimer,
+    };
+}
+
+/**
+ * Stop a timer and log its time as an entry.
+ * Timers flagged as forgotten are only logged when trimmed with endAt or when confirmed.
+ * @param {Object} options - timer (id, name or project), endAt, confirm, allowOverlap, resumeParent (default true),
+ *   executor (internal, used by switch)
+ */
+export async function stopTimer(message = null, billable = true, userId = null, options = {}) {
+    const user = userId || getCurrentUser();
+    const executor = options.executor || db;
+    const timer = await findTimer(user, options.timer, false, executor);
+
+    if (!timer) {
+        return { error: 'No timer running' };
+    }
+
+    const startedAt = new Date(timer.startedAt);
+    let { minutes, totalPausedMinutes } = timerMinutes(timer);
+
+    // A paused timer stopped working when it was paused
+    let endedAt = timer.pausedAt ? new Date(timer.pausedAt) : new Date();
+
+    if (options.endAt) {
+        const endAt = new Date(options.endAt);
+        if (isNaN(endAt.getTime()) || endAt <= startedAt || endAt > new Date()) {
+            return { error: 'End time must be after the timer started and not in the future' };
+        }
+        if (endAt < endedAt) {
+            endedAt = endAt;
+            // Only pauses before the new end; the current one, if any, starts after it
+            totalPausedMinutes = minutesBefore(timer.pauses || [], endAt);
+            minutes = Math.max(0, Math.round((endedAt.getTime() - startedAt.getTime()) / 60000) - totalPausedMinutes);
+        }
+    } else {
+        const review = timerReview(timer);
+        if (review.suspicious && !options.confirm) {
+            return { error: 'Timer needs review', review, minutes, startedAt: timer.startedAt, project: timer.projectId };
+        }
+    }
+
+    // Parallel timers overlap other work by design
+    const entry = await addEntry(timer.projectId, minutes, message || timer.description || 'Timer session', 'timer', billable, null, user, {
+        startedAt,
+        endedAt,
+        ignoreTimer: true,
+        allowOverlap: options.allowOverlap || timer.parallel,
+        gaps: timer.pauses || [],
+        tags: options.tags ?? timer.tags ?? [],
+        executor: options.executor,
+    });
+    if (entry.error) return entry;
+
+    const resumed = await removeTimer(timer, options.resumeParent !== false, endedAt, executor);
+
+    return {
+        entry,
+        minutes,
+        duration: formatDuration(minutes),
+        startedAt: timer.startedAt,
+        pausedMinutes: totalPausedMinutes,
+        timer: { id: timer.id, name: timer.name, parentId: timer.parentId },
+        resumed,
+    };
+}
+
+/**
+ * Stop the current timer and start a new one in its place on the stack.
+ * Both happen in one transaction: when the new timer cannot start, the old one keeps running.
+ */
+export async function switchTimer(projectName, description = '', userId = null, options = {}) {
+    const user = userId || getCurrentUser();
+
+    let stopped = null;
+    let started = null;
+    try {
+        await db.transaction(async (tx) => {
+            stopped = await stopTimer(options.message || null, options.billable !== false, user, {
+                timer: options.timer,
+                endAt: options.endAt,
+                confirm: options.confirm,
+                allowOverlap: options.allowOverlap,
+                resumeParent: false,
+                executor: tx,
+            });
+            if (stopped.error && stopped.error !== 'No timer running') tx.rollback();
+
+            // A switch at an explicit time starts the new timer at that moment
+            started = await startTimer(projectName, description, user, {
+                name: options.name,
+                startedAt: options.endAt,
+                parentId: stopped.timer?.parentId,
+                tags: options.tags,
+                executor: tx,
+            });
+            if (started.error) tx.rollback();
+        });
+    } catch (err) {
+        if (!(err instanceof TransactionRollbackError)) throw err;
+        return started?.error ? { ...started, stopped: null } : stopped;
+    }
+
+    if (stopped.entry) syncEntryIndex({ index: [{ ...stopped.entry, projectId: stopped.entry.project }] });
+    return { stopped: stopped.error ? null : stopped, started };
+}
+
+function describeTimer(timer) {
+    const { minutes, currentPauseMinutes, totalPausedMinutes } = timerMinutes(timer);
+    const review = timerReview(timer);
+
+    return {
+        id: timer.id,
+        name: timer.name,
+        parallel: !!timer.parallel,
+        parentId: timer.parentId,
+        project: timer.projectId,
+        projectName: timer.projectName,
+        description: timer.description,
+        startedAt: timer.startedAt,
+        isPaused: !!timer.pausedAt,
+        pausedAt: timer.pausedAt,
+        pausedDuration: timer.pausedDuration || 0,
+        currentPauseMinutes,
+        totalPausedMinutes,
+        runningMinutes: minutes,
+        runningFormatted: formatDuration(minutes),
+        elapsedFormatted: formatDuration(minutes),
+        lastActivityAt: timer.lastActivityAt,
+        autoPaused: !!timer.autoPausedAt,
+        tags: timer.tags || [],
+        suspicious: review.suspicious,
+        warnings: review.warnings,
+        suggestedEnd: review.suggestedEnd,
+    };
+}
+
+function selectTimers() {
+    return db
+        .select({
+            id: timers.id,
+            userId: timers.userId,
+            projectId: timers.projectId,
+            description: timers.description,
+            name: timers.name,
+            parallel: timers.parallel,
+            parentId: timers.parentId,
+            startedAt: timers.startedAt,
+            pausedAt: timers.pausedAt,
+            pausedDuration: timers.pausedDuration,
+            lastActivityAt: timers.lastActivityAt,
+            autoPausedAt: timers.autoPausedAt,
+            tags: timers.tags,
+            projectName: projects.name,
+        })
+        .from(timers)
+        .leftJoin(projects, eq(timers.projectId, projects.id));
+}
+
+/**
+ * All of the user's timers, most recently started first
+ */
+export async function listTimers(userId = null) {
+    const user = userId || getCurrentUser();
+    const list = await selectTimers()
+        .where(eq(timers.userId, user))
+        .orderBy(desc(timers.startedAt));
+    return list.map(describeTimer);
+}
+
+/**
+ * The timer a stopwatch action without an explicit target would use
+ * @param {string|null} ref - Timer id, name or project
+ */
+export async function getActiveTimer(userId = null, ref = null) {
+    const user = userId || getCurrentUser();
+    const timer = await findTimer(user, ref);
+    if (!timer) return null;
+
+    const [row] = await selectTimers().where(eq(timers.id, timer.id)).limit(1);
+    return row ? describeTimer(row) : null;
+}
+
+export async function cancelTimer(userId = null, ref = null) {
+    const user = userId || getCurrentUser();
+    const timer = await findTimer(user, ref);
+
+    if (!timer) {
+        return { error: 'No timer running' };
+    }
+
+    const resumed = await removeTimer(timer);
+
+    return { cancelled: true, project: timer.projectId, name: timer.name, resumed };
+}
+
+export async function pauseTimer(userId = null, ref = null) {
+    const user = userId || getCurrentUser();
+    const timer = await findTimer(user, ref);
+
+    if (!timer) {
+        return { error: 'No timer running' };
+    }
+
+    if (timer.pausedAt) {
+        return { error: 'Timer already paused', timer };
+    }
+
+    await db
+        .update(timers)
+        .set({ pausedAt: new Date() })
+        .where(eq(timers.id, timer.id));
+
+    const { minutes } = timerMinutes(timer);
+
+    return {
+        paused: true,
+        project: timer.projectId,
+        name: timer.name,
+        runningMinutes: minutes,
+        runningFormatted: formatDuration(minutes),
+    };
+}
+
+export async function resumeTimer(userId = null, ref = null) {
+    const user = userId || getCurrentUser();
+    const timer = await findTimer(user, ref, true);
+
+    if (!timer) {
+        return { error: 'No timer running' };
+    }
+
+    if (!timer.pausedAt) {
+        return { error: 'Timer is not paused', timer };
+    }
+
+    const { pausedMinutes, totalPausedDuration } = await unpause(timer);
+
+    return {
+        resumed: true,
+        project: timer.projectId,
+        name: timer.name,
+        pausedMinutes,
+        totalPausedDuration,
+    };
+}
+
+/**
+ * Record that the user is active, keeping their running timers from looking idle
+ */
+export async function touchTimers(userId) {
+    await db
+        .update(timers)
+        .set({ lastActivityAt: new Date() })
+        .where(and(eq(timers.userId, userId), sql`${timers.pausedAt} IS NULL`));
+}
+
+/**
+ * Pause running timers that have been idle past the auto-pause cutoff.
+ * The pause starts at the last activity, so the idle time is not counted.
+ * @returns {Promise<Array>} Timers that were paused
+ */
+export async function sweepIdleTimers() {
+    if (!(TIMER_AUTOPAUSE_MINUTES > 0)) return [];
+
+    const cutoff = new Date(Date.now() - TIMER_AUTOPAUSE_MINUTES * 60000);
+    const idle = await db
+        .select()
+        .from(timers)
+        .where(and(
+            sql`${timers.pausedAt} IS NULL`,
+            lt(sql`coalesce(${timers.lastActivityAt}, ${timers.startedAt})`, cutoff)
+        ));
+
+    const now = new Date();
+    for (const timer of idle) {
+        await db
+            .update(timers)
+            .set({ pausedAt: timer.lastActivityAt || timer.startedAt, autoPausedAt: now })
+            .where(eq(timers.id, timer.id));
+    }
+
+    return idle.map(t => ({ id: t.id, userId: t.userId, projectId: t.projectId, name: t.name }));
+}
+
+/**
+ * Timer sessions that need a second look: flagged or auto-paused timers,
+ * and timer entries in the range longer than the maximum timer length
+ */
+export async function getSuspiciousSessions(userId = null, { from = null, to = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const user = userId || getCurrentUser();
+
+    const running = (await listTimers(user)).filter(t => t.suspicious || t.autoPaused);
+
+    let longEntries = [];
+    if (TIMER_MAX_MINUTES > 0) {
+        longEntries = await db
+            .select({
+                id: entries.id,
+                projectId: entries.projectId,
+                description: entries.description,
+                minutes: entries.minutes,
+                startedAt: entries.startedAt,
+                endedAt: entries.endedAt,
+                createdAt: entries.createdAt,
+            })
+            .from(entries)
+            .where(and(
+                ...entryConditions({ userId: user, from, to, timezone }),
+                eq(entries.type, 'timer'),
+                gt(entries.minutes, TIMER_MAX_MINUTES)
+            ))
+            .orderBy(entries.createdAt);
+    }
+
+    return {
+        timers: running,
+        entries: longEntries.map(e => ({ ...e, durationFormatted: formatDuration(e.minutes) })),
+    };
+}
+
+// ==================== TIMESHEET FUNCTIONS ====================
+
+// Monday of the week the date falls in for the user, if that week is approved (locked)
+async function lockedWeek(userId, date, executor = db) {
+    const timezone = await getUserTimezone(userId, executor);
+    const weekStart = startOfWeek(localDateString(date, timezone));
+
+    const [sheet] = await executor
+        .select({ id: timesheets.id })
+        .from(timesheets)
+        .where(and(
+            eq(timesheets.userId, userId),
+            eq(timesheets.weekStart, weekStart),
+            eq(timesheets.status, 'approved')
+        ))
+        .limit(1);
+
+    return sheet ? weekStart : null;
+}
+
+export async function getTimesheet(userId, weekStart) {
+    const [sheet] = await db
+        .select()
+        .from(timesheets)
+        .where(and(eq(timesheets.userId, userId), eq(timesheets.weekStart, weekStart)))
+        .limit(1);
+    return sheet || null;
+}
+
+/**
+ * Submit a week for approval. Rejected and reopened weeks can be submitted again.
+ * @param {string} weekStart - Monday of the week, YYYY-MM-DD
+ */
+export async function submitTimesheet(weekStart, userId = null, note = null) {
+    const user = userId || getCurrentUser();
+    const existing = await getTimesheet(user, weekStart);
+
+    if (existing?.status === 'approved') {
+        return { error: 'Week is already approved', timesheet: existing };
+    }
+    if (existing?.status === 'submitted') {
+        return { error: 'Week is already submitted', timesheet: existing };
+    }
+
+    const values = {
+        status: 'submitted',
+        note,
+        comment: null,
+        submittedAt: new Date(),
+        reviewedBy: null,
+        reviewedAt: null,
+    };
+
+    if (existing) {
+        await db.update(timesheets).set(values).where(eq(timesheets.id, existing.id));
+    } else {
+        await db.insert(timesheets).values({ id: generateId(), userId: user, weekStart, ...values });
+    }
+
+    const timezone = await getUserTimezone(user);
+    const report = await aggregateEntries({ userId: user, from: weekStart, to: addDays(weekStart, 6), timezone, groupBy: 'day' });
+
+    return { ...(await getTimesheet(user, weekStart)), report };
+}
+
+/**
+ * Approve or reject a submitted week
+ * @param {string} status - 'approved' or 'rejected'
+ */
+export async function reviewTimesheet(userId, weekStart, status, reviewerId, comment = null) {
+    const existing = await getTimesheet(userId, weekStart);
+
+    if (!existing) {
+        return { error: 'Week has not been submitted' };
+    }
+    if (existing.status !== 'submitted') {
+        return { error: `Week is ${existing.status}, not submitted`, timesheet: existing };
+    }
+
+    await db
+        .update(timesheets)
+        .set({ status, comment, reviewedBy: reviewerId, reviewedAt: new Date() })
+        .where(eq(timesheets.id, existing.id));
+
+    return getTimesheet(userId, weekStart);
+}
+
+/**
+ * Reopen an approved or rejected week so its entries can change again
+ */
+export async function reopenTimesheet(userId, weekStart, reviewerId, comment = null) {
+    const existing = await getTimesheet(userId, weekStart);
+
+    if (!existing || existing.status === 'open') {
+        return { error: 'Week is not submitted or approved' };
+    }
+
+    await db
+        .update(timesheets)
+        .set({ status: 'open', comment, reviewedBy: reviewerId, reviewedAt: new Date() })
+        .where(eq(timesheets.id, existing.id));
+
+    return getTimesheet(userId, weekStart);
+}
+
+/**
+ * Timesheets, newest week first
+ * @param {Object} options - userId (null for everyone), status
+ */
+export async function getTimesheets({ userId = null, status = null } = {}) {
+    const conditions = [];
+    if (userId) conditions.push(eq(timesheets.userId, userId));
+    if (status) conditions.push(eq(timesheets.status, status));
+
+    return db
+        .select({
+            id: timesheets.id,
+            userId: timesheets.userId,
+            username: users.username,
+            weekStart: timesheets.weekStart,
+            status: timesheets.status,
+            note: timesheets.note,
+            comment: timesheets.comment,
+            submittedAt: timesheets.submittedAt,
+            reviewedBy: timesheets.reviewedBy,
+            reviewedAt: timesheets.reviewedAt,
+        })
+        .from(timesheets)
+        .leftJoin(users, eq(timesheets.userId, users.id))
+        .where(conditions.length > 0 ? and(...conditions) : undefined)
+        .orderBy(desc(timesheets.weekStart), timesheets.userId);
+}
+
+// ==================== WORK SCHEDULE FUNCTIONS ====================
+
+/**
+ * Set a user's contracted minutes per weekday from a date on. Setting a
+ * schedule for a date that already has one replaces it.
+ * @param {string} userId
+ * @param {number[]} dailyMinutes - Seven numbers, Monday first
+ * @param {string|null} validFrom - YYYY-MM-DD, defaults to today in the user's timezone
+ */
+export async function setWorkSchedule(userId, dailyMinutes, validFrom = null) {
+    const from = validFrom || localDateString(new Date(), await getUserTimezone(userId));
+
+    await db
+        .insert(workSchedules)
+        .values({ id: generateId(), userId, validFrom: from, dailyMinutes, createdAt: new Date() })
+        .onConflictDoUpdate({
+            target: [workSchedules.userId, workSchedules.validFrom],
+            set: { dailyMinutes, createdAt: new Date() },
+        });
+
+    const [schedule] = await db
+        .select()
+        .from(workSchedules)
+        .where(and(eq(workSchedules.userId, userId), eq(workSchedules.validFrom, from)))
+        .limit(1);
+    return schedule;
+}
+
+// Oldest first
+export async function getWorkSchedules(userId) {
+    return db
+        .select()
+        .from(workSchedules)
+        .where(eq(workSchedules.userId, userId))
+        .orderBy(workSchedules.validFrom);
+}
+
+// Target minutes for a day under the schedule in force that day (schedules oldest first)
+function scheduledMinutes(schedules, day) {
+    const schedule = schedules.filter(s => s.validFrom <= day).pop();
+    if (!schedule) return 0;
+    const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return schedule.dailyMinutes[weekday] || 0;
+}
+
+// Logged minutes per local day: Map of YYYY-MM-DD to minutes
+async function minutesPerDay(userId, from, to, timezone) {
+    const day = localDate(entries.createdAt, timezone);
+    const rows = await db
+        .select({ day: sql`${day}::text`, minutes: sql`sum(${entries.minutes})`.mapWith(Number) })
+        .from(entries)
+        .where(and(eq(entries.userId, userId), sql`${day} >= ${from}`, sql`${day} <= ${to}`))
+        .groupBy(day);
+    return new Map(rows.map(r => [r.day, r.minutes]));
+}
+
+// Target minutes for each day from..to after leave and public holidays.
+// Without a schedule, Monday to Friday count as working days with no target.
+async function targetDays(userId, schedules, from, to) {
+    const absences = await getAbsences(userId, from, to);
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+        const scheduled = scheduledMinutes(schedules, day);
+        const absence = absences.get(day) || null;
+        const offMinutes = absence ? (absence.minutes ?? scheduled) : 0;
+        const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+        const workingDay = schedules.length > 0 ? scheduled > 0 : weekday >= 1 && weekday <= 5;
+        days.push({
+            date: day,
+            targetMinutes: Math.max(0, scheduled - offMinutes),
+            absence,
+            expected: workingDay && !(absence && absence.minutes === null),
+        });
+    }
+    return days;
+}
+
+// Target and logged minutes for each day from..to
+async function dailyBalance(userId, schedules, from, to, timezone) {
+    const logged = await minutesPerDay(userId, from, to, timezone);
+    return (await targetDays(userId, schedules, from, to)).map(day => {
+        const minutes = logged.get(day.date) || 0;
+        return { ...day, minutes, balanceMinutes: minutes - day.targetMinutes };
+    });
+}
+
+/**
+ * Target versus logged time for a period, and the running overtime balance
+ * since the user's first schedule. Days after today are left out.
+ * @param {string|null} userId
+ * @param {Object} options - from, to (YYYY-MM-DD, default: this week)
+ * @returns {Promise<Object>} Per-day figures, period totals and runningBalanceMinutes (positive is overtime)
+ */
+export async function getBalance(userId = null, { from = null, to = null } = {}) {
+    const user = userId || getCurrentUser();
+    const timezone = await getUserTimezone(user);
+    const today = localDateString(new Date(), timezone);
+    const schedules = await getWorkSchedules(user);
+
+    const start = from || startOfWeek(today);
+    const end = to && to < today ? to : today;
+    const days = start <= end ? await dailyBalance(user, schedules, start, end, timezone) : [];
+
+    const targetMinutes = days.reduce((sum, d) => sum + d.targetMinutes, 0);
+    const minutes = days.reduce((sum, d) => sum + d.minutes, 0);
+    const expectedDays = days.filter(d => d.expected).length;
+
+    let runningBalanceMinutes = 0;
+    const since = schedules[0]?.validFrom || null;
+    if (since && since <= today) {
+        const history = await dailyBalance(user, schedules, since, today, timezone);
+        runningBalanceMinutes = history.reduce((sum, d) => sum + d.balanceMinutes, 0);
+    }
+
+    return {
+        userId: user,
+        from: start,
+        to: end,
+        timezone,
+        schedule: schedules.filter(s => s.validFrom <= today).pop()?.dailyMinutes || null,
+        days,
+        targetMinutes,
+        minutes,
+        balanceMinutes: minutes - targetMinutes,
+        expectedDays,
+        absences: days.filter(d => d.absence).map(d => ({ date: d.date, ...d.absence })),
+        runningBalanceMinutes,
+        since,
+    };
+}
+
+/**
+ * Logged and billable time against each member's target for a period
+ * @param {Object} options - from, to (YYYY-MM-DD), timezone
+ * @returns {Promise<Object>} Members with utilisation (logged / target) and team totals
+ */
+export async function getTeamUtilisation({ from, to, timezone = DEFAULT_TIMEZONE }) {
+    const today = localDateString(new Date(), timezone);
+    const end = to && to < today ? to : today;
+
+    const report = await aggregateEntries({ from, to: end, timezone, groupBy: 'user' });
+    const logged = new Map(report.groups.map(g => [g.key, g]));
+
+    const members = [];
+    for (const user of await getUsers()) {
+        const schedules = await getWorkSchedules(user.id);
+        const days = await targetDays(user.id, schedules, from, end);
+        const targetMinutes = days.reduce((sum, d) => sum + d.targetMinutes, 0);
+        const group = logged.get(user.id);
+        if (!group && targetMinutes === 0) continue;
+
+        const minutes = group?.minutes || 0;
+        const billableMinutes = group ? group.entries.filter(e => e.billable).reduce((sum, e) => sum + e.minutes, 0) : 0;
+        members.push({
+            userId: user.id,
+            username: user.username,
+            targetMinutes,
+            minutes,
+            billableMinutes,
+            balanceMinutes: minutes - targetMinutes,
+            absentDays: days.filter(d => d.absence && d.absence.minutes === null && scheduledMinutes(schedules, d.date) > 0).length,
+            utilisation: targetMinutes > 0 ? minutes / targetMinutes : null,
+            billableUtilisation: targetMinutes > 0 ? billableMinutes / targetMinutes : null,
+        });
+    }
+
+    // Team figures only count members with a target
+    const scheduled = members.filter(m => m.targetMinutes > 0);
+    const total = (field) => scheduled.reduce((sum, m) => sum + m[field], 0);
+    const targetMinutes = total('targetMinutes');
+    return {
+        from,
+        to: end,
+        timezone,
+        members: members.sort((a, b) => (b.utilisation ?? -1) - (a.utilisation ?? -1)),
+        targetMinutes,
+        minutes: total('minutes'),
+        billableMinutes: total('billableMinutes'),
+        utilisation: targetMinutes > 0 ? total('minutes') / targetMinutes : null,
+        billableUtilisation: targetMinutes > 0 ? total('billableMinutes') / targetMinutes : null,
+    };
+}
+
+// ==================== LEAVE FUNCTIONS ====================
+
+export const LEAVE_TYPES = ['vacation', 'sick', 'holiday', 'other'];
+const DEFAULT_HOLIDAY_CALENDAR = 'team';
+
+// The user's first leave in the given statuses that shares a day with from..to
+async function overlappingLeave(userId, from, to, { statuses, excludeId = null }) {
+    const conditions = [
+        eq(leave.userId, userId),
+        inArray(leave.status, statuses),
+        sql`${leave.startDate} <= ${to}`,
+        sql`${leave.endDate} >= ${from}`,
+    ];
+    if (excludeId) conditions.push(ne(leave.id, excludeId));
+    const [overlap] = await db.select().from(leave).where(and(...conditions)).limit(1);
+    return overlap || null;
+}
+
+/**
+ * Request leave. Sick leave is approved straight away, other types wait for an admin.
+ * @param {string} userId
+ * @param {Object} request - type, from, to (YYYY-MM-DD, inclusive), minutes (per day, null for full days), note
+ */
+export async function requestLeave(userId, { type, from, to = null, minutes = null, note = null }) {
+    const endDate = to || from;
+    if (endDate < from) {
+        return { error: 'Leave must not end before it starts' };
+    }
+
+    const overlap = await overlappingLeave(userId, from, endDate, { statuses: ['requested', 'approved'] });
+    if (overlap) {
+        return { error: 'Overlaps other leave', overlap };
+    }
+
+    const id = generateId();
+    await db.insert(leave).values({
+        id,
+        userId,
+        type,
+        startDate: from,
+        endDate,
+        minutes,
+        note,
+        status: type === 'sick' ? 'approved' : 'requested',
+        createdAt: new Date(),
+    });
+
+    const [created] = await db.select().from(leave).where(eq(leave.id, id)).limit(1);
+    return created;
+}
+
+/**
+ * Approve or reject a pending leave request. Approving re-checks it against the user's approved leave.
+ * @param {string} leaveId
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {string} reviewerId
+ * @returns {Promise<Object|null>} The updated leave, { error } or null when not found
+ */
+export async function reviewLeave(leaveId, status, reviewerId) {
+    const [request] = await db.select().from(leave).where(eq(leave.id, leaveId)).limit(1);
+    if (!request) return null;
+    if (request.status !== 'requested') {
+        return { error: `Leave is already ${request.status}`, leave: request };
+    }
 
-        if (!clientSummary[clientId].projects[entry.projectId]) {
-            clientSummary[clientId].projects[entry.projectId] = {
-                projectName: entry.projectName,
-                hourlyRate: entry.hourlyRate || 0,
-                minutes: 0,
-            };
+    if (status === 'approved') {
+        const overlap = await overlappingLeave(request.userId, request.startDate, request.endDate, { statuses: ['approved'], excludeId: request.id });
+        if (overlap) {
+            return { error: 'Overlaps other leave', overlap };
         }
+    }
+
+    // Only a still pending request changes, in case it was reviewed meanwhile
+    const [reviewed] = await db
+        .update(leave)
+        .set({ status, reviewedBy: reviewerId, reviewedAt: new Date() })
+        .where(and(eq(leave.id, leaveId), eq(leave.status, 'requested')))
+        .returning({ id: leave.id });
+    if (!reviewed) {
+        return { error: 'Leave was reviewed meanwhile' };
+    }
 
-        clientSummary[clientId].minutes += entry.minutes;
-        clientSummary[clientId].projects[entry.projectId].minutes += entry.minutes;
+    const [updated] = await db.select().from(leave).where(eq(leave.id, leaveId)).limit(1);
+    return updated;
+}
 
-        const hours = entry.minutes / 60;
-        const value = hours * (entry.hourlyRate || 0);
-        clientSummary[clientId].value += value;
-        totalValue += value;
-        totalMinutes += entry.minutes;
+// Withdraw leave: the owner or an admin
+export async function cancelLeave(leaveId, actorId) {
+    const [request] = await db.select().from(leave).where(eq(leave.id, leaveId)).limit(1);
+    if (!request) return null;
+    if (request.userId !== actorId && !await isAdmin(actorId)) {
+        return { error: 'Leave belongs to another user', ownerId: request.userId };
     }
 
-    return {
-        totalMinutes,
-        totalFormatted: formatDuration(totalMinutes),
-        totalValue: totalValue.toFixed(2),
-        clients: Object.entries(clientSummary).map(([id, data]) => ({
-            clientId: id,
-            clientName: data.clientName,
-            minutes: data.minutes,
-            durationFormatted: formatDuration(data.minutes),
-            value: data.value,
-            valueFormatted: data.value.toFixed(2),
-            projects: Object.entries(data.projects).map(([pid, pdata]) => ({
-                projectId: pid,
-                projectName: pdata.projectName,
-                hourlyRate: pdata.hourlyRate,
-                minutes: pdata.minutes,
-                durationFormatted: formatDuration(pdata.minutes),
-                value: (pdata.minutes / 60) * pdata.hourlyRate,
-                valueFormatted: ((pdata.minutes / 60) * pdata.hourlyRate).toFixed(2),
-            })),
-        })),
-    };
+    await db.delete(leave).where(eq(leave.id, leaveId));
+    return request;
 }
 
-export async function getTeamTodaySummary() {
-    const today = new Date().toISOString().split('T')[0];
+/**
+ * Leave overlapping a period, newest first
+ * @param {Object} options - userId (null for the team), status, from, to
+ */
+export async function getLeave({ userId = null, status = null, from = null, to = null } = {}) {
+    const conditions = [];
+    if (userId) conditions.push(eq(leave.userId, userId));
+    if (status) conditions.push(eq(leave.status, status));
+    if (from) conditions.push(sql`${leave.endDate} >= ${from}`);
+    if (to) conditions.push(sql`${leave.startDate} <= ${to}`);
 
-    const result = await db
+    return db
         .select({
-            id: entries.id,
-            projectId: entries.projectId,
-            minutes: entries.minutes,
-            description: entries.description,
-            userId: entries.userId,
-            createdAt: entries.createdAt,
-            projectName: projects.name,
+            id: leave.id,
+            userId: leave.userId,
             username: users.username,
+            type: leave.type,
+            startDate: leave.startDate,
+            endDate: leave.endDate,
+            minutes: leave.minutes,
+            note: leave.note,
+            status: leave.status,
+            reviewedBy: leave.reviewedBy,
+            reviewedAt: leave.reviewedAt,
         })
-        .from(entries)
-        .innerJoin(projects, eq(entries.projectId, projects.id))
-        .leftJoin(users, eq(entries.userId, users.id))
-        .where(sql`date(${entries.createdAt}) = ${today}`)
-        .orderBy(desc(entries.createdAt));
+        .from(leave)
+        .leftJoin(users, eq(leave.userId, users.id))
+        .where(conditions.length > 0 ? and(...conditions) : undefined)
+        .orderBy(desc(leave.startDate));
+}
+
+/**
+ * Replace a calendar's holidays in the given years with imported ones
+ * @param {string} calendar - e.g. "team" or "nl"
+ * @param {{date: string, name: string}[]} list
+ * @returns {Promise<Object>} Number of holidays imported and the years covered
+ */
+export async function importHolidays(calendar, list) {
+    const name = (calendar || DEFAULT_HOLIDAY_CALENDAR).toLowerCase().trim();
+    const years = [...new Set(list.map(h => h.date.slice(0, 4)))].sort();
+
+    await db.transaction(async (tx) => {
+        for (const year of years) {
+            await tx.delete(holidays).where(and(
+                eq(holidays.calendar, name),
+                sql`${holidays.date} >= ${`${year}-01-01`}`,
+                sql`${holidays.date} <= ${`${year}-12-31`}`
+            ));
+        }
+        if (list.length > 0) {
+            await tx.insert(holidays).values(list.map(h => ({
+                id: generateId(),
+                calendar: name,
+                date: h.date,
+                name: h.name,
+                createdAt: new Date(),
+            })));
+        }
+    });
 
-    // Group by user, then by project
-    const userSummary = {};
-    let teamTotalMinutes = 0;
+    return { calendar: name, count: list.length, years };
+}
 
-    for (const entry of result) {
-        const userId = entry.userId || 'unknown';
-        const username = entry.username || userId;
+// Holidays of a calendar between from and to (inclusive), oldest first
+export async function getHolidays(calendar = null, { from = null, to = null } = {}) {
+    const conditions = [eq(holidays.calendar, calendar || DEFAULT_HOLIDAY_CALENDAR)];
+    if (from) conditions.push(sql`${holidays.date} >= ${from}`);
+    if (to) conditions.push(sql`${holidays.date} <= ${to}`);
+    return db.select().from(holidays).where(and(...conditions)).orderBy(holidays.date);
+}
 
-        if (!userSummary[userId]) {
-            userSummary[userId] = {
-                username,
-                totalMinutes: 0,
-                projects: {},
-            };
-        }
+export async function getHolidayCalendars() {
+    return db
+        .select({ calendar: holidays.calendar, count: sql`count(*)`.mapWith(Number) })
+        .from(holidays)
+        .groupBy(holidays.calendar)
+        .orderBy(holidays.calendar);
+}
 
-        if (!userSummary[userId].projects[entry.projectId]) {
-            userSummary[userId].projects[entry.projectId] = {
-                name: entry.projectName,
-                minutes: 0,
-            };
+export async function setHolidayCalendar(userId, calendar) {
+    await db
+        .update(users)
+        .set({ holidayCalendar: calendar ? calendar.toLowerCase().trim() : null })
+        .where(eq(users.id, userId));
+    const [user] = await db.select().from(users).where(eq(users.id, userId)).limit(1);
+    return user || null;
+}
+
+/**
+ * Days off for a user between from and to: public holidays of their calendar
+ * and approved leave. Holidays win over leave on the same day.
+ * @returns {Promise<Map<string, Object>>} YYYY-MM-DD to { type, name, minutes } (minutes null for a full day)
+ */
+export async function getAbsences(userId, from, to) {
+    const [user] = await db.select({ holidayCalendar: users.holidayCalendar }).from(users).where(eq(users.id, userId)).limit(1);
+    const absences = new Map();
+
+    const approved = await getLeave({ userId, status: 'approved', from, to });
+    for (const request of approved) {
+        const start = request.startDate > from ? request.startDate : from;
+        const end = request.endDate < to ? request.endDate : to;
+        for (let day = start; day <= end; day = addDays(day, 1)) {
+            absences.set(day, { type: request.type, name: request.note || request.type, minutes: request.minutes, leaveId: request.id });
         }
+    }
 
-        userSummary[userId].projects[entry.projectId].minutes += entry.minutes;
-        userSummary[userId].totalMinutes += entry.minutes;
-        teamTotalMinutes += entry.minutes;
+    for (const holiday of await getHolidays(user?.holidayCalendar, { from, to })) {
+        absences.set(holiday.date, { type: 'holiday', name: holiday.name || 'Public holiday', minutes: null });
     }
 
-    return {
-        date: today,
-        teamTotalMinutes,
-        teamTotalFormatted: formatDuration(teamTotalMinutes),
-        members: Object.entries(userSummary)
-            .sort((a, b) => b[1].totalMinutes - a[1].totalMinutes) // Sort by most time logged
-            .map(([userId, data]) => ({
-                userId,
-                username: data.username,
-                totalMinutes: data.totalMinutes,
-                totalFormatted: formatDuration(data.totalMinutes),
-                projects: Object.entries(data.projects)
-                    .sort((a, b) => b[1].minutes - a[1].minutes) // Sort by most time
-                    .map(([projectId, pdata]) => ({
-                        id: projectId,
-                        name: pdata.name,
-                        minutes: pdata.minutes,
-                        durationFormatted: formatDuration(pdata.minutes),
-                    })),
-            })),
-    };
+    return absences;
 }
 
-// ==================== TIMER FUNCTIONS ====================
+// ==================== TEMPLATE FUNCTIONS ====================
 
-export async function startTimer(projectName, description = '', userId = null) {
-    const project = await getOrCreateProject(projectName);
+// How far back missed recurring entries are filled in (e.g. after downtime)
+const RECURRENCE_CATCH_UP_DAYS = 31;
+
+function templateName(name) {
+    return name.toLowerCase().trim().replace(/\s+/g, '-');
+}
+
+export async function getTemplate(name, userId = null) {
     const user = userId || getCurrentUser();
+    const [template] = await db
+        .select()
+        .from(entryTemplates)
+        .where(and(eq(entryTemplates.userId, user), eq(entryTemplates.name, templateName(name))))
+        .limit(1);
+    return template || null;
+}
+
+export async function getTemplates(userId = null) {
+    const user = userId || getCurrentUser();
+    return db
+        .select()
+        .from(entryTemplates)
+        .where(eq(entryTemplates.userId, user))
+        .orderBy(entryTemplates.name);
+}
 
-    const [existing] = await db.select().from(activeTimer).where(eq(activeTimer.userId, user)).limit(1);
-    if (existing && existing.projectId) {
-        return { error: 'Timer already running', timer: existing };
+/**
+ * Save an entry template, optionally recurring
+ * @param {Object} options - billable, taskId, recurrence (canonical rule), startTime (HH:MM), autoCreate
+ */
+export async function createTemplate(name, projectName, description, minutes, options = {}, userId = null) {
+    const user = userId || getCurrentUser();
+    if (await getTemplate(name, user)) {
+        return { error: `Template "${templateName(name)}" already exists` };
     }
 
-    await db
-        .insert(activeTimer)
-        .values({
-            userId: user,
-            projectId: project.id,
-            description,
-            startedAt: new Date(),
-        })
-        .onConflictDoUpdate({
-            target: activeTimer.userId,
-            set: {
-                projectId: project.id,
-                description,
-                startedAt: new Date(),
-            },
-        });
+    const project = await getOrCreateProject(projectName);
+    const timezone = await getUserTimezone(user);
+    const id = generateId();
+
+    await db.insert(entryTemplates).values({
+        id,
+        userId: user,
+        name: templateName(name),
+        projectId: project.id,
+        description,
+        minutes,
+        billable: options.billable !== false,
+        taskId: options.taskId || null,
+        recurrence: options.recurrence || null,
+        startTime: options.startTime || null,
+        autoCreate: options.autoCreate === true,
+        // Recurrence starts today, not on past days
+        generatedUntil: addDays(localDateString(new Date(), timezone), -1),
+        createdAt: new Date(),
+    });
 
-    return { project: project.id, projectName: project.name, description, startedAt: new Date() };
+    const [template] = await db.select().from(entryTemplates).where(eq(entryTemplates.id, id)).limit(1);
+    return template;
 }
 
-export async function stopTimer(message = null, billable = true, userId = null) {
+export async function updateTemplate(name, updates, userId = null) {
     const user = userId || getCurrentUser();
-    const [timer] = await db.select().from(activeTimer).where(eq(activeTimer.userId, user)).limit(1);
+    const template = await getTemplate(name, user);
+    if (!template) return null;
 
-    if (!timer || !timer.projectId) {
-        return { error: 'No timer running' };
+    const setValues = {};
+    if (updates.project !== undefined) setValues.projectId = (await getOrCreateProject(updates.project)).id;
+    if (updates.description !== undefined) setValues.description = updates.description;
+    if (updates.minutes !== undefined) setValues.minutes = updates.minutes;
+    if (updates.billable !== undefined) setValues.billable = updates.billable;
+    if (updates.taskId !== undefined) setValues.taskId = updates.taskId;
+    if (updates.startTime !== undefined) setValues.startTime = updates.startTime;
+    if (updates.autoCreate !== undefined) setValues.autoCreate = updates.autoCreate;
+    if (updates.recurrence !== undefined) {
+        setValues.recurrence = updates.recurrence;
+        // A new rule applies from today
+        if (updates.recurrence && !template.recurrence) {
+            setValues.generatedUntil = addDays(localDateString(new Date(), await getUserTimezone(user)), -1);
+        }
     }
 
-    const startedAt = new Date(timer.startedAt);
-    let totalElapsed = Math.round((Date.now() - startedAt.getTime()) / 60000);
-
-    // If currently paused, add the current pause duration
-    let currentPauseMinutes = 0;
-    if (timer.pausedAt) {
-        currentPauseMinutes = Math.round((Date.now() - new Date(timer.pausedAt).getTime()) / 60000);
+    if (Object.keys(setValues).length > 0) {
+        await db.update(entryTemplates).set(setValues).where(eq(entryTemplates.id, template.id));
     }
 
-    // Subtract all paused time from total elapsed
-    const totalPausedMinutes = (timer.pausedDuration || 0) + currentPauseMinutes;
-    const minutes = Math.max(0, totalElapsed - totalPausedMinutes);
+    const [updated] = await db.select().from(entryTemplates).where(eq(entryTemplates.id, template.id)).limit(1);
+    return updated;
+}
+
+// Deleting a template also drops its pending drafts; logged entries stay
+export async function deleteTemplate(name, userId = null) {
+    const user = userId || getCurrentUser();
+    const template = await getTemplate(name, user);
+    if (!template) return null;
 
-    const entry = await addEntry(timer.projectId, minutes, message || timer.description || 'Timer session', 'timer', billable, null, user);
+    await db.delete(entryDrafts).where(eq(entryDrafts.templateId, template.id));
+    await db.delete(entryTemplates).where(eq(entryTemplates.id, template.id));
+    return template;
+}
 
-    await db.delete(activeTimer).where(eq(activeTimer.userId, user));
+// Log a template's entry on a day, at its start time if it has one
+async function logTemplateEntry(template, day, timezone) {
+    const options = { taskId: template.taskId };
+    if (template.startTime) {
+        const [hours, minutes] = template.startTime.split(':').map(Number);
+        options.startedAt = zonedTime(day, hours, minutes, 0, timezone);
+        options.endedAt = new Date(options.startedAt.getTime() + template.minutes * 60000);
+    }
+    return addEntry(template.projectId, template.minutes, template.description, 'template', template.billable, day, template.userId, options);
+}
 
-    return {
-        entry,
-        minutes,
-        duration: formatDuration(minutes),
-        startedAt: timer.startedAt,
-        pausedMinutes: totalPausedMinutes,
-    };
+/**
+ * Create the drafts (or, with autoCreate, the entries) recurring templates are
+ * due for, up to today. A template with a start time is due once that time has passed.
+ * An entry that cannot be logged, say in a locked week, becomes a draft for that day instead.
+ * @param {string|null} userId - One user, or null for everyone
+ * @returns {Promise<Object>} Counts of drafts and entries created, and entries that could not be logged
+ */
+export async function generateRecurringEntries(userId = null) {
+    const conditions = [sql`${entryTemplates.recurrence} IS NOT NULL`];
+    if (userId) conditions.push(eq(entryTemplates.userId, userId));
+    const templates = await db.select().from(entryTemplates).where(and(...conditions));
+
+    const result = { drafts: 0, entries: 0, failed: [] };
+    const now = new Date();
+
+    for (const template of templates) {
+        const timezone = await getUserTimezone(template.userId);
+        const today = localDateString(now, timezone);
+        const oldest = addDays(today, -RECURRENCE_CATCH_UP_DAYS);
+        let day = template.generatedUntil ? addDays(template.generatedUntil, 1) : today;
+        if (day < oldest) day = oldest;
+
+        // Days already due; a start time later today waits for the next run
+        const due = [];
+        for (; day <= today; day = addDays(day, 1)) {
+            if (day === today && template.startTime) {
+                const [hours, minutes] = template.startTime.split(':').map(Number);
+                if (zonedTime(day, hours, minutes, 0, timezone) > now) break;
+            }
+            due.push(day);
+        }
+        if (due.length === 0) continue;
+        const until = due[due.length - 1];
+
+        // Claim the days first, so the sweep and a user's own call never log them both
+        const claimed = await db
+            .update(entryTemplates)
+            .set({ generatedUntil: until })
+            .where(and(
+                eq(entryTemplates.id, template.id),
+                template.generatedUntil ? eq(entryTemplates.generatedUntil, template.generatedUntil) : sql`${entryTemplates.generatedUntil} IS NULL`
+            ))
+            .returning({ id: entryTemplates.id });
+        if (claimed.length === 0) continue;
+
+        for (const day of due) {
+            if (!occursOn(template.recurrence, day)) continue;
+
+            if (template.autoCreate) {
+                const entry = await logTemplateEntry(template, day, timezone);
+                if (!entry.error) {
+                    result.entries++;
+                    continue;
+                }
+                // Retrying would fail the same way on every run; the user confirms or dismisses the draft
+                result.failed.push({ template: template.name, userId: template.userId, day, error: entry.error });
+            }
+
+            const inserted = await db
+                .insert(entryDrafts)
+                .values({ id: generateId(), templateId: template.id, userId: template.userId, day, createdAt: now })
+                .onConflictDoNothing()
+                .returning({ id: entryDrafts.id });
+            result.drafts += inserted.length;
+        }
+    }
+
+    return result;
 }
 
-export async function getActiveTimer(userId = null) {
+// Pending drafts with their template's values, oldest first
+export async function getDrafts(userId = null) {
     const user = userId || getCurrentUser();
-
-    const result = await db
+    return db
         .select({
-            userId: activeTimer.userId,
-            projectId: activeTimer.projectId,
-            description: activeTimer.description,
-            startedAt: activeTimer.startedAt,
-            pausedAt: activeTimer.pausedAt,
-            pausedDuration: activeTimer.pausedDuration,
-            projectName: projects.name,
+            id: entryDrafts.id,
+            day: entryDrafts.day,
+            templateId: entryTemplates.id,
+            template: entryTemplates.name,
+            projectId: entryTemplates.projectId,
+            description: entryTemplates.description,
+            minutes: entryTemplates.minutes,
+            billable: entryTemplates.billable,
+            startTime: entryTemplates.startTime,
         })
-        .from(activeTimer)
-        .leftJoin(projects, eq(activeTimer.projectId, projects.id))
-        .where(eq(activeTimer.userId, user))
-        .limit(1);
-
-    const [timer] = result;
-    if (!timer || !timer.projectId) return null;
+        .from(entryDrafts)
+        .innerJoin(entryTemplates, eq(entryDrafts.templateId, entryTemplates.id))
+        .where(eq(entryDrafts.userId, user))
+        .orderBy(entryDrafts.day, entryTemplates.name);
+}
 
-    const startedAt = new Date(timer.startedAt);
-    const totalElapsed = Math.round((Date.now() - startedAt.getTime()) / 60000);
+// The user's drafts with the given IDs, or all of them
+async function selectDrafts(draftIds, user) {
+    const conditions = [eq(entryDrafts.userId, user)];
+    if (draftIds) conditions.push(inArray(entryDrafts.id, draftIds));
+    return db
+        .select({ draft: entryDrafts, template: entryTemplates })
+        .from(entryDrafts)
+        .innerJoin(entryTemplates, eq(entryDrafts.templateId, entryTemplates.id))
+        .where(and(...conditions))
+        .orderBy(entryDrafts.day);
+}
 
-    // Calculate effective running time (excluding pauses)
-    let currentPauseMinutes = 0;
-    if (timer.pausedAt) {
-        currentPauseMinutes = Math.round((Date.now() - new Date(timer.pausedAt).getTime()) / 60000);
+/**
+ * Log drafts as entries. Drafts that cannot be logged (locked week, rejected overlap) are kept.
+ * @param {string[]|null} draftIds - Drafts to confirm, or null for all pending drafts
+ * @returns {Promise<Object>} created entries and failed drafts with their error
+ */
+export async function confirmDrafts(draftIds = null, userId = null) {
+    const user = userId || getCurrentUser();
+    const timezone = await getUserTimezone(user);
+    const result = { created: [], failed: [] };
+
+    for (const { draft, template } of await selectDrafts(draftIds, user)) {
+        const entry = await logTemplateEntry(template, draft.day, timezone);
+        if (entry.error) {
+            result.failed.push({ id: draft.id, day: draft.day, template: template.name, ...entry });
+            continue;
+        }
+        await db.delete(entryDrafts).where(eq(entryDrafts.id, draft.id));
+        result.created.push({ ...entry, template: template.name, day: draft.day });
     }
-    const totalPausedMinutes = (timer.pausedDuration || 0) + currentPauseMinutes;
-    const effectiveMinutes = Math.max(0, totalElapsed - totalPausedMinutes);
 
-    return {
-        project: timer.projectId,
-        projectName: timer.projectName,
-        description: timer.description,
-        startedAt: timer.startedAt,
-        isPaused: !!timer.pausedAt,
-        pausedAt: timer.pausedAt,
-        pausedDuration: timer.pausedDuration || 0,
-        currentPauseMinutes,
-        totalPausedMinutes,
-        runningMinutes: effectiveMinutes,
-        runningFormatted: formatDuration(effectiveMinutes),
-        elapsedFormatted: formatDuration(effectiveMinutes),
-    };
+    return result;
 }
 
-export async function cancelTimer(userId = null) {
+export async function dismissDrafts(draftIds = null, userId = null) {
     const user = userId || getCurrentUser();
-    const [timer] = await db.select().from(activeTimer).where(eq(activeTimer.userId, user)).limit(1);
+    const drafts = await selectDrafts(draftIds, user);
+    for (const { draft } of drafts) {
+        await db.delete(entryDrafts).where(eq(entryDrafts.id, draft.id));
+    }
+    return drafts.map(({ draft, template }) => ({ id: draft.id, day: draft.day, template: template.name }));
+}
 
-    if (!timer || !timer.projectId) {
-        return { error: 'No timer running' };
+// ==================== INVOICE FUNCTIONS ====================
+
+export const INVOICE_STATUSES = ['draft', 'sent', 'paid', 'void'];
+
+// Status changes an invoice allows; voiding un-bills its entries
+const INVOICE_TRANSITIONS = { draft: ['sent', 'void'], sent: ['paid', 'void'], paid: [], void: [] };
+
+// Find a client by id or (partial) name
+export async function findClient(clientName) {
+    const id = clientName.toLowerCase().trim().replace(/\s+/g, '-');
+    const [client] = await db
+        .select()
+        .from(clients)
+        .where(or(eq(clients.id, id), ilike(clients.name, `%${clientName}%`)))
+        .orderBy(sql`${clients.id} = ${id} desc`)
+        .limit(1);
+    return client || null;
+}
+
+// Invoice lines for a list of entries, one per project or per task (untasked time per project)
+async function invoiceLinesFor(list, grouping) {
+    const lines = new Map();
+    for (const entry of list) {
+        const taskId = grouping === 'task' ? entry.taskId || null : null;
+        const key = `${entry.projectId}:${taskId || ''}`;
+        if (!lines.has(key)) {
+            lines.set(key, {
+                projectId: entry.projectId,
+                projectName: entry.projectName,
+                taskId,
+                minutes: 0,
+                entryCount: 0,
+                rate: entry.hourlyRate || 0,
+                vatCategory: entry.vatCategory,
+                vatRate: entry.vatRate,
+            });
+        }
+        const line = lines.get(key);
+        line.minutes += entry.billableMinutes;
+        line.entryCount++;
     }
 
-    await db.delete(activeTimer).where(eq(activeTimer.userId, user));
+    const taskIds = [...new Set([...lines.values()].map(l => l.taskId).filter(Boolean))];
+    const titles = new Map(taskIds.length > 0
+        ? (await db.select({ id: tasks.id, title: tasks.title }).from(tasks).where(inArray(tasks.id, taskIds))).map(t => [t.id, t.title])
+        : []);
+
+    return [...lines.values()]
+        .sort((a, b) => a.projectName.localeCompare(b.projectName) || (a.taskId ? 1 : 0) - (b.taskId ? 1 : 0))
+        .map(({ projectName, ...line }, i) => ({
+            ...line,
+            position: i + 1,
+            description: line.taskId ? `${projectName}: ${titles.get(line.taskId) || line.taskId}` : projectName,
+            amount: roundAmount((line.minutes / 60) * line.rate),
+        }));
+}
 
-    return { cancelled: true, project: timer.projectId };
+// Net, VAT per category and rate, and gross of invoice lines in the invoice's currency
+function invoiceTotals(lines, currency) {
+    const [totals] = taxTotals(lines.map(line => ({ currency, vatCategory: line.vatCategory, vatRate: line.vatRate, net: line.amount })));
+    return totals || { currency, net: 0, vat: 0, gross: 0, taxes: [] };
 }
 
-export async function pauseTimer(userId = null) {
-    const user = userId || getCurrentUser();
-    const [timer] = await db.select().from(activeTimer).where(eq(activeTimer.userId, user)).limit(1);
+/**
+ * Invoice a client's unbilled, billable time. The entries are marked billed and
+ * linked to the invoice, which starts as a draft with the next number of the year.
+ * @param {string} clientName - Client id or name
+ * @param {Object} options - from, to (YYYY-MM-DD, default all unbilled time up to today),
+ *   grouping ('project' or 'task'), userId (null for the whole team; members can only invoice their own time),
+ *   currency (required when the client's projects bill in several currencies),
+ *   notes, buyerReference (the client's PO or reference), actorId, dryRun (only compute the lines)
+ * @returns {Promise<Object>} Invoice with lines, or { error }
+ */
+export async function createInvoice(clientName, options = {}) {
+    const actor = options.actorId || getCurrentUser();
+    const userId = options.userId === undefined ? actor : options.userId;
+    if (userId !== actor && !await isAdmin(actor)) {
+        return { error: 'Only admins can invoice other users\' time' };
+    }
+    const grouping = options.grouping === 'task' ? 'task' : 'project';
 
-    if (!timer || !timer.projectId) {
-        return { error: 'No timer running' };
+    const client = await findClient(clientName);
+    if (!client) return { error: `Client not found: ${clientName}` };
+
+    const timezone = await getUserTimezone(actor);
+    const today = localDateString(new Date(), timezone);
+    const report = await aggregateEntries({
+        userId,
+        client: client.id,
+        from: options.from || null,
+        to: options.to || today,
+        timezone,
+        billable: true,
+        billed: false,
+        groupBy: 'project',
+    });
+    // The client filter also matches similar names
+    const unbilled = report.groups.flatMap(g => g.entries).filter(e => e.clientId === client.id);
+    if (unbilled.length === 0) return { error: `No unbilled time for ${client.name}` };
+
+    // An invoice is in one currency
+    const currencies = [...new Set(unbilled.map(e => e.currency))].sort();
+    const currency = options.currency ? options.currency.toUpperCase() : currencies.length === 1 ? currencies[0] : null;
+    if (!currency) {
+        return { error: `${client.name} has unbilled time in ${currencies.join(' and ')}; invoice one currency at a time`, currencies };
     }
+    const list = unbilled.filter(e => e.currency === currency);
+    if (list.length === 0) return { error: `No unbilled time for ${client.name} in ${currency}`, currencies };
+
+    const days = list.map(e => localDateString(e.createdAt, timezone)).sort();
+    const lines = await invoiceLinesFor(list, grouping);
+    const totals = invoiceTotals(lines, currency);
+    const invoice = {
+        clientId: client.id,
+        clientName: client.name,
+        periodFrom: options.from || days[0],
+        periodTo: options.to || days[days.length - 1],
+        grouping,
+        status: 'draft',
+        currency,
+        subtotal: totals.net,
+        vatAmount: totals.vat,
+        total: totals.gross,
+        notes: options.notes || null,
+        buyerReference: options.buyerReference || null,
+        issuedOn: today,
+        createdBy: actor,
+        entryCount: list.length,
+        minutes: lines.reduce((sum, l) => sum + l.minutes, 0),
+        taxes: totals.taxes,
+        lines,
+    };
+    if (options.dryRun) return { ...invoice, dryRun: true };
 
-    if (timer.pausedAt) {
-        return { error: 'Timer already paused', timer };
+    const id = generateId();
+    const year = Number(today.slice(0, 4));
+    let saved;
+    try {
+        saved = await db.transaction(async (tx) => {
+            // Entries another invoice took since they were read drop out of the WHERE
+            const ids = list.map(e => e.id);
+            const current = await tx
+                .select()
+                .from(entries)
+                .where(and(inArray(entries.id, ids), eq(entries.billed, false), sql`${entries.invoiceId} IS NULL`))
+                .for('update');
+            if (current.length !== ids.length) tx.rollback();
+
+            // Serializes numbering within the year; released at commit
+            await tx.execute(sql`select pg_advisory_xact_lock(hashtext('calq-invoice-number'), ${year})`);
+            const [{ last }] = await tx
+                .select({ last: sql`coalesce(max(${invoices.sequence}), 0)`.mapWith(Number) })
+                .from(invoices)
+                .where(eq(invoices.year, year));
+            const sequence = last + 1;
+            const number = `${year}-${String(sequence).padStart(4, '0')}`;
+
+            const { clientName: _clientName, entryCount: _entryCount, minutes: _minutes, taxes: _taxes, lines: _lines, ...values } = invoice;
+            await tx.insert(invoices).values({ id, number, year, sequence, ...values });
+            await tx.insert(invoiceLines).values(lines.map(line => ({ id: generateId(), invoiceId: id, ...line })));
+
+            for (const before of current) {
+                await tx.update(entries).set({ billed: true, invoiceId: id }).where(eq(entries.id, before.id));
+                await recordHistory(before.id, 'edit', before, { ...before, billed: true, invoiceId: id }, actor, tx);
+            }
+            return { id, number, year, sequence };
+        });
+    } catch (err) {
+        if (err instanceof TransactionRollbackError) {
+            return { error: `Some of ${client.name}'s time was billed while the invoice was being made; try again` };
+        }
+        throw err;
     }
 
-    await db
-        .update(activeTimer)
-        .set({ pausedAt: new Date() })
-        .where(eq(activeTimer.userId, user));
+    return { ...invoice, ...saved, dryRun: false };
+}
 
-    const startedAt = new Date(timer.startedAt);
-    const runningMinutes = Math.round((Date.now() - startedAt.getTime()) / 60000) - (timer.pausedDuration || 0);
+/**
+ * Invoice with its lines, VAT breakdown and client (with address)
+ * @param {string} ref - Invoice id or number ("2026-0007")
+ * @returns {Promise<Object|null>}
+ */
+export async function getInvoice(ref) {
+    const [invoice] = await db
+        .select({ invoice: invoices, client: clients })
+        .from(invoices)
+        .leftJoin(clients, eq(invoices.clientId, clients.id))
+        .where(or(eq(invoices.id, ref), eq(invoices.number, ref)))
+        .limit(1);
+    if (!invoice) return null;
+
+    const lines = await db
+        .select()
+        .from(invoiceLines)
+        .where(eq(invoiceLines.invoiceId, invoice.invoice.id))
+        .orderBy(invoiceLines.position);
+    const totals = invoiceTotals(lines, invoice.invoice.currency);
+    const [{ entryCount }] = await db
+        .select({ entryCount: sql`count(*)`.mapWith(Number) })
+        .from(entries)
+        .where(eq(entries.invoiceId, invoice.invoice.id));
 
     return {
-        paused: true,
-        project: timer.projectId,
-        runningMinutes,
-        runningFormatted: formatDuration(runningMinutes),
+        ...invoice.invoice,
+        taxes: totals.taxes,
+        clientName: invoice.client?.name || null,
+        client: invoice.client,
+        lines,
+        entryCount,
+        minutes: lines.reduce((sum, l) => sum + l.minutes, 0),
     };
 }
 
-export async function resumeTimer(userId = null) {
-    const user = userId || getCurrentUser();
-    const [timer] = await db.select().from(activeTimer).where(eq(activeTimer.userId, user)).limit(1);
+// Admins see every invoice; members the ones they made or that bill their time
+export async function canViewInvoice(invoice, userId) {
+    if (invoice.createdBy === userId || await isAdmin(userId)) return true;
+    const [own] = await db
+        .select({ id: entries.id })
+        .from(entries)
+        .where(and(eq(entries.invoiceId, invoice.id), eq(entries.userId, userId)))
+        .limit(1);
+    return !!own;
+}
 
-    if (!timer || !timer.projectId) {
-        return { error: 'No timer running' };
+// Invoices, newest first, optionally by status, client (id or name) and year;
+// with a viewerId only those that user may see
+export async function getInvoices({ status = null, client = null, year = null, viewerId = null } = {}) {
+    const conditions = [];
+    if (viewerId && !await isAdmin(viewerId)) {
+        conditions.push(or(
+            eq(invoices.createdBy, viewerId),
+            inArray(invoices.id, db.select({ id: entries.invoiceId }).from(entries).where(eq(entries.userId, viewerId)))
+        ));
+    }
+    if (status) conditions.push(eq(invoices.status, status));
+    if (year) conditions.push(eq(invoices.year, year));
+    if (client) {
+        conditions.push(or(
+            eq(clients.id, client.toLowerCase().trim().replace(/\s+/g, '-')),
+            ilike(clients.name, `%${client}%`)
+        ));
     }
 
-    if (!timer.pausedAt) {
-        return { error: 'Timer is not paused', timer };
+    const rows = await db
+        .select({ invoice: invoices, clientName: clients.name })
+        .from(invoices)
+        .leftJoin(clients, eq(invoices.clientId, clients.id))
+        .where(conditions.length > 0 ? and(...conditions) : undefined)
+        .orderBy(desc(invoices.year), desc(invoices.sequence));
+
+    return rows.map(r => ({ ...r.invoice, clientName: r.clientName }));
+}
+
+/**
+ * Move an invoice to sent, paid or void. Voiding un-bills its entries and unlinks
+ * them so they can be invoiced again; the number stays taken.
+ * @param {string} ref - Invoice id or number
+ * @param {string} status - sent, paid or void
+ * @param {string} actorId - Creator of the invoice or an admin
+ * @returns {Promise<Object>} Updated invoice, or { error }
+ */
+export async function setInvoiceStatus(ref, status, actorId = null) {
+    const actor = actorId || getCurrentUser();
+    const invoice = await getInvoice(ref);
+    if (!invoice) return { error: `Invoice not found: ${ref}` };
+    if (invoice.createdBy !== actor && !await isAdmin(actor)) {
+        return { error: 'Only the invoice\'s creator or an admin can change it' };
+    }
+    if (!INVOICE_TRANSITIONS[invoice.status]?.includes(status)) {
+        return { error: `A ${invoice.status} invoice cannot be marked ${status}`, invoice };
     }
 
-    // Calculate how long it was paused
-    const pausedAt = new Date(timer.pausedAt);
-    const pausedMinutes = Math.round((Date.now() - pausedAt.getTime()) / 60000);
-    const totalPausedDuration = (timer.pausedDuration || 0) + pausedMinutes;
+    const stamp = { sent: 'sentAt', paid: 'paidAt', void: 'voidedAt' }[status];
+    let released = 0;
+    await db.transaction(async (tx) => {
+        await tx.update(invoices).set({ status, [stamp]: new Date() }).where(eq(invoices.id, invoice.id));
+
+        if (status === 'void') {
+            const billed = await tx.select().from(entries).where(eq(entries.invoiceId, invoice.id));
+            for (const entry of billed) {
+                await tx.update(entries).set({ billed: false, invoiceId: null }).where(eq(entries.id, entry.id));
+                await recordHistory(entry.id, 'edit', entry, { ...entry, billed: false, invoiceId: null }, actor, tx);
+            }
+            released = billed.length;
+        }
+    });
+
+    return { ...await getInvoice(invoice.id), released };
+}
+
+// ==================== EXCHANGE RATE FUNCTIONS ====================
+
+/**
+ * Set the rate of a currency against the base currency (CALQ_CURRENCY) from a date on.
+ * Setting a rate for a date that already has one replaces it.
+ * @param {string} currency - ISO 4217 code, e.g. 'USD'
+ * @param {number} rate - Value of one unit in the base currency
+ * @param {string|null} validFrom - YYYY-MM-DD, defaults to today
+ * @param {string} actorId - Must be an admin
+ * @returns {Promise<Object>} The rate, or { error }
+ */
+export async function setExchangeRate(currency, rate, validFrom = null, actorId = null) {
+    const actor = actorId || getCurrentUser();
+    if (!await isAdmin(actor)) return { error: 'Only admins can set exchange rates' };
+
+    const code = String(currency || '').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) return { error: `Not a currency code: ${currency}` };
+    if (code === DEFAULT_CURRENCY) return { error: `${code} is the base currency` };
+    if (!(rate > 0)) return { error: 'The rate must be above 0' };
+    const from = validFrom || localDateString(new Date(), await getUserTimezone(actor));
 
     await db
-        .update(activeTimer)
-        .set({
-            pausedAt: null,
-            pausedDuration: totalPausedDuration,
-        })
-        .where(eq(activeTimer.userId, user));
+        .insert(exchangeRates)
+        .values({ id: generateId(), currency: code, rate, validFrom: from, createdBy: actor, createdAt: new Date() })
+        .onConflictDoUpdate({
+            target: [exchangeRates.currency, exchangeRates.validFrom],
+            set: { rate, createdBy: actor, createdAt: new Date() },
+        });
+
+    const [saved] = await db
+        .select()
+        .from(exchangeRates)
+        .where(and(eq(exchangeRates.currency, code), eq(exchangeRates.validFrom, from)))
+        .limit(1);
+    return saved;
+}
+
+// Exchange rates by currency, newest first
+export async function getExchangeRates(currency = null) {
+    return db
+        .select()
+        .from(exchangeRates)
+        .where(currency ? eq(exchangeRates.currency, currency.toUpperCase()) : undefined)
+        .orderBy(exchangeRates.currency, desc(exchangeRates.validFrom));
+}
+
+// Remove the rate a currency got on a date; admins only
+export async function deleteExchangeRate(currency, validFrom, actorId = null) {
+    const actor = actorId || getCurrentUser();
+    if (!await isAdmin(actor)) return { error: 'Only admins can remove exchange rates' };
+
+    const [removed] = await db
+        .delete(exchangeRates)
+        .where(and(eq(exchangeRates.currency, String(currency).toUpperCase()), eq(exchangeRates.validFrom, validFrom)))
+        .returning();
+    return removed || null;
+}
+
+// Rate of a currency on a day: the latest one set on or before it
+export async function getExchangeRate(currency, on) {
+    const [rate] = await db
+        .select()
+        .from(exchangeRates)
+        .where(and(eq(exchangeRates.currency, currency), sql`${exchangeRates.validFrom} <= ${on}`))
+        .orderBy(desc(exchangeRates.validFrom))
+        .limit(1);
+    return rate || null;
+}
+
+/**
+ * Totals per currency as one total in the base currency (CALQ_CURRENCY).
+ * Currencies without a rate are left out and listed in missing.
+ * @param {Array<{currency: string, net: number, vat: number, gross: number}>} totals - From taxTotals
+ * @param {string|null} on - YYYY-MM-DD the rates apply to, defaults to today
+ * @returns {Promise<{currency: string, net: number, vat: number, gross: number, rates: Object[], missing: string[]}>}
+ */
+export async function convertTotals(totals, on = null) {
+    const day = on || localDateString(new Date(), DEFAULT_TIMEZONE);
+    const combined = { currency: DEFAULT_CURRENCY, net: 0, vat: 0, gross: 0, rates: [], missing: [] };
+
+    for (const total of totals) {
+        let rate = 1;
+        if (total.currency !== DEFAULT_CURRENCY) {
+            const found = await getExchangeRate(total.currency, day);
+            if (!found) {
+                combined.missing.push(total.currency);
+                continue;
+            }
+            rate = found.rate;
+            combined.rates.push({ currency: found.currency, rate: found.rate, validFrom: found.validFrom });
+        }
+        combined.net += total.net * rate;
+        combined.vat += total.vat * rate;
+        combined.gross += total.gross * rate;
+    }
 
     return {
-        resumed: true,
-        project: timer.projectId,
-        pausedMinutes,
-        totalPausedDuration,
+        ...combined,
+        net: roundAmount(combined.net),
+        vat: roundAmount(combined.vat),
+        gross: roundAmount(combined.gross),
     };
 }
 
 // ==================== CLIENT FUNCTIONS ====================
 
-export async function createClient(name, email = '', notes = '') {
+// Invoicing details of a client; undefined leaves a field alone, empty clears it
+function clientDetailValues(details = {}) {
+    const values = {};
+    for (const field of ['address', 'country', 'vatId', 'cocNumber', 'peppolId']) {
+        if (details[field] !== undefined) values[field] = details[field] ? String(details[field]).trim() : null;
+    }
+    if (values.country) values.country = values.country.toUpperCase();
+    if (values.vatId) values.vatId = values.vatId.replace(/[\s.]/g, '').toUpperCase();
+    return values;
+}
+
+export async function createClient(name, email = '', notes = '', rounding = {}, details = {}, tax = {}) {
     const id = name.toLowerCase().trim().replace(/\s+/g, '-');
 
     const [existing] = await db.select().from(clients).where(eq(clients.id, id)).limit(1);
@@ -776,6 +3526,9 @@ export async function createClient(name, email = '', notes = '') {
         name,
         email,
         notes,
+        ...roundingValues(rounding),
+        ...clientDetailValues(details),
+        ...taxValues(tax),
     });
 
     const [client] = await db.select().from(clients).where(eq(clients.id, id)).limit(1);
@@ -791,6 +3544,7 @@ export async function updateClient(clientId, updates) {
     if (updates.name !== undefined) setValues.name = updates.name;
     if (updates.email !== undefined) setValues.email = updates.email;
     if (updates.notes !== undefined) setValues.notes = updates.notes;
+    Object.assign(setValues, roundingValues(updates), clientDetailValues(updates), taxValues(updates));
 
     if (Object.keys(setValues).length > 0) {
         await db.update(clients).set(setValues).where(eq(clients.id, clientId));
@@ -922,6 +3676,7 @@ export async function updateUser(userId, updates) {
     if (updates.role !== undefined) setValues.role = updates.role;
     if (updates.lastLogin !== undefined) setValues.lastLogin = new Date(updates.lastLogin);
     if (updates.githubId !== undefined) setValues.githubId = updates.githubId;
+    if (updates.timezone !== undefined) setValues.timezone = updates.timezone;
 
     if (Object.keys(setValues).length > 0) {
         await db.update(users).set(setValues).where(eq(users.id, userId.toLowerCase()));
@@ -942,7 +3697,7 @@ export async function deleteUser(userId) {
 
 // ==================== TASK FUNCTIONS ====================
 
-export async function createTask(title, projectName = null, youtrackId = null, userId = null) {
+export async function createTask(title, projectName = null, youtrackId = null, userId = null, estimateMinutes = null) {
     const id = generateId();
     const user = userId || getCurrentUser();
 
@@ -959,6 +3714,7 @@ export async function createTask(title, projectName = null, youtrackId = null, u
         projectId,
         youtrackId,
         status: 'open',
+        estimateMinutes,
     });
 
     const [task] = await db.select().from(tasks).where(eq(tasks.id, id)).limit(1);
@@ -994,6 +3750,7 @@ export async function getTasks(options = {}) {
             projectId: tasks.projectId,
             youtrackId: tasks.youtrackId,
             status: tasks.status,
+            estimateMinutes: tasks.estimateMinutes,
             syncedAt: tasks.syncedAt,
             createdAt: tasks.createdAt,
             completedAt: tasks.completedAt,
@@ -1006,7 +3763,8 @@ export async function getTasks(options = {}) {
         .where(conditions.length > 0 ? and(...conditions) : undefined)
         .orderBy(desc(tasks.createdAt));
 
-    return result;
+    const actuals = await taskActuals(result.map(t => t.id));
+    return result.map(task => withActuals(task, actuals.get(task.id)));
 }
 
 export async function getTask(taskId) {
@@ -1019,6 +3777,7 @@ export async function getTask(taskId) {
             projectId: tasks.projectId,
             youtrackId: tasks.youtrackId,
             status: tasks.status,
+            estimateMinutes: tasks.estimateMinutes,
             syncedAt: tasks.syncedAt,
             createdAt: tasks.createdAt,
             completedAt: tasks.completedAt,
@@ -1031,7 +3790,110 @@ export async function getTask(taskId) {
         .where(eq(tasks.id, taskId))
         .limit(1);
 
-    return task || null;
+    if (!task) return null;
+    const actuals = await taskActuals([task.id]);
+    return withActuals(task, actuals.get(task.id));
+}
+
+// Tracked minutes per task, split by the users who logged them
+async function taskActuals(taskIds) {
+    const actuals = new Map();
+    if (taskIds.length === 0) return actuals;
+
+    const rows = await db
+        .select({
+            taskId: entries.taskId,
+            userId: entries.userId,
+            username: users.username,
+            minutes: sql`coalesce(sum(${entries.minutes}), 0)`.mapWith(Number),
+            entryCount: sql`count(*)`.mapWith(Number),
+        })
+        .from(entries)
+        .leftJoin(users, eq(entries.userId, users.id))
+        .where(inArray(entries.taskId, taskIds))
+        .groupBy(entries.taskId, entries.userId, users.username);
+
+    for (const row of rows) {
+        if (!actuals.has(row.taskId)) actuals.set(row.taskId, { minutes: 0, entryCount: 0, users: [] });
+        const actual = actuals.get(row.taskId);
+        actual.minutes += row.minutes;
+        actual.entryCount += row.entryCount;
+        actual.users.push({ userId: row.userId, username: row.username || row.userId, minutes: row.minutes });
+    }
+    return actuals;
+}
+
+// Actual time and variance against the estimate; variance is null without an estimate
+function withActuals(task, actual) {
+    const actualMinutes = actual?.minutes || 0;
+    const estimated = task.estimateMinutes > 0;
+    return {
+        ...task,
+        actualMinutes,
+        actualFormatted: formatDuration(actualMinutes),
+        entryCount: actual?.entryCount || 0,
+        actualByUser: (actual?.users || []).sort((a, b) => b.minutes - a.minutes),
+        varianceMinutes: estimated ? actualMinutes - task.estimateMinutes : null,
+        estimateRatio: estimated ? actualMinutes / task.estimateMinutes : null,
+    };
+}
+
+// Estimate and actual totals for a group of tasks
+function varianceGroup(key, label, taskList) {
+    const estimated = taskList.filter(t => t.estimateMinutes > 0);
+    const estimateMinutes = estimated.reduce((sum, t) => sum + t.estimateMinutes, 0);
+    const actualMinutes = estimated.reduce((sum, t) => sum + t.actualMinutes, 0);
+    return {
+        key,
+        label,
+        taskCount: taskList.length,
+        estimatedCount: estimated.length,
+        estimateMinutes,
+        actualMinutes,
+        varianceMinutes: estimated.length > 0 ? actualMinutes - estimateMinutes : null,
+        estimateRatio: estimateMinutes > 0 ? actualMinutes / estimateMinutes : null,
+        unestimatedMinutes: taskList.filter(t => !(t.estimateMinutes > 0)).reduce((sum, t) => sum + t.actualMinutes, 0),
+    };
+}
+
+/**
+ * Estimate versus actual time for the tasks getTasks returns, per task and rolled up
+ * by project and by the user who logged the time. Only estimated tasks count towards a
+ * variance; time on tasks without an estimate is reported as unestimatedMinutes.
+ * Per user, a task's estimate is split by each user's share of the time logged on it.
+ * @param {Object} options - Same filters as getTasks
+ * @returns {Promise<{tasks: Object[], totals: Object, byProject: Object[], byUser: Object[]}>}
+ */
+export async function getTaskVariance(options = {}) {
+    const taskList = await getTasks(options);
+
+    const rollup = (list, keyOf) => {
+        const groups = new Map();
+        for (const task of list) {
+            const [key, label] = keyOf(task);
+            if (!groups.has(key)) groups.set(key, { label, tasks: [] });
+            groups.get(key).tasks.push(task);
+        }
+        return [...groups.entries()]
+            .map(([key, g]) => varianceGroup(key, g.label, g.tasks))
+            .sort((a, b) => (b.actualMinutes + b.unestimatedMinutes) - (a.actualMinutes + a.unestimatedMinutes));
+    };
+
+    const shares = taskList.flatMap(task => task.actualByUser.map(u => ({
+        userId: u.userId,
+        username: u.username,
+        estimateMinutes: task.estimateMinutes > 0 && task.actualMinutes > 0
+            ? Math.round(task.estimateMinutes * u.minutes / task.actualMinutes)
+            : null,
+        actualMinutes: u.minutes,
+    })));
+
+    return {
+        tasks: taskList,
+        totals: varianceGroup('all', 'All tasks', taskList),
+        byProject: rollup(taskList, t => [t.projectId || 'no-project', t.projectName || 'No project']),
+        byUser: rollup(shares, t => [t.userId, t.username]),
+    };
 }
 
 export async function getTaskByYoutrackId(youtrackId) {
@@ -1075,6 +3937,7 @@ export async function updateTask(taskId, updates) {
     if (updates.status !== undefined) setValues.status = updates.status;
     if (updates.projectId !== undefined) setValues.projectId = updates.projectId;
     if (updates.youtrackId !== undefined) setValues.youtrackId = updates.youtrackId;
+    if (updates.estimateMinutes !== undefined) setValues.estimateMinutes = updates.estimateMinutes;
     if (updates.syncedAt !== undefined) setValues.syncedAt = updates.syncedAt;
     if (updates.completedAt !== undefined) setValues.completedAt = updates.completedAt;
 
@@ -1086,7 +3949,8 @@ export async function updateTask(taskId, updates) {
     return task;
 }
 
-export async function upsertTaskFromYouTrack(youtrackId, title, description, status, projectName = null, userId = null) {
+// A missing YouTrack estimate keeps the local one
+export async function upsertTaskFromYouTrack(youtrackId, title, description, status, projectName = null, userId = null, estimateMinutes = null) {
     // Resolve project name to project ID if provided
     let projectId = null;
     if (projectName) {
@@ -1103,6 +3967,7 @@ export async function upsertTaskFromYouTrack(youtrackId, title, description, sta
             description,
             status,
             projectId,
+            estimateMinutes: estimateMinutes ?? undefined,
             syncedAt: new Date(),
         });
     } else {
@@ -1118,6 +3983,7 @@ export async function upsertTaskFromYouTrack(youtrackId, title, description, sta
             projectId,
             youtrackId,
             status,
+            estimateMinutes,
             syncedAt: new Date(),
         });
 
@@ -0,0 +1,353 @@
+// UBL 2.1 e-invoices following Peppol BIS Billing 3.0, for clients that receive invoices over Peppol
+// Every document is validated before export, offline, against the artefacts in schemas/ (fetched with
+// `npm run schemas`): the OASIS UBL 2.1 XSD, then the EN 16931 and Peppol BIS 3.0 schematron rules.
+// Documents that fail, or that cannot be validated, are not exported.
+
+import { readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import xmllint from 'xmllint-wasm';
+import SaxonJS from 'saxon-js';
+import { getInvoice } from './storage.js';
+import { companyDetails, addressLines, paymentDueDate } from './documents.js';
+import { roundAmount } from './billing.js';
+
+const CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0';
+const PROFILE_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+
+// Exemption reasons (VATEX codes) the categories without VAT must state; exemptions name their own legal basis
+const EXEMPTIONS = {
+    E: { reason: 'Exempt from VAT' },
+    AE: { code: 'VATEX-EU-AE', reason: 'Reverse charge' },
+    G: { code: 'VATEX-EU-G', reason: 'Export outside the EU' },
+};
+
+const SCHEMAS_DIR = fileURLToPath(new URL('../schemas/', import.meta.url));
+const INVOICE_XSD = 'ubl-2.1/maindoc/UBL-Invoice-2.1.xsd';
+// Schematron rules compiled for SaxonJS, in the order the Peppol validator runs them
+const SCHEMATRONS = ['peppol/CEN-EN16931-UBL.sef.json', 'peppol/PEPPOL-EN16931-UBL.sef.json'];
+
+const NAMESPACES = {
+    xmlns: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+    'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+    'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+};
+
+// Peppol electronic address schemes (EAS) of Chamber of Commerce and VAT numbers per country
+const COC_SCHEMES = { NL: '0106', BE: '0208' };
+const VAT_SCHEMES = { NL: '9944', BE: '9925', DE: '9930', FR: '9957', LU: '9938', AT: '9914', ES: '9920', IE: '9935' };
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Element node; null or false children are left out
+function el(name, content, attrs = {}) {
+    return Array.isArray(content)
+        ? { name, attrs, children: content.filter(Boolean) }
+        : { name, attrs, text: String(content) };
+}
+
+// Element only when there is a value
+function opt(name, value, attrs = {}) {
+    return value === null || value === undefined || value === '' ? null : el(name, value, attrs);
+}
+
+// Peppol address of a party: the configured 'scheme:id', otherwise its CoC or VAT number
+function endpoint(party) {
+    const configured = party.peppolId?.match(/^(\d{4}):(.+)$/);
+    if (configured) return { scheme: configured[1], id: configured[2] };
+    if (party.cocNumber && COC_SCHEMES[party.country]) return { scheme: COC_SCHEMES[party.country], id: party.cocNumber.replace(/\D/g, '') };
+    if (party.vatId && VAT_SCHEMES[party.country]) return { scheme: VAT_SCHEMES[party.country], id: party.vatId };
+    return null;
+}
+
+// Street, postcode and city from address lines, e.g. "Keizersgracht 1" and "1015 CJ Amsterdam";
+// lines without a number before the street, like a company name, are left out
+const POSTCODE_CITY = /^(\d{4}\s?[A-Z]{2}|[A-Z]{1,2}-?\d{4,5}|\d{4,5})\s+(.+)$/i;
+
+function structuredAddress(lines, name) {
+    const rest = lines.filter(line => line !== name);
+    const cityIndex = rest.findIndex((line, i) => i > 0 && POSTCODE_CITY.test(line));
+    const cityLine = cityIndex > 0 ? rest[cityIndex].match(POSTCODE_CITY) : null;
+    let streetLines = cityIndex > 0 ? rest.slice(0, cityIndex) : rest.slice(0, Math.max(rest.length - 1, 1));
+    if (streetLines.some(line => /\d/.test(line))) {
+        streetLines = streetLines.slice(streetLines.findIndex(line => /\d/.test(line)));
+    }
+    return {
+        street: streetLines[0] || null,
+        additional: streetLines[1] || null,
+        postalZone: cityLine ? cityLine[1].toUpperCase() : null,
+        city: cityLine ? cityLine[2] : (rest.length > 1 ? rest[rest.length - 1] : null),
+    };
+}
+
+function partyNode(party) {
+    const address = structuredAddress(party.addressLines, party.name);
+    const electronicAddress = endpoint(party);
+    return el('cac:Party', [
+        electronicAddress && el('cbc:EndpointID', electronicAddress.id, { schemeID: electronicAddress.scheme }),
+        el('cac:PartyName', [el('cbc:Name', party.name)]),
+        el('cac:PostalAddress', [
+            opt('cbc:StreetName', address.street),
+            opt('cbc:AdditionalStreetName', address.additional),
+            opt('cbc:CityName', address.city),
+            opt('cbc:PostalZone', address.postalZone),
+            el('cac:Country', [opt('cbc:IdentificationCode', party.country)]),
+        ]),
+        party.vatId && el('cac:PartyTaxScheme', [el('cbc:CompanyID', party.vatId), el('cac:TaxScheme', [el('cbc:ID', 'VAT')])]),
+        el('cac:PartyLegalEntity', [
+            el('cbc:RegistrationName', party.name),
+            opt('cbc:CompanyID', party.cocNumber, COC_SCHEMES[party.country] ? { schemeID: COC_SCHEMES[party.country] } : {}),
+        ]),
+        party.email && el('cac:Contact', [el('cbc:ElectronicMail', party.email)]),
+    ]);
+}
+
+// Business rules the invoice data can break, with the rule ids of the Peppol validator
+function ruleErrors({ invoice, seller, buyer, lines, taxes }) {
+    const errors = [];
+    const check = (ok, rule, message) => {
+        if (!ok) errors.push({ rule, message });
+    };
+
+    check(invoice.status !== 'void', 'CALQ', 'Voided invoices cannot be sent');
+    check(seller.country && /^[A-Z]{2}$/.test(seller.country), 'BR-09', 'Set CALQ_COMPANY_COUNTRY to your 2-letter country code');
+    check(buyer.country, 'BR-11', `${buyer.name} has no country; set it with project_manage entity=client country=…`);
+    check(seller.vatId || seller.cocNumber, 'BR-CO-26', 'Set CALQ_COMPANY_VAT_ID or CALQ_COMPANY_COC');
+    for (const category of new Set(taxes.map(tax => tax.vatCategory))) {
+        check(seller.vatId, `BR-${category}-02`, 'Set your VAT number in CALQ_COMPANY_VAT_ID');
+    }
+    check(taxes.every(tax => tax.vatCategory !== 'S' || tax.vatRate > 0), 'BR-S-05', 'Standard rated work needs a VAT rate above 0; set vat_rate or CALQ_VAT_RATE');
+    if (taxes.some(tax => tax.vatCategory === 'AE')) {
+        check(buyer.vatId, 'BR-AE-02', `Reverse charge needs the VAT number of ${buyer.name}; set vat_id`);
+    }
+    for (const party of [seller, buyer]) {
+        if (party.vatId) check(/^[A-Z]{2}/.test(party.vatId), 'BR-CO-09', `VAT number ${party.vatId} of ${party.name} must start with its country code`);
+    }
+    check(endpoint(seller), 'PEPPOL-EN16931-R020', 'Set CALQ_COMPANY_PEPPOL_ID, or CALQ_COMPANY_COC or CALQ_COMPANY_VAT_ID for a country with a known Peppol scheme');
+    check(endpoint(buyer), 'PEPPOL-EN16931-R010', `${buyer.name} has no Peppol address; set peppol_id, or coc_number or vat_id with its country`);
+
+    const complete = (party) => {
+        const address = structuredAddress(party.addressLines, party.name);
+        return address.street && address.city && address.postalZone;
+    };
+    if (seller.country === 'NL') {
+        check(complete(seller), 'NL-R-002', 'CALQ_COMPANY_ADDRESS needs a street and a "postcode city" line');
+        check(seller.cocNumber, 'NL-R-003', 'Dutch suppliers need their KvK number in CALQ_COMPANY_COC');
+        check(seller.iban, 'NL-R-007', 'Dutch suppliers need a payment account in CALQ_COMPANY_IBAN');
+        if (buyer.country === 'NL') {
+            check(complete(buyer), 'NL-R-004', `The address of ${buyer.name} needs a street and a "postcode city" line`);
+            check(buyer.cocNumber, 'NL-R-005', `${buyer.name} needs its KvK number; set coc_number`);
+        }
+    }
+
+    check(lines.length > 0, 'BR-16', 'The invoice has no lines');
+    for (const line of lines) {
+        check(line.description, 'BR-25', `Line ${line.position} has no description`);
+        check(Math.abs(line.quantity * line.rate - line.amount) <= 0.02, 'PEPPOL-EN16931-R120', `Line ${line.position}: ${line.quantity} h × ${line.rate} does not give ${line.amount}`);
+    }
+    return errors;
+}
+
+/**
+ * UBL invoice tree for an invoice from getInvoice, with the problems its data has for Peppol
+ * @param {Object} invoice - Invoice with lines and client
+ * @param {Object} company - Seller details, defaults to the CALQ_COMPANY_* settings
+ * @returns {{tree: Object, problems: {rule: string, message: string}[]}}
+ */
+export function buildUblInvoice(invoice, company = companyDetails()) {
+    const currency = invoice.currency;
+    const client = invoice.client || {};
+    const seller = company;
+    const buyer = {
+        name: client.name || invoice.clientName || 'Unknown client',
+        addressLines: addressLines(client.address),
+        country: client.country || null,
+        email: client.email || null,
+        vatId: client.vatId || null,
+        cocNumber: client.cocNumber || null,
+        peppolId: client.peppolId || null,
+    };
+    // Hours with enough decimals that quantity × rate gives the line amount
+    const lines = invoice.lines.map(line => ({ ...line, quantity: round(line.minutes / 60, 4) }));
+    const net = roundAmount(invoice.subtotal);
+    const vat = roundAmount(invoice.vatAmount);
+
+    const amount = (name, value) => el(name, round(value).toFixed(2), { currencyID: currency });
+    // Lines only name the category and rate; the breakdown also gives the exemption reason
+    const taxCategory = (name, tax, exemption = null) => el(name, [
+        el('cbc:ID', tax.vatCategory),
+        el('cbc:Percent', String(tax.vatRate)),
+        exemption?.code && el('cbc:TaxExemptionReasonCode', exemption.code),
+        exemption?.reason && el('cbc:TaxExemptionReason', exemption.reason),
+        el('cac:TaxScheme', [el('cbc:ID', 'VAT')]),
+    ]);
+
+    const tree = el('Invoice', [
+        el('cbc:CustomizationID', CUSTOMIZATION_ID),
+        el('cbc:ProfileID', PROFILE_ID),
+        el('cbc:ID', invoice.number),
+        el('cbc:IssueDate', invoice.issuedOn),
+        el('cbc:DueDate', paymentDueDate(invoice.issuedOn)),
+        el('cbc:InvoiceTypeCode', '380'),
+        opt('cbc:Note', invoice.notes),
+        el('cbc:DocumentCurrencyCode', currency),
+        // Peppol needs a buyer or order reference; the invoice number stands in without one
+        el('cbc:BuyerReference', invoice.buyerReference || invoice.number),
+        (invoice.periodFrom || invoice.periodTo) && el('cac:InvoicePeriod', [
+            opt('cbc:StartDate', invoice.periodFrom),
+            opt('cbc:EndDate', invoice.periodTo),
+        ]),
+        el('cac:AccountingSupplierParty', [partyNode(seller)]),
+        el('cac:AccountingCustomerParty', [partyNode(buyer)]),
+        // 58: SEPA credit transfer
+        seller.iban && el('cac:PaymentMeans', [
+            el('cbc:PaymentMeansCode', '58'),
+            el('cbc:PaymentID', invoice.number),
+            el('cac:PayeeFinancialAccount', [el('cbc:ID', seller.iban), el('cbc:Name', seller.name)]),
+        ]),
+        el('cac:TaxTotal', [
+            amount('cbc:TaxAmount', vat),
+            ...invoice.taxes.map(tax => el('cac:TaxSubtotal', [
+                amount('cbc:TaxableAmount', tax.net),
+                amount('cbc:TaxAmount', tax.vat),
+                taxCategory('cac:TaxCategory', tax, EXEMPTIONS[tax.vatCategory]),
+            ])),
+        ]),
+        el('cac:LegalMonetaryTotal', [
+            amount('cbc:LineExtensionAmount', net),
+            amount('cbc:TaxExclusiveAmount', net),
+            amount('cbc:TaxInclusiveAmount', invoice.total),
+            amount('cbc:PayableAmount', invoice.total),
+        ]),
+        ...lines.map(line => el('cac:InvoiceLine', [
+            el('cbc:ID', String(line.position)),
+            // HUR: hours in UN/ECE recommendation 20
+            el('cbc:InvoicedQuantity', String(line.quantity), { unitCode: 'HUR' }),
+            amount('cbc:LineExtensionAmount', line.amount),
+            el('cac:Item', [el('cbc:Name', line.description), taxCategory('cac:ClassifiedTaxCategory', line)]),
+            el('cac:Price', [amount('cbc:PriceAmount', line.rate)]),
+        ])),
+    ], NAMESPACES);
+
+    return { tree, problems: ruleErrors({ invoice, seller, buyer, lines, taxes: invoice.taxes }) };
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function serialize(node, depth = 0) {
+    const indent = '  '.repeat(depth);
+    const attrs = Object.entries(node.attrs).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+    if (!node.children) return `${indent}<${node.name}${attrs}>${escapeXml(node.text)}</${node.name}>`;
+    if (node.children.length === 0) return `${indent}<${node.name}${attrs}/>`;
+    return `${indent}<${node.name}${attrs}>\n${node.children.map(child => serialize(child, depth + 1)).join('\n')}\n${indent}</${node.name}>`;
+}
+
+// The Invoice schema and the schemas it imports, read once
+let xsdFiles = null;
+
+function readXsdFiles() {
+    xsdFiles ??= (async () => {
+        const common = (await readdir(join(SCHEMAS_DIR, 'ubl-2.1/common'))).filter(file => file.endsWith('.xsd'));
+        const read = async (fileName) => ({ fileName, contents: await readFile(join(SCHEMAS_DIR, fileName), 'utf8') });
+        return {
+            schema: await read(INVOICE_XSD),
+            preload: await Promise.all(common.map(file => read(`ubl-2.1/common/${file}`))),
+        };
+    })().catch((error) => {
+        xsdFiles = null;
+        throw error;
+    });
+    return xsdFiles;
+}
+
+// Compiled schematron stylesheets by file, loaded on first use
+const stylesheets = new Map();
+
+async function schematronErrors(xml, file) {
+    const result = await SaxonJS.transform({
+        ...(stylesheets.has(file) ? { stylesheetInternal: stylesheets.get(file) } : { stylesheetFileName: join(SCHEMAS_DIR, file) }),
+        sourceText: xml,
+        destination: 'document',
+    }, 'async');
+    stylesheets.set(file, result.stylesheetInternal);
+
+    // Warnings are advice; every other failed assertion rejects the invoice
+    const failed = SaxonJS.XPath.evaluate(
+        "//svrl:failed-assert[not(@flag = 'warning')] ! map { 'rule': string(@id), 'message': normalize-space(svrl:text) }",
+        result.principalResult,
+        { namespaceContext: { svrl: 'http://purl.oclc.org/dsdl/svrl' }, resultForm: 'array' },
+    );
+    return failed.map(({ rule, message }) => ({ rule: rule || 'schematron', message }));
+}
+
+/**
+ * Validate a UBL invoice against the UBL 2.1 XSD, then the EN 16931 and Peppol BIS 3.0 schematron rules
+ * @param {string} xml - Serialized UBL invoice
+ * @returns {Promise<{rule: string, message: string}[]>} Problems found; empty when the invoice is valid
+ * @throws {Error} When the validation artefacts are missing from schemas/
+ */
+export async function validateUblInvoice(xml) {
+    const missing = [INVOICE_XSD, ...SCHEMATRONS].filter(file => !existsSync(join(SCHEMAS_DIR, file)));
+    if (missing.length > 0) throw new Error(`schemas/${missing.join(', schemas/')} missing; run \`npm run schemas\` to fetch the validation artefacts`);
+
+    const { schema, preload } = await readXsdFiles();
+    const result = await xmllint.validateXML({
+        xml: { fileName: 'invoice.xml', contents: xml },
+        schema,
+        preload,
+        maxMemoryPages: 256 * xmllint.memoryPages.MiB,
+    });
+    if (!result.valid) {
+        return result.errors.map(error => ({
+            rule: 'UBL-XSD',
+            message: `${error.loc ? `Line ${error.loc.lineNumber}: ` : ''}${error.message.replace(/^.*Schemas validity error : /, '')}`,
+        }));
+    }
+
+    // Schematron rules assume a schema-valid document
+    for (const file of SCHEMATRONS) {
+        const problems = await schematronErrors(xml, file);
+        if (problems.length > 0) return problems;
+    }
+    return [];
+}
+
+/**
+ * An invoice as Peppol BIS Billing 3.0 UBL XML, only when it passes validation
+ * @param {string} ref - Invoice id or number
+ * @returns {Promise<{body: string, contentType: string, filename: string}|{error: string, problems?: Object[]}>}
+ */
+export async function renderUblInvoice(ref) {
+    const invoice = await getInvoice(ref);
+    if (!invoice) return { error: `Invoice not found: ${ref}`, notFound: true };
+
+    // Missing data gets a hint on how to fix it before the validators report it by rule id
+    const { tree, problems } = buildUblInvoice(invoice);
+    if (problems.length > 0) {
+        return { error: `Invoice ${invoice.number} is missing data Peppol e-invoices need`, problems };
+    }
+
+    const body = `<?xml version="1.0" encoding="UTF-8"?>\n${serialize(tree)}\n`;
+    let errors;
+    try {
+        errors = await validateUblInvoice(body);
+    } catch (error) {
+        return { error: `Invoice ${invoice.number} could not be validated, so it is not exported: ${error.message}` };
+    }
+    if (errors.length > 0) {
+        return { error: `Invoice ${invoice.number} fails UBL 2.1 and Peppol BIS 3.0 validation`, problems: errors };
+    }
+    return {
+        body,
+        contentType: 'application/xml; charset=utf-8',
+        filename: `invoice-${invoice.number}.xml`,
+    };
+}
@@ -3,6 +3,12 @@
 
 const YOUTRACK_URL = process.env.YOUTRACK_URL;
 
+// Minutes in the issue's estimation field, a period field named "Estimation" by default
+function issueEstimate(issue) {
+    const field = issue.customFields?.find(f => /^estimat/i.test(f.name) && typeof f.value?.minutes === 'number');
+    return field ? field.value.minutes : null;
+}
+
 export function getYouTrackClient(userToken) {
     if (!YOUTRACK_URL) {
         throw new Error('YOUTRACK_URL environment variable not configured');
@@ -53,7 +59,7 @@ export function getYouTrackClient(userToken) {
 
             const params = new URLSearchParams({
                 query: q,
-                fields: 'id,idReadable,summary,description,resolved,created,updated,project(id,name,shortName)',
+                fields: 'id,idReadable,summary,description,resolved,created,updated,project(id,name,shortName),customFields(name,value(name,minutes))',
             });
 
             const issues = await request(`/issues?${params}`);
@@ -65,6 +71,7 @@ export function getYouTrackClient(userToken) {
                 resolved: issue.resolved,
                 project: issue.project?.shortName || issue.project?.name,
                 projectName: issue.project?.name,
+                estimate: issueEstimate(issue),
                 created: issue.created,
                 updated: issue.updated,
             }));
@@ -73,7 +80,7 @@ export function getYouTrackClient(userToken) {
         // Get single issue details
         async getIssue(issueId) {
             const params = new URLSearchParams({
-                fields: 'id,idReadable,summary,description,resolved,created,updated,project(id,name,shortName),customFields(name,value(name))',
+                fields: 'id,idReadable,summary,description,resolved,created,updated,project(id,name,shortName),customFields(name,value(name,minutes))',
             });
 
             const issue = await request(`/issues/${issueId}?${params}`);
@@ -96,6 +103,7 @@ export function getYouTrackClient(userToken) {
                 resolved: issue.resolved,
                 project: issue.project?.shortName || issue.project?.name,
                 projectName: issue.project?.name,
+                estimate: issueEstimate(issue),
                 created: issue.created,
                 updated: issue.updated,
             };
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { minutesBefore } from '../src/dates.js';
+
+// A timer started at 09:00, paused 10:00–10:15 and again 11:30–12:00, stopped with its end trimmed back
+const pauses = [
+    { from: '2026-09-01T10:00:00.000Z', to: '2026-09-01T10:15:00.000Z' },
+    { from: '2026-09-01T11:30:00.000Z', to: '2026-09-01T12:00:00.000Z' },
+];
+
+test('minutesBefore leaves out pauses after the trimmed end', () => {
+    assert.equal(minutesBefore(pauses, '2026-09-01T11:00:00.000Z'), 15);
+});
+
+test('minutesBefore counts a pause that crosses the trimmed end up to it', () => {
+    assert.equal(minutesBefore(pauses, '2026-09-01T11:40:00.000Z'), 25);
+});
+
+test('minutesBefore counts every pause before the end', () => {
+    assert.equal(minutesBefore(pauses, '2026-09-01T13:00:00.000Z'), 45);
+    assert.equal(minutesBefore([], '2026-09-01T13:00:00.000Z'), 0);
+});
+
+test('minutesBefore ignores pauses that start at or after the end', () => {
+    assert.equal(minutesBefore(pauses, '2026-09-01T10:00:00.000Z'), 0);
+});